@@ -59,6 +59,17 @@ public class HomeController : Controller
         return View("Private");
     }
 
+    /// <summary>
+    /// Returns the fleet overview page (all Home Assistant devices as cards)
+    /// Clicking a card opens the single-device dashboard: /?deviceId=xxx
+    /// </summary>
+    [Route("/fleet")]
+    public IActionResult Fleet()
+    {
+        Log.Information("Rendering fleet overview page");
+        return View("Fleet");
+    }
+
     /// <summary>
     /// Gets and returns device information and energy data
     /// </summary>
@@ -0,0 +1,400 @@
+/**
+ * Solar Monitor - Fleet Overview
+ * Version: 1 - All devices from the Worker's /api/ha/devices as cards
+ *
+ * Features:
+ * - Live PV / load / SOC, online state and today's kWh per device
+ * - Alert badges (offline, low SOC, high temperature, stale data)
+ * - Search, status filter and sorting (remembered in localStorage)
+ * - Click a card to open the single-device dashboard (/?deviceId=...)
+ */
+
+document.addEventListener('DOMContentLoaded', function () {
+    // ========================================
+    // CONFIGURATION
+    // ========================================
+
+    // Same Cloudflare Worker proxies, remembered proxy and API key as the dashboard (solar-common.js)
+    const { LIGHTEARTH_PROXIES, getWorkerAuthHeaders, escapeHtml } = SolarCommon;
+
+    const FLEET_PREFS_KEY = 'solar_fleet_prefs';
+
+    const REFRESH_INTERVAL = 30 * 1000;
+
+    // Alert thresholds
+    const FLEET_ALERTS = {
+        lowSoc: 20,                     // %
+        highTemperature: 60,            // °C
+        staleAfter: 10 * 60 * 1000      // no sensor update for 10 minutes
+    };
+
+    let currentProxyIndex = SolarCommon.loadProxyIndex();
+
+    // ========================================
+    // STATE
+    // ========================================
+
+    let allDevices = [];
+    let refreshTimer = null;
+    let autoRefresh = true;
+    let loading = false;
+
+    const prefs = { filter: 'all', sort: 'status', search: '' };
+    try {
+        Object.assign(prefs, JSON.parse(localStorage.getItem(FLEET_PREFS_KEY) || '{}'));
+    } catch (e) { /* ignore */ }
+
+    function savePrefs() {
+        try {
+            localStorage.setItem(FLEET_PREFS_KEY, JSON.stringify(prefs));
+        } catch (e) { /* ignore */ }
+    }
+
+    // ========================================
+    // DATA
+    // ========================================
+
+    // Try each proxy once, starting with the remembered one
+    async function fetchDevices() {
+        let lastError = null;
+
+        for (let attempt = 0; attempt < LIGHTEARTH_PROXIES.length; attempt++) {
+            const proxy = LIGHTEARTH_PROXIES[currentProxyIndex];
+            console.log(`📡 [Fleet] Fetching devices from ${proxy}`);
+
+            try {
+                const response = await fetch(`${proxy}/api/ha/devices`, { headers: getWorkerAuthHeaders() });
+
+                // Missing/invalid API key - another proxy won't help
+                if (response.status === 401 || response.status === 403) {
+                    throw Object.assign(new Error(`HTTP ${response.status}`), { noRetry: true });
+                }
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error || 'Không lấy được danh sách thiết bị');
+                return data;
+            } catch (error) {
+                if (error.noRetry) throw error;
+                console.warn(`❌ [Fleet] Proxy ${currentProxyIndex + 1} failed:`, error.message);
+                lastError = error;
+                currentProxyIndex = (currentProxyIndex + 1) % LIGHTEARTH_PROXIES.length;
+                SolarCommon.saveProxyIndex(currentProxyIndex);
+            }
+        }
+
+        throw lastError || new Error('All proxies failed');
+    }
+
+    // Alert badges for one device: [{ key, label, icon, color }]
+    function getDeviceAlerts(device) {
+        if (!device.online) {
+            return [{ key: 'offline', label: 'Offline', icon: 'wifi-off', color: 'red' }];
+        }
+
+        const alerts = [];
+        if (device.batterySoc !== null && device.batterySoc < FLEET_ALERTS.lowSoc) {
+            alerts.push({ key: 'lowSoc', label: `Pin yếu ${device.batterySoc}%`, icon: 'battery-low', color: 'red' });
+        }
+        if (device.temperature !== null && device.temperature >= FLEET_ALERTS.highTemperature) {
+            alerts.push({ key: 'highTemp', label: `Nhiệt độ ${device.temperature}°C`, icon: 'thermometer', color: 'orange' });
+        }
+        const updatedAt = device.lastUpdate ? Date.parse(device.lastUpdate) : NaN;
+        if (!isNaN(updatedAt) && Date.now() - updatedAt > FLEET_ALERTS.staleAfter) {
+            alerts.push({ key: 'stale', label: `Không cập nhật ${formatAge(Date.now() - updatedAt)}`, icon: 'clock-alert', color: 'amber' });
+        }
+        return alerts;
+    }
+
+    async function loadDevices() {
+        if (loading) return;
+        loading = true;
+        const icon = document.getElementById('refreshIcon');
+        icon.classList.add('animate-spin');
+
+        try {
+            const data = await fetchDevices();
+            allDevices = data.devices.map(device => ({ ...device, alerts: getDeviceAlerts(device) }));
+
+            const onlineCount = allDevices.filter(d => d.online).length;
+            document.getElementById('deviceCount').textContent = `${allDevices.length} thiết bị (${onlineCount} online)`;
+            console.log(`✅ [Fleet] ${allDevices.length} devices, ${onlineCount} online`);
+
+            hide('loadingState');
+            hide('errorState');
+            updateSummary(allDevices);
+            renderDevices();
+
+            document.getElementById('lastUpdateTime').textContent =
+                new Date().toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+            show('lastUpdateSection');
+        } catch (error) {
+            console.error('❌ [Fleet] Error loading devices:', error);
+            // Keep showing the last good list on a failed refresh
+            if (allDevices.length === 0) {
+                hide('loadingState');
+                show('errorState');
+                document.getElementById('errorMessage').textContent = error.noRetry
+                    ? 'API key không hợp lệ hoặc không có quyền xem thiết bị'
+                    : error.message;
+            }
+        } finally {
+            loading = false;
+            icon.classList.remove('animate-spin');
+        }
+    }
+
+    // ========================================
+    // FILTER & SORT
+    // ========================================
+
+    const SORTERS = {
+        // Online first, devices with alerts first, then by ID
+        status: (a, b) => (b.online - a.online) || (b.alerts.length - a.alerts.length) || a.deviceId.localeCompare(b.deviceId),
+        deviceId: (a, b) => a.deviceId.localeCompare(b.deviceId),
+        pv: (a, b) => (b.pvPower ?? -1) - (a.pvPower ?? -1),
+        load: (a, b) => (b.loadPower ?? -1) - (a.loadPower ?? -1),
+        soc: (a, b) => (a.batterySoc ?? 101) - (b.batterySoc ?? 101),
+        pvToday: (a, b) => (b.today?.pv ?? -1) - (a.today?.pv ?? -1),
+        alerts: (a, b) => b.alerts.length - a.alerts.length
+    };
+
+    function getVisibleDevices() {
+        const search = prefs.search.trim().toLowerCase();
+
+        return allDevices
+            .filter(d => {
+                if (prefs.filter === 'online') return d.online;
+                if (prefs.filter === 'offline') return !d.online;
+                if (prefs.filter === 'alerts') return d.alerts.length > 0;
+                return true;
+            })
+            .filter(d => !search ||
+                d.deviceId.toLowerCase().includes(search) ||
+                (d.model || '').toLowerCase().includes(search))
+            .sort((a, b) => SORTERS[prefs.sort](a, b) || a.deviceId.localeCompare(b.deviceId));
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    function renderDevices() {
+        const grid = document.getElementById('devicesGrid');
+        const devices = getVisibleDevices();
+
+        if (devices.length === 0) {
+            hide('devicesGrid');
+            show('emptyState');
+            document.getElementById('emptyTitle').textContent = allDevices.length === 0 ? 'Không có thiết bị' : 'Không có kết quả';
+            document.getElementById('emptyMessage').textContent = allDevices.length === 0
+                ? 'Chưa có thiết bị nào được kết nối'
+                : 'Không có thiết bị nào khớp với bộ lọc';
+            return;
+        }
+
+        hide('emptyState');
+        show('devicesGrid');
+        grid.innerHTML = devices.map(createCard).join('');
+        lucide.createIcons();
+    }
+
+    const ALERT_COLORS = {
+        red: 'bg-red-500/15 text-red-400 border-red-500/30',
+        orange: 'bg-orange-500/15 text-orange-400 border-orange-500/30',
+        amber: 'bg-amber-500/15 text-amber-400 border-amber-500/30'
+    };
+
+    function createCard(d) {
+        const soc = d.batterySoc;
+        const socColor = soc === null ? 'text-slate-500' : (soc >= 80 ? 'text-emerald-400' : (soc >= 30 ? 'text-amber-400' : 'text-red-400'));
+        const socBg = soc === null ? 'bg-slate-600' : (soc >= 80 ? 'bg-emerald-500' : (soc >= 30 ? 'bg-amber-500' : 'bg-red-500'));
+        const deviceId = escapeHtml(d.deviceId);
+        const today = d.today || {};
+
+        const badges = d.alerts.map(alert => `
+            <span class="inline-flex items-center gap-1 px-1.5 py-0.5 rounded border text-[10px] font-medium ${ALERT_COLORS[alert.color]}">
+                <i data-lucide="${alert.icon}" class="w-3 h-3"></i>${escapeHtml(alert.label)}
+            </span>`).join('');
+
+        return `
+            <a href="/?deviceId=${encodeURIComponent(d.deviceId)}"
+               class="device-card block bg-slate-800/80 rounded-xl overflow-hidden border ${d.alerts.length ? 'border-red-500/40' : 'border-slate-700/50'} hover:border-brand-500/50">
+
+                <!-- Header: Device ID, model, online state -->
+                <div class="px-3 py-2 bg-gradient-to-r from-slate-700/50 to-slate-800/50 border-b border-slate-700/30 flex items-center justify-between gap-2">
+                    <div class="min-w-0">
+                        <div class="flex items-center gap-1.5 text-sm font-mono font-semibold text-brand-400 truncate">
+                            <i data-lucide="cpu" class="w-3.5 h-3.5 flex-shrink-0"></i>${deviceId}
+                        </div>
+                        <div class="text-[10px] text-slate-500 truncate">${escapeHtml(d.model || '--')}</div>
+                    </div>
+                    <div class="flex items-center gap-1.5 flex-shrink-0">
+                        <span class="text-[10px] ${d.online ? 'text-emerald-400' : 'text-red-400'}">${d.online ? 'Online' : 'Offline'}</span>
+                        <div class="status-dot ${d.online ? 'online bg-emerald-500' : 'bg-red-500'} w-2 h-2 rounded-full"></div>
+                    </div>
+                </div>
+
+                <div class="p-3 space-y-2.5 ${d.online ? '' : 'opacity-60'}">
+                    <!-- SOC -->
+                    <div>
+                        <div class="flex items-center justify-between mb-1">
+                            <span class="text-[10px] text-slate-500">SOC</span>
+                            <span class="text-sm font-bold ${socColor}">${soc === null ? '--' : soc + '%'}</span>
+                        </div>
+                        <div class="h-1.5 bg-slate-700/50 rounded-full overflow-hidden">
+                            <div class="${socBg} h-full rounded-full transition-all duration-500" style="width:${soc ?? 0}%"></div>
+                        </div>
+                    </div>
+
+                    <!-- Live power -->
+                    <div class="grid grid-cols-2 gap-2">
+                        <div class="bg-amber-500/10 rounded-lg p-1.5 text-center border border-amber-500/20">
+                            <div class="flex items-center justify-center gap-1 text-[9px] text-amber-500 font-medium">
+                                <i data-lucide="sun" class="w-3 h-3"></i>PV
+                            </div>
+                            <div class="text-xs font-bold text-amber-400">${formatPw(d.pvPower)}</div>
+                        </div>
+                        <div class="bg-sky-500/10 rounded-lg p-1.5 text-center border border-sky-500/20">
+                            <div class="flex items-center justify-center gap-1 text-[9px] text-sky-500 font-medium">
+                                <i data-lucide="home" class="w-3 h-3"></i>Tải
+                            </div>
+                            <div class="text-xs font-bold text-sky-400">${formatPw(d.loadPower)}</div>
+                        </div>
+                    </div>
+
+                    <!-- Today's energy -->
+                    <div class="flex items-center justify-between text-[10px] text-slate-400 border-t border-slate-700/50 pt-2">
+                        <span>Hôm nay</span>
+                        <span><span class="text-amber-400 font-semibold">${formatKwh(today.pv)}</span> PV</span>
+                        <span><span class="text-sky-400 font-semibold">${formatKwh(today.load)}</span> tải</span>
+                        <span><span class="text-violet-400 font-semibold">${formatKwh(today.grid)}</span> EVN</span>
+                    </div>
+
+                    ${badges ? `<div class="flex flex-wrap gap-1">${badges}</div>` : ''}
+                </div>
+            </a>
+        `;
+    }
+
+    function updateSummary(devices) {
+        const online = devices.filter(d => d.online);
+        const sum = (list, pick) => list.reduce((total, d) => total + (pick(d) || 0), 0);
+
+        document.getElementById('totalPv').textContent = formatPw(sum(online, d => d.pvPower));
+        document.getElementById('totalLoad').textContent = formatPw(sum(online, d => d.loadPower));
+        document.getElementById('totalPvToday').textContent = formatKwh(sum(devices, d => d.today?.pv));
+        document.getElementById('totalAlerts').textContent = String(devices.filter(d => d.alerts.length > 0).length);
+        show('summaryBar');
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    function show(id) {
+        document.getElementById(id).classList.remove('hidden');
+    }
+
+    function hide(id) {
+        document.getElementById(id).classList.add('hidden');
+    }
+
+    function formatPw(v) {
+        if (v == null) return '--';
+        if (Math.abs(v) >= 10000) return (v / 1000).toFixed(0) + 'kW';
+        if (Math.abs(v) >= 1000) return (v / 1000).toFixed(1) + 'kW';
+        return Math.round(v) + 'W';
+    }
+
+    function formatKwh(v) {
+        return v == null ? '--' : v.toFixed(1) + 'kWh';
+    }
+
+    function formatAge(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} phút`;
+        const hours = Math.round(minutes / 60);
+        return hours < 48 ? `${hours} giờ` : `${Math.round(hours / 24)} ngày`;
+    }
+
+    // ========================================
+    // CONTROLS
+    // ========================================
+
+    const searchInput = document.getElementById('searchInput');
+    const sortSelect = document.getElementById('sortSelect');
+    const filterButtons = document.querySelectorAll('#statusFilter .filter-btn');
+
+    function syncControls() {
+        searchInput.value = prefs.search;
+        if (!SORTERS[prefs.sort]) prefs.sort = 'status';
+        sortSelect.value = prefs.sort;
+        filterButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.filter === prefs.filter));
+    }
+
+    searchInput.addEventListener('input', () => {
+        prefs.search = searchInput.value;
+        savePrefs();
+        renderDevices();
+    });
+
+    sortSelect.addEventListener('change', () => {
+        prefs.sort = sortSelect.value;
+        savePrefs();
+        renderDevices();
+    });
+
+    filterButtons.forEach(btn => btn.addEventListener('click', () => {
+        prefs.filter = btn.dataset.filter;
+        savePrefs();
+        syncControls();
+        renderDevices();
+    }));
+
+    document.getElementById('refreshBtn').addEventListener('click', loadDevices);
+    document.getElementById('retryBtn').addEventListener('click', () => {
+        hide('errorState');
+        show('loadingState');
+        loadDevices();
+    });
+
+    function startAutoRefresh() {
+        stopAutoRefresh();
+        if (autoRefresh) refreshTimer = setInterval(loadDevices, REFRESH_INTERVAL);
+    }
+
+    function stopAutoRefresh() {
+        if (refreshTimer) clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+
+    const autoRefreshBtn = document.getElementById('autoRefreshBtn');
+    autoRefreshBtn.addEventListener('click', () => {
+        autoRefresh = !autoRefresh;
+        autoRefreshBtn.classList.toggle('bg-brand-600', autoRefresh);
+        autoRefreshBtn.classList.toggle('border-brand-500', autoRefresh);
+        autoRefreshBtn.classList.toggle('bg-slate-700/80', !autoRefresh);
+        autoRefreshBtn.classList.toggle('border-slate-600/50', !autoRefresh);
+        startAutoRefresh();
+    });
+
+    // Don't poll the Worker from a background tab
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            stopAutoRefresh();
+        } else if (autoRefresh) {
+            loadDevices();
+            startAutoRefresh();
+        }
+    });
+
+    // ========================================
+    // START
+    // ========================================
+
+    lucide.createIcons();
+    syncControls();
+    loadDevices();
+    startAutoRefresh();
+});
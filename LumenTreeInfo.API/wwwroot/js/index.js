@@ -54,6 +54,12 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Chart objects
     let combinedEnergyChart;
+    
+    // Comparison mode (see COMPARISON MODE) - null when off
+    let comparison = null;
+    
+    // Chart section tab: 'day' | 'month' | 'year' | 'lifetime' (see MONTH / YEAR / LIFETIME HISTORY)
+    let currentPeriod = 'day';
 
     // SignalR connection
     let connection;
@@ -72,35 +78,12 @@ document.addEventListener('DOMContentLoaded', function () {
     // Get current origin for local proxy API
     const currentOrigin = window.location.origin;
     
-    // API Configuration - Local Railway API only (simplified)
-    const API_SOURCES = {
-        local: {
-            name: 'Local API (Home Assistant)',
-            realtime: `${currentOrigin}/api/realtime/all`,
-            isLocal: true
-        }
-    };
-    
-    // Lightearth API - Direct from lesvr.suntcn.com via Cloudflare Worker proxy
-    // PRIMARY: lightearth.applike098.workers.dev
-    // FALLBACK: lightearth-proxy.minhlongt358.workers.dev
-    const LIGHTEARTH_PROXIES = [
-        'https://lightearth.applike098.workers.dev',           // Primary
-        'https://lightearth-proxy.minhlongt358.workers.dev'    // Fallback
-    ];
+    // Lightearth API - Cloudflare Worker proxies, API key and escapeHtml are shared with
+    // the fleet page (solar-common.js)
+    const { LIGHTEARTH_PROXIES, getWorkerAuthHeaders, escapeHtml } = SolarCommon;
     
     // Track which proxy is currently working (persist across requests)
-    let currentProxyIndex = 0;
-    const PROXY_INDEX_KEY = 'solar_proxy_index';
-    
-    // Load saved proxy index from localStorage
-    try {
-        const savedIndex = localStorage.getItem(PROXY_INDEX_KEY);
-        if (savedIndex !== null) {
-            currentProxyIndex = parseInt(savedIndex, 10) || 0;
-            if (currentProxyIndex >= LIGHTEARTH_PROXIES.length) currentProxyIndex = 0;
-        }
-    } catch (e) { /* ignore */ }
+    let currentProxyIndex = SolarCommon.loadProxyIndex();
     
     // Get current proxy base URL
     function getCurrentProxy() {
@@ -111,7 +94,7 @@ document.addEventListener('DOMContentLoaded', function () {
     function switchToFallbackProxy() {
         const oldProxy = getCurrentProxy();
         currentProxyIndex = (currentProxyIndex + 1) % LIGHTEARTH_PROXIES.length;
-        localStorage.setItem(PROXY_INDEX_KEY, String(currentProxyIndex));
+        SolarCommon.saveProxyIndex(currentProxyIndex);
         console.log(`🔄 Switching proxy: ${oldProxy} → ${getCurrentProxy()}`);
         return getCurrentProxy();
     }
@@ -120,7 +103,7 @@ document.addEventListener('DOMContentLoaded', function () {
     function resetToPrimaryProxy() {
         if (currentProxyIndex !== 0) {
             currentProxyIndex = 0;
-            localStorage.setItem(PROXY_INDEX_KEY, '0');
+            SolarCommon.saveProxyIndex(0);
             console.log(`✅ Reset to primary proxy: ${getCurrentProxy()}`);
         }
     }
@@ -131,28 +114,74 @@ document.addEventListener('DOMContentLoaded', function () {
         bat: (deviceId, date) => `${getCurrentProxy()}/api/bat/${deviceId}/${date}`,
         pv: (deviceId, date) => `${getCurrentProxy()}/api/pv/${deviceId}/${date}`,
         other: (deviceId, date) => `${getCurrentProxy()}/api/other/${deviceId}/${date}`,
-        month: (deviceId) => `${getCurrentProxy()}/api/month/${deviceId}`,
-        year: (deviceId) => `${getCurrentProxy()}/api/year/${deviceId}`,
+        // month: YYYY-MM, year: YYYY - omitted for the current month / year
+        month: (deviceId, month) => `${getCurrentProxy()}/api/month/${deviceId}${month ? `/${month}` : ''}`,
+        year: (deviceId, year) => `${getCurrentProxy()}/api/year/${deviceId}${year ? `/${year}` : ''}`,
         historyYear: (deviceId) => `${getCurrentProxy()}/api/history-year/${deviceId}`,
         // Home Assistant endpoints for chart data
         haPowerHistory: (deviceId, date) => `${getCurrentProxy()}/api/ha/power-history/${deviceId}/${date}`,
         haSocHistory: (deviceId, date) => `${getCurrentProxy()}/api/ha/soc-history/${deviceId}/${date}`,
         haStates: (deviceId) => `${getCurrentProxy()}/api/ha/states/${deviceId}`,
         haDeviceInfo: (deviceId) => `${getCurrentProxy()}/api/ha/device-info/${deviceId}`,
-        haTemperature: (deviceId, date) => `${getCurrentProxy()}/api/ha/temperature/${deviceId}/${date}`
+        haTemperature: (deviceId, date) => `${getCurrentProxy()}/api/ha/temperature/${deviceId}/${date}`,
+        // Batch: power history + SOC + temperature + device info in one request
+        // (since: ISO time - only the buckets from then on, see OFFLINE DAY STORE)
+        haDay: (deviceId, date, since) => `${getCurrentProxy()}/api/ha/day/${deviceId}/${date}${since ? `?since=${encodeURIComponent(since)}` : ''}`,
+        // Normalized realtime snapshot (schema: /api/v2/schema/realtime)
+        realtimeV2: (deviceId) => `${getCurrentProxy()}/api/v2/realtime/${deviceId}`,
+        // Same schema from the Railway backend (mapped by the Worker)
+        realtimeV2Railway: (deviceId) => `${getCurrentProxy()}/api/v2/realtime/${deviceId}/railway`,
+        // Realtime SSE stream (replaces polling when available)
+        haStream: (deviceId) => `${getCurrentProxy()}/api/ha/stream/${deviceId}`,
+        authToken: () => `${getCurrentProxy()}/api/auth/token`
     };
     
+    // Per-proxy backoff (timestamp ms) derived from the Worker's RateLimit-* / Retry-After headers
+    const proxyBackoffUntil = LIGHTEARTH_PROXIES.map(() => 0);
+    
+    // Read rate limit headers and back off a proxy when it is exhausted or has rejected us
+    function applyRateLimitHeaders(proxyIndex, response) {
+        const retryAfter = parseInt(response.headers.get('Retry-After') || '', 10);
+        const remaining = parseInt(response.headers.get('RateLimit-Remaining') || '', 10);
+        const reset = parseInt(response.headers.get('RateLimit-Reset') || '', 10);
+        
+        if (response.status === 429) {
+            const waitSeconds = !isNaN(retryAfter) ? retryAfter : (!isNaN(reset) ? reset : 60);
+            proxyBackoffUntil[proxyIndex] = Date.now() + waitSeconds * 1000;
+            console.warn(`⏳ Proxy ${proxyIndex + 1} rate limited, backing off ${waitSeconds}s`);
+        } else if (remaining === 0 && !isNaN(reset)) {
+            proxyBackoffUntil[proxyIndex] = Date.now() + reset * 1000;
+            console.warn(`⏳ Proxy ${proxyIndex + 1} quota exhausted, backing off ${reset}s`);
+        }
+    }
+    
     // Fetch with automatic proxy fallback
     async function fetchWithProxyFallback(urlBuilder, options = {}) {
         const maxRetries = LIGHTEARTH_PROXIES.length;
         let lastError = null;
         
         for (let retry = 0; retry < maxRetries; retry++) {
+            // Skip proxies that are still backing off from a rate limit
+            if (Date.now() < proxyBackoffUntil[currentProxyIndex]) {
+                lastError = new Error('HTTP 429');
+                switchToFallbackProxy();
+                continue;
+            }
+            
             const url = typeof urlBuilder === 'function' ? urlBuilder() : urlBuilder;
             console.log(`📡 [Proxy ${currentProxyIndex + 1}/${LIGHTEARTH_PROXIES.length}] Fetching: ${url}`);
             
             try {
-                const response = await fetch(url, options);
+                const response = await fetch(url, {
+                    ...options,
+                    headers: { ...getWorkerAuthHeaders(), ...(options.headers || {}) }
+                });
+                applyRateLimitHeaders(currentProxyIndex, response);
+                
+                // Missing/invalid API key or device not owned - another proxy won't help
+                if (response.status === 401 || response.status === 403) {
+                    throw Object.assign(new Error(`HTTP ${response.status}`), { noRetry: true });
+                }
                 
                 // Check for rate limit or server error
                 if (response.status === 429 || response.status >= 500) {
@@ -174,6 +203,7 @@ document.addEventListener('DOMContentLoaded', function () {
                 
                 return response;
             } catch (error) {
+                if (error.noRetry) throw error;
                 console.warn(`❌ Proxy ${currentProxyIndex + 1} failed:`, error.message);
                 lastError = error;
                 switchToFallbackProxy();
@@ -184,46 +214,29 @@ document.addEventListener('DOMContentLoaded', function () {
         throw lastError || new Error('All proxies failed');
     }
     
-    // Lightearth API cache - refresh every 10 minutes
-    let lightearthCache = {
-        data: null,
-        deviceId: null,
-        date: null,
-        timestamp: 0
-    };
-    const LIGHTEARTH_CACHE_TTL = 30 * 60 * 1000; // 30 minutes - INCREASED to reduce Cloudflare API calls
+    // Railway daily summary survives page reloads for 30 minutes; chart days live in the
+    // offline day store and lesvr responses are cached at the edge by the Worker
+    const SUMMARY_CACHE_TTL = 30 * 60 * 1000;
     
     // LocalStorage cache keys for persistent caching across page reloads
     const LS_CACHE_KEYS = {
-        lightearthData: 'solar_lightearth_cache',
-        chartData: 'solar_chart_cache',
         summaryData: 'solar_summary_cache'
     };
     
+    // Keys of the retired Lightearth chart cache and rate limit cooldown
+    const LS_LEGACY_KEYS = ['solar_lightearth_cache', 'solar_chart_cache', 'solar_rate_limit_until'];
+    
     // Load cached data from localStorage on startup
     function loadCacheFromLocalStorage() {
         try {
-            // Load chart/lightearth cache
-            const cached = localStorage.getItem(LS_CACHE_KEYS.lightearthData);
-            if (cached) {
-                const parsed = JSON.parse(cached);
-                const age = Date.now() - parsed.timestamp;
-                if (age < LIGHTEARTH_CACHE_TTL) {
-                    console.log(`📦 Loaded Lightearth cache from localStorage (age: ${Math.round(age/1000)}s, device: ${parsed.deviceId}, date: ${parsed.date})`);
-                    lightearthCache = parsed;
-                } else {
-                    console.log('⚠️ LocalStorage cache expired, clearing');
-                    localStorage.removeItem(LS_CACHE_KEYS.lightearthData);
-                }
-            }
+            LS_LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
             
             // Load summary cache
             const summaryCached = localStorage.getItem(LS_CACHE_KEYS.summaryData);
             if (summaryCached) {
                 const parsed = JSON.parse(summaryCached);
                 const age = Date.now() - parsed.timestamp;
-                // Summary cache valid for 30 minutes
-                if (age < LIGHTEARTH_CACHE_TTL) {
+                if (age < SUMMARY_CACHE_TTL) {
                     console.log(`📦 Loaded Summary cache from localStorage (age: ${Math.round(age/1000)}s, device: ${parsed.deviceId})`);
                     summaryDataCache = parsed;
                 } else {
@@ -236,18 +249,6 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     }
     
-    // Save cache to localStorage
-    function saveCacheToLocalStorage() {
-        try {
-            if (lightearthCache.data) {
-                localStorage.setItem(LS_CACHE_KEYS.lightearthData, JSON.stringify(lightearthCache));
-                console.log(`💾 Chart cache saved to localStorage (device: ${lightearthCache.deviceId})`);
-            }
-        } catch (e) {
-            console.warn('Failed to save cache to localStorage:', e);
-        }
-    }
-    
     // Save summary cache to localStorage
     function saveSummaryCacheToLocalStorage() {
         try {
@@ -271,19 +272,689 @@ document.addEventListener('DOMContentLoaded', function () {
         timestamp: 0
     };
     
-    // Default to Local API with Home Assistant
-    let currentApiSource = 'local';
+    // ========================================
+    // OFFLINE DAY STORE (IndexedDB) - chart days per device and date
+    // ========================================
+    // One record per device/day holding the Worker's /api/ha/day payload, so the date navigator
+    // renders from local data. A day fetched after it ended is complete and never requested again;
+    // an unfinished day (today) is topped up with ?since= from its last fetch and the new buckets
+    // are merged in. `meta` mirrors each record without the payload for the storage panel.
+    
+    const DAY_STORE_DB = 'solar_history';
+    const DAY_STORE_VERSION = 1;
+    const DAY_STORE_DAYS = 'days';
+    const DAY_STORE_META = 'meta';
+    // Don't ask the Worker about an unfinished day more often than this
+    const DAY_STORE_MIN_REFRESH = 60 * 1000;
+    // Refetch from one bucket before the last fetch: HA may still revise the bucket in progress
+    const DAY_STORE_OVERLAP = 5 * 60 * 1000;
+    // The Worker's default zone, for payloads that don't name theirs
+    const DAY_STORE_DEFAULT_TIMEZONE = 'Asia/Ho_Chi_Minh';
+    
+    let dayStorePromise = null;
+    
+    // Resolves to the database, or null where IndexedDB is unavailable (private mode, old browsers)
+    function openDayStore() {
+        if (!dayStorePromise) {
+            dayStorePromise = new Promise(resolve => {
+                if (!window.indexedDB) return resolve(null);
+                const request = indexedDB.open(DAY_STORE_DB, DAY_STORE_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(DAY_STORE_DAYS, { keyPath: 'key' });
+                    db.createObjectStore(DAY_STORE_META, { keyPath: 'key' }).createIndex('deviceId', 'deviceId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ IndexedDB unavailable, day store disabled:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return dayStorePromise;
+    }
+    
+    // Run fn(tx) in one transaction over both stores; resolves with the result of the request fn
+    // returns once the transaction completes (null without IndexedDB)
+    async function dayStoreTransaction(mode, fn) {
+        const db = await openDayStore();
+        if (!db) return null;
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([DAY_STORE_DAYS, DAY_STORE_META], mode);
+            const request = fn(tx);
+            tx.oncomplete = () => resolve(request ? request.result : null);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+    
+    function dayStoreKey(deviceId, date) {
+        return `${deviceId}|${date}`;
+    }
+    
+    // YYYY-MM-DD of an instant in an IANA zone (en-CA formats dates as YYYY-MM-DD)
+    function formatDateInZone(ms, timeZone) {
+        return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(ms));
+    }
+    
+    // Complete = fetched after the day's midnight (plus the overlap for late HA samples) in the
+    // zone the Worker bucketed the day in - not the browser's, which may already be a day ahead
+    function isDayComplete(date, fetchedAt, timeZone) {
+        return formatDateInZone(fetchedAt - DAY_STORE_OVERLAP, timeZone || DAY_STORE_DEFAULT_TIMEZONE) > date;
+    }
+    
+    async function getStoredDay(deviceId, date) {
+        try {
+            return await dayStoreTransaction('readonly', tx => tx.objectStore(DAY_STORE_DAYS).get(dayStoreKey(deviceId, date))) || null;
+        } catch (e) {
+            console.warn('Failed to read day store:', e);
+            return null;
+        }
+    }
+    
+    async function saveStoredDay(deviceId, date, day, fetchedAt) {
+        const meta = {
+            key: dayStoreKey(deviceId, date),
+            deviceId,
+            date,
+            fetchedAt,
+            complete: isDayComplete(date, fetchedAt, day.timezone),
+            bytes: JSON.stringify(day).length
+        };
+        try {
+            await dayStoreTransaction('readwrite', tx => {
+                tx.objectStore(DAY_STORE_DAYS).put({ ...meta, day });
+                return tx.objectStore(DAY_STORE_META).put(meta);
+            });
+            console.log(`💾 [DayStore] Saved ${deviceId} ${date} (${meta.complete ? 'complete' : 'partial'})`);
+        } catch (e) {
+            // Quota exceeded etc. - the day still renders, it just isn't kept
+            console.warn('Failed to save day to store:', e);
+        }
+    }
+    
+    // Drop one device's days, or everything when deviceId is omitted
+    async function purgeDayStore(deviceId) {
+        await dayStoreTransaction('readwrite', tx => {
+            const days = tx.objectStore(DAY_STORE_DAYS);
+            const meta = tx.objectStore(DAY_STORE_META);
+            if (!deviceId) {
+                days.clear();
+                return meta.clear();
+            }
+            meta.index('deviceId').openKeyCursor(IDBKeyRange.only(deviceId)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                days.delete(cursor.primaryKey);
+                meta.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+            return null;
+        });
+        console.log(`🗑️ [DayStore] Purged ${deviceId || 'all devices'}`);
+    }
+    
+    // Splice a ?since= response into the stored day: buckets and SOC points from `since` on are
+    // replaced, then the daily energy and peaks are recomputed from the merged buckets
+    function mergeDayIncrement(stored, increment) {
+        const { since, ...latest } = increment;
+        const sinceMs = Date.parse(since);
+        const beforeSince = (point) => Date.parse(point.ts) < sinceMs;
+        
+        const timeline = [...stored.timeline.filter(beforeSince), ...latest.timeline];
+        const energy = Object.fromEntries(Object.keys(latest.energy || {}).map(channel => {
+            const wh = timeline.reduce((sum, point) => sum + (point.energy?.[channel] || 0), 0);
+            return [channel, Math.round(wh / 10) / 100];
+        }));
+        const maxOf = (key) => latest.sensors?.[key] ? Math.max(...timeline.map(point => point[key] || 0)) : null;
+        const socTimeline = [...(stored.soc?.timeline || []).filter(beforeSince), ...(latest.soc?.timeline || [])];
+        
+        return {
+            ...latest,
+            timeline,
+            energy,
+            stats: { maxPv: maxOf('pv'), maxLoad: maxOf('load'), maxEssential: maxOf('essential'), count: timeline.length },
+            soc: { timeline: socTimeline, count: socTimeline.length },
+            temperature: mergeTemperatureStats(stored.temperature, latest.temperature)
+        };
+    }
+    
+    // Min/max over both ranges; current comes from the newer one (count includes the overlap twice)
+    function mergeTemperatureStats(earlier, later) {
+        if (!later?.count) return earlier;
+        if (!earlier?.count) return later;
+        const low = later.min < earlier.min ? later : earlier;
+        const high = later.max > earlier.max ? later : earlier;
+        return {
+            ...later,
+            min: low.min, minTime: low.minTime, minTs: low.minTs,
+            max: high.max, maxTime: high.maxTime, maxTs: high.maxTs,
+            count: earlier.count + later.count
+        };
+    }
+    
+    // /api/ha/day payload for a device and date, store first. Complete days never hit the network;
+    // otherwise only the range after the last fetch is requested and merged. onStored(day) gets the
+    // local copy before that request goes out. Resolves to { day, fromStore }; throws when neither
+    // the store nor the Worker has the day.
+    async function loadStoredOrFetchDay(deviceId, date, onStored) {
+        const stored = await getStoredDay(deviceId, date);
+        if (stored) {
+            console.log(`📦 [DayStore] ${deviceId} ${date} from IndexedDB (${stored.complete ? 'complete' : 'partial'})`);
+            if (onStored) onStored(stored.day);
+            if (stored.complete || Date.now() - stored.fetchedAt < DAY_STORE_MIN_REFRESH) {
+                return { day: stored.day, fromStore: true };
+            }
+        }
+        
+        const fetchedAt = Date.now();
+        const since = stored?.day.timeline?.length > 0 ? new Date(stored.fetchedAt - DAY_STORE_OVERLAP).toISOString() : null;
+        try {
+            const response = await fetchWithProxyFallback(() => LIGHTEARTH_API.haDay(deviceId, date, since));
+            const { success, ...payload } = await response.json();
+            if (!success) throw new Error(payload.error || 'Day endpoint returned no data');
+            
+            const day = since && payload.since ? mergeDayIncrement(stored.day, payload) : payload;
+            // A stale copy served while HA is down must not be kept as the day's data
+            if (!payload.stale) await saveStoredDay(deviceId, date, day, fetchedAt);
+            return { day, fromStore: false };
+        } catch (error) {
+            if (!stored) throw error;
+            console.warn(`⚠️ [DayStore] Refresh failed, keeping stored ${date}:`, error.message);
+            return { day: stored.day, fromStore: true };
+        }
+    }
+    
+    // Storage panel: browser usage/quota plus days and size per device, with purge buttons
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    
+    async function renderStoragePanel() {
+        const usageEl = document.getElementById('storageUsage');
+        const listEl = document.getElementById('storageDevices');
+        if (!usageEl || !listEl) return;
+        
+        const [records, estimate] = await Promise.all([
+            dayStoreTransaction('readonly', tx => tx.objectStore(DAY_STORE_META).getAll()).catch(() => null),
+            navigator.storage?.estimate ? navigator.storage.estimate().catch(() => null) : null
+        ]);
+        if (!records) {
+            usageEl.textContent = 'Trình duyệt không hỗ trợ lưu trữ ngoại tuyến (IndexedDB)';
+            listEl.innerHTML = '';
+            return;
+        }
+        
+        const devices = new Map();
+        for (const record of records) {
+            const device = devices.get(record.deviceId) || { days: 0, complete: 0, bytes: 0, first: record.date, last: record.date };
+            device.days++;
+            if (record.complete) device.complete++;
+            device.bytes += record.bytes || 0;
+            if (record.date < device.first) device.first = record.date;
+            if (record.date > device.last) device.last = record.date;
+            devices.set(record.deviceId, device);
+        }
+        
+        const totalBytes = records.reduce((sum, record) => sum + (record.bytes || 0), 0);
+        usageEl.textContent = `${records.length} ngày · ~${formatBytes(totalBytes)}` +
+            (estimate?.quota ? ` · Trình duyệt đang dùng ${formatBytes(estimate.usage)} / ${formatBytes(estimate.quota)}` : '');
+        
+        if (devices.size === 0) {
+            listEl.innerHTML = '<p class="text-[11px] text-slate-400">Chưa có dữ liệu nào được lưu</p>';
+            return;
+        }
+        listEl.innerHTML = [...devices.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([deviceId, device]) => `
+            <div class="flex items-center justify-between gap-2 px-2 py-1.5 rounded-lg bg-slate-50 dark:bg-slate-700/50">
+                <div class="min-w-0">
+                    <div class="text-xs font-semibold text-slate-700 dark:text-slate-200 truncate">${escapeHtml(deviceId)}</div>
+                    <div class="text-[10px] text-slate-500 dark:text-slate-400">${device.days} ngày (${device.complete} hoàn tất) · ${formatShortDate(device.first)} – ${formatShortDate(device.last)} · ~${formatBytes(device.bytes)}</div>
+                </div>
+                <button data-purge-device="${escapeHtml(deviceId)}" class="px-2 py-1 rounded-md text-[10px] font-medium bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 hover:bg-red-200 dark:hover:bg-red-800/50 transition-colors flex-shrink-0">Xóa</button>
+            </div>`).join('');
+    }
+    
+    document.getElementById('storageBtn')?.addEventListener('click', () => {
+        const panel = document.getElementById('storagePanel');
+        if (!panel) return;
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) renderStoragePanel();
+    });
+    document.getElementById('storageCloseBtn')?.addEventListener('click', () => {
+        document.getElementById('storagePanel')?.classList.add('hidden');
+    });
+    document.getElementById('storageDevices')?.addEventListener('click', async (event) => {
+        const deviceId = event.target.closest('[data-purge-device]')?.dataset.purgeDevice;
+        if (!deviceId || !confirm(`Xóa dữ liệu đã lưu của ${deviceId}?`)) return;
+        await purgeDayStore(deviceId);
+        renderStoragePanel();
+    });
+    document.getElementById('storagePurgeAllBtn')?.addEventListener('click', async () => {
+        if (!confirm('Xóa toàn bộ dữ liệu biểu đồ đã lưu trên trình duyệt này?')) return;
+        await purgeDayStore();
+        renderStoragePanel();
+    });
+    
+    // ========================================
+    // ALERT RULES - realtime values -> notifications
+    // ========================================
+    // Rules watch the live values of the device on screen (SOC, cell delta, temperature, grid
+    // import while PV is high, no data for N minutes). A rule fires once when its condition is met
+    // and only clears after the value is back past the threshold by its hysteresis. Alerts go to
+    // an in-page toast when the dashboard is in front, otherwise to a system notification via the
+    // service worker; in quiet hours they are only recorded.
+    
+    const ALERT_RULES_KEY = 'solar_alert_rules';
+    const ALERT_HISTORY_KEY = 'solar_alert_history';
+    const ALERT_HISTORY_LIMIT = 100;
+    const ALERT_OFFLINE_CHECK_INTERVAL = 30 * 1000;
+    
+    // direction: 'below' fires at value <= threshold, 'above' at value > threshold.
+    // fields: editable settings as [label, unit, step]; value(values, rule) -> number or undefined
+    const ALERT_RULE_TYPES = {
+        lowSoc: {
+            label: 'SOC pin thấp',
+            direction: 'below',
+            defaults: { threshold: 20, hysteresis: 5 },
+            fields: { threshold: ['Dưới', '%', 1], hysteresis: ['Trễ', '%', 1] },
+            value: (values) => values.soc,
+            describe: (value, rule) => `Pin còn ${Math.round(value)}% (ngưỡng ${rule.threshold}%)`
+        },
+        cellDelta: {
+            label: 'Lệch áp cell cao',
+            direction: 'above',
+            defaults: { threshold: 0.05, hysteresis: 0.01 },
+            fields: { threshold: ['Trên', 'V', 0.005], hysteresis: ['Trễ', 'V', 0.005] },
+            value: (values) => values.cellDelta,
+            describe: (value, rule) => `Chênh lệch cell ${value.toFixed(3)}V (ngưỡng ${rule.threshold}V)`
+        },
+        disconnectedCells: {
+            label: 'Cell mất kết nối',
+            direction: 'above',
+            defaults: { threshold: 0 },
+            fields: { threshold: ['Trên', 'cell', 1] },
+            // Cells reading 0V / no value - shown as "Mất kết nối" in the cell grid
+            value: (values) => values.disconnectedCells,
+            describe: (value) => `${value} cell mất kết nối`
+        },
+        highTemperature: {
+            label: 'Nhiệt độ biến tần cao',
+            direction: 'above',
+            defaults: { threshold: 60, hysteresis: 3 },
+            fields: { threshold: ['Trên', '°C', 1], hysteresis: ['Trễ', '°C', 1] },
+            value: (values) => values.temperature,
+            describe: (value, rule) => `Biến tần ${value.toFixed(1)}°C (ngưỡng ${rule.threshold}°C)`
+        },
+        gridWhilePv: {
+            label: 'Mua điện lưới khi PV cao',
+            direction: 'above',
+            defaults: { threshold: 200, hysteresis: 100, pvMin: 1500 },
+            fields: { threshold: ['Lưới trên', 'W', 50], hysteresis: ['Trễ', 'W', 50], pvMin: ['khi PV ≥', 'W', 100] },
+            // Grid import counts only while PV is at least pvMin (otherwise 0, which clears the alert)
+            value: (values, rule) => values.gridPower === undefined || values.pvPower === undefined
+                ? undefined
+                : (values.pvPower >= rule.pvMin ? values.gridPower : 0),
+            describe: (value, rule) => `Đang mua ${Math.round(value)}W từ lưới trong khi PV ≥ ${rule.pvMin}W`
+        },
+        offline: {
+            label: 'Thiết bị mất kết nối',
+            direction: 'above',
+            defaults: { threshold: 10 },
+            fields: { threshold: ['Sau', 'phút', 1] },
+            value: (values) => values.offlineMinutes,
+            describe: (value) => `Không nhận được dữ liệu trong ${Math.floor(value)} phút`
+        }
+    };
+    
+    let alertRules = loadAlertRules();
+    let alertHistory = loadAlertHistory();
+    // Active alerts of the device being watched: ruleId -> history entry id
+    let alertState = { deviceId: null, active: {} };
+    let lastLiveDataAt = 0;
+    
+    function loadAlertRules() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(ALERT_RULES_KEY) || '{}');
+        } catch (e) { /* ignore */ }
+        return {
+            rules: Object.fromEntries(Object.entries(ALERT_RULE_TYPES).map(([ruleId, type]) =>
+                [ruleId, { enabled: true, hysteresis: 0, ...type.defaults, ...saved.rules?.[ruleId] }])),
+            quietHours: { enabled: false, start: '22:00', end: '06:00', ...saved.quietHours }
+        };
+    }
+    
+    function loadAlertHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(ALERT_HISTORY_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    function saveAlertHistory() {
+        alertHistory = alertHistory.slice(0, ALERT_HISTORY_LIMIT);
+        localStorage.setItem(ALERT_HISTORY_KEY, JSON.stringify(alertHistory));
+    }
+    
+    // Quiet hours are read on the browser's clock, i.e. the local time of whoever gets the
+    // notification, not the device's zone. They may wrap past midnight (22:00 - 06:00)
+    function isQuietHours(date) {
+        const { enabled, start, end } = alertRules.quietHours;
+        if (!enabled || !start || !end || start === end) return false;
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const from = timeToMinutes(start);
+        const to = timeToMinutes(end);
+        return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    }
+    
+    // While active, the condition holds until the value is back past the threshold by the hysteresis
+    // (SOC rule 20% / 5%: fires at <= 20%, clears at >= 25%)
+    function isAlertConditionMet(type, rule, value, active) {
+        const margin = active ? rule.hysteresis || 0 : 0;
+        if (type.direction === 'below') {
+            return margin > 0 ? value < rule.threshold + margin : value <= rule.threshold;
+        }
+        return value > rule.threshold - margin;
+    }
+    
+    // Judge the given values (any subset) against every rule for the device on screen
+    function evaluateAlertRules(values) {
+        const deviceId = document.getElementById('deviceId')?.value?.trim();
+        if (!deviceId) return;
+        if (alertState.deviceId !== deviceId) {
+            alertState = { deviceId, active: {} };
+            lastLiveDataAt = Date.now();
+        }
+        
+        for (const [ruleId, type] of Object.entries(ALERT_RULE_TYPES)) {
+            const rule = alertRules.rules[ruleId];
+            const activeId = alertState.active[ruleId];
+            if (!rule.enabled) {
+                if (activeId) clearAlert(ruleId);
+                continue;
+            }
+            
+            const value = type.value(values, rule);
+            if (typeof value !== 'number' || isNaN(value)) continue;
+            
+            const met = isAlertConditionMet(type, rule, value, Boolean(activeId));
+            if (met && !activeId) fireAlert(ruleId, type.describe(value, rule), deviceId);
+            else if (!met && activeId) clearAlert(ruleId);
+        }
+    }
+    
+    // Live realtime values (not the Worker's stale copy) - also resets the offline timer
+    function checkRealtimeAlerts(values) {
+        lastLiveDataAt = Date.now();
+        evaluateAlertRules({ ...values, offlineMinutes: 0 });
+    }
+    
+    setInterval(() => {
+        // Nothing received since the page opened: count from the first check
+        if (!lastLiveDataAt) lastLiveDataAt = Date.now();
+        evaluateAlertRules({ offlineMinutes: (Date.now() - lastLiveDataAt) / 60000 });
+    }, ALERT_OFFLINE_CHECK_INTERVAL);
+    
+    function fireAlert(ruleId, message, deviceId) {
+        const silenced = isQuietHours(new Date());
+        const alert = {
+            id: `${Date.now()}-${ruleId}`,
+            ruleId,
+            deviceId,
+            title: `${ALERT_RULE_TYPES[ruleId].label} · ${deviceId}`,
+            message,
+            firedAt: Date.now(),
+            clearedAt: null,
+            silenced,
+            source: 'rule'
+        };
+        console.warn(`🔔 Alert: ${alert.title} - ${message}${silenced ? ' (quiet hours)' : ''}`);
+        
+        alertState.active[ruleId] = alert.id;
+        alertHistory.unshift(alert);
+        saveAlertHistory();
+        if (!silenced) notifyAlert(alert);
+        renderAlertHistory();
+    }
+    
+    function clearAlert(ruleId) {
+        const entry = alertHistory.find(alert => alert.id === alertState.active[ruleId]);
+        delete alertState.active[ruleId];
+        if (entry) {
+            entry.clearedAt = Date.now();
+            saveAlertHistory();
+        }
+        console.log(`✅ Alert cleared: ${ruleId}`);
+        renderAlertHistory();
+    }
+    
+    // Service worker: shows notifications while the tab is in the background and receives pushes
+    const serviceWorkerReady = 'serviceWorker' in navigator
+        ? navigator.serviceWorker.register('/service-worker.js')
+            .then(() => navigator.serviceWorker.ready)
+            .catch(err => {
+                console.warn('Service worker registration failed:', err);
+                return null;
+            })
+        : Promise.resolve(null);
+    
+    // Alerts the service worker's push handler relays to open dashboards. Nothing subscribes
+    // this page to push yet, so only the rules above fire today.
+    navigator.serviceWorker?.addEventListener('message', (event) => {
+        const pushed = event.data?.type === 'solar-alert' ? event.data.alert : null;
+        if (!pushed) return;
+        alertHistory.unshift({
+            id: `${Date.now()}-push`,
+            ruleId: pushed.ruleId || 'push',
+            deviceId: pushed.deviceId || '',
+            title: pushed.title || 'Cảnh báo',
+            message: pushed.body || '',
+            firedAt: Date.now(),
+            clearedAt: null,
+            silenced: false,
+            source: 'push'
+        });
+        saveAlertHistory();
+        renderAlertHistory();
+    });
+    
+    async function notifyAlert(alert) {
+        if (document.visibilityState === 'visible' && document.hasFocus()) {
+            showAlertToast(alert);
+            return;
+        }
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        
+        const options = {
+            body: alert.message,
+            tag: `${alert.deviceId}:${alert.ruleId}`,
+            renotify: true,
+            icon: '/android-chrome-192x192.png',
+            badge: '/favicon-32x32.png',
+            data: { url: `/?deviceId=${encodeURIComponent(alert.deviceId)}` }
+        };
+        try {
+            const registration = await serviceWorkerReady;
+            if (registration) {
+                await registration.showNotification(alert.title, options);
+            } else {
+                new Notification(alert.title, options);
+            }
+        } catch (e) {
+            console.warn('Failed to show notification:', e);
+        }
+    }
+    
+    function showAlertToast(alert) {
+        const toast = document.createElement('div');
+        toast.className = 'fixed bottom-4 right-4 bg-red-500 text-white px-6 py-4 rounded-lg shadow-lg z-50 max-w-sm';
+        toast.innerHTML = `
+            <div class="flex items-start gap-3">
+                <span class="text-2xl">🔔</span>
+                <div>
+                    <p class="font-bold">${escapeHtml(alert.title)}</p>
+                    <p class="text-sm mt-1">${escapeHtml(alert.message)}</p>
+                </div>
+                <button class="ml-2 text-white hover:text-gray-200">&times;</button>
+            </div>
+        `;
+        toast.querySelector('button').addEventListener('click', () => toast.remove());
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), 10000);
+    }
     
-    function getRealtimeApiUrl(deviceId) {
-        const source = API_SOURCES[currentApiSource];
-        // Local API - use device-specific endpoint for multi-device support
-        if (source.isLocal) {
-            // Use new endpoint: /api/realtime/device/{deviceId}
-            return `${currentOrigin}/api/realtime/device/${deviceId}`;
+    // Alerts panel: notification permission, rule settings, quiet hours and history
+    function renderAlertPermission() {
+        const statusEl = document.getElementById('alertPermissionStatus');
+        const button = document.getElementById('alertPermissionBtn');
+        if (!statusEl || !button) return;
+        
+        const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+        statusEl.textContent = {
+            granted: 'Thông báo đã bật',
+            denied: 'Thông báo bị chặn - bật lại trong cài đặt trình duyệt',
+            default: 'Thông báo chưa được bật',
+            unsupported: 'Trình duyệt không hỗ trợ thông báo'
+        }[permission];
+        button.classList.toggle('hidden', permission !== 'default');
+    }
+    
+    function renderAlertRules() {
+        const listEl = document.getElementById('alertRulesList');
+        if (!listEl) return;
+        
+        listEl.innerHTML = Object.entries(ALERT_RULE_TYPES).map(([ruleId, type]) => {
+            const rule = alertRules.rules[ruleId];
+            const inputs = Object.entries(type.fields).map(([field, [label, unit, step]]) => `
+                <label class="flex items-center gap-1 text-[10px] text-slate-500 dark:text-slate-400">
+                    ${label}
+                    <input type="number" data-field="${field}" value="${rule[field]}" step="${step}" min="0"
+                           class="w-16 px-1.5 py-0.5 rounded-md bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-600 text-xs text-slate-700 dark:text-slate-200">
+                    ${unit}
+                </label>`).join('');
+            return `
+                <div data-rule="${ruleId}" class="flex flex-wrap items-center gap-2 px-2 py-1.5 rounded-lg bg-slate-50 dark:bg-slate-700/50">
+                    <label class="flex items-center gap-1.5 flex-1 min-w-[150px] text-xs font-medium text-slate-700 dark:text-slate-200">
+                        <input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''} class="accent-teal-500">
+                        ${type.label}
+                    </label>
+                    ${inputs}
+                </div>`;
+        }).join('');
+        
+        const quietHours = alertRules.quietHours;
+        const quietEnabled = document.getElementById('quietHoursEnabled');
+        const quietStart = document.getElementById('quietHoursStart');
+        const quietEnd = document.getElementById('quietHoursEnd');
+        if (quietEnabled) quietEnabled.checked = quietHours.enabled;
+        if (quietStart) quietStart.value = quietHours.start;
+        if (quietEnd) quietEnd.value = quietHours.end;
+    }
+    
+    function renderAlertHistory() {
+        const activeCount = Object.keys(alertState.active).length;
+        const badge = document.getElementById('alertBadge');
+        if (badge) {
+            badge.textContent = String(activeCount);
+            badge.classList.toggle('hidden', activeCount === 0);
         }
-        return `${source.realtime}/${deviceId}`;
+        
+        const listEl = document.getElementById('alertHistoryList');
+        if (!listEl) return;
+        if (alertHistory.length === 0) {
+            listEl.innerHTML = '<p class="text-[11px] text-slate-400">Chưa có cảnh báo nào</p>';
+            return;
+        }
+        
+        const formatTime = (ms) => {
+            const d = new Date(ms);
+            return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+        };
+        listEl.innerHTML = alertHistory.map(alert => {
+            let status = '';
+            if (alert.source === 'push') {
+                status = '<span class="text-sky-500">Push</span>';
+            } else if (alert.clearedAt) {
+                status = `<span class="text-emerald-500">Hết lúc ${formatTime(alert.clearedAt)}</span>`;
+            } else if (Object.values(alertState.active).includes(alert.id)) {
+                status = '<span class="text-red-500 font-semibold">Đang diễn ra</span>';
+            }
+            return `
+                <div class="px-2 py-1.5 rounded-lg bg-slate-50 dark:bg-slate-700/50">
+                    <div class="flex items-center justify-between gap-2">
+                        <span class="text-xs font-semibold text-slate-700 dark:text-slate-200 truncate">${escapeHtml(alert.title)}</span>
+                        <span class="text-[10px] text-slate-400 flex-shrink-0">${formatShortDate(formatDate(new Date(alert.firedAt))).slice(0, 5)} ${formatTime(alert.firedAt)}</span>
+                    </div>
+                    <div class="flex items-center justify-between gap-2 text-[10px] text-slate-500 dark:text-slate-400">
+                        <span>${escapeHtml(alert.message)}${alert.silenced ? ' · 🔕 giờ yên lặng' : ''}</span>
+                        ${status}
+                    </div>
+                </div>`;
+        }).join('');
+    }
+    
+    function saveAlertRules() {
+        localStorage.setItem(ALERT_RULES_KEY, JSON.stringify(alertRules));
     }
     
+    document.getElementById('alertsBtn')?.addEventListener('click', () => {
+        const panel = document.getElementById('alertsPanel');
+        if (!panel) return;
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            renderAlertPermission();
+            renderAlertRules();
+            renderAlertHistory();
+        }
+    });
+    document.getElementById('alertsCloseBtn')?.addEventListener('click', () => {
+        document.getElementById('alertsPanel')?.classList.add('hidden');
+    });
+    document.getElementById('alertPermissionBtn')?.addEventListener('click', async () => {
+        await Notification.requestPermission();
+        renderAlertPermission();
+    });
+    document.getElementById('alertRulesList')?.addEventListener('change', (event) => {
+        const ruleId = event.target.closest('[data-rule]')?.dataset.rule;
+        const field = event.target.dataset.field;
+        if (!ruleId || !field) return;
+        
+        if (field === 'enabled') {
+            alertRules.rules[ruleId].enabled = event.target.checked;
+        } else {
+            const value = parseFloat(event.target.value);
+            if (isNaN(value) || value < 0) {
+                event.target.value = alertRules.rules[ruleId][field];
+                return;
+            }
+            alertRules.rules[ruleId][field] = value;
+        }
+        saveAlertRules();
+        // Re-judge with the new settings on the next values; a disabled rule clears right away
+        if (!alertRules.rules[ruleId].enabled && alertState.active[ruleId]) clearAlert(ruleId);
+    });
+    ['quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => {
+            alertRules.quietHours = {
+                enabled: document.getElementById('quietHoursEnabled')?.checked || false,
+                start: document.getElementById('quietHoursStart')?.value || '22:00',
+                end: document.getElementById('quietHoursEnd')?.value || '06:00'
+            };
+            saveAlertRules();
+        });
+    });
+    document.getElementById('alertHistoryClearBtn')?.addEventListener('click', () => {
+        if (!confirm('Xóa lịch sử cảnh báo?')) return;
+        // Keep the entries of alerts still in progress so they can be closed later
+        const activeIds = Object.values(alertState.active);
+        alertHistory = alertHistory.filter(alert => activeIds.includes(alert.id));
+        saveAlertHistory();
+        renderAlertHistory();
+    });
+    renderAlertHistory();
+    
     // SOC API URL - Use Railway API (simplified, no external fallback)
     function getSocApiUrl(deviceId, date) {
         return `${SOC_API_PRIMARY}/${deviceId}?date=${date}`;
@@ -582,8 +1253,8 @@ document.addEventListener('DOMContentLoaded', function () {
     function subscribeToDevice(deviceId) {
         if (!deviceId) return;
         
-        // Always start realtime polling (works even if SignalR fails)
-        startRealtimePolling(deviceId);
+        // Always start realtime updates - SSE stream or polling (works even if SignalR fails)
+        startRealtimeUpdates(deviceId);
         
         if (deviceId === currentDeviceId || !connection || connection.state !== "Connected") {
             return;
@@ -629,134 +1300,268 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     }
     
-    async function fetchRealtimeData(deviceId) {
+    // ========================================
+    // REALTIME STREAM (SSE via Worker /api/ha/stream)
+    // Pushes v2 realtime sections as HA values change - replaces polling when available
+    // ========================================
+    
+    let realtimeStream = null;
+    let streamSnapshot = null;
+    let realtimeGeneration = 0; // Bumped per start so a superseded start doesn't begin polling
+    const STREAM_OPEN_TIMEOUT = 10000; // Fall back to polling if no snapshot within 10s
+    
+    // Prefer the stream, fall back to 3s polling
+    async function startRealtimeUpdates(deviceId) {
+        const generation = ++realtimeGeneration;
+        stopRealtimePolling();
+        const streaming = await startRealtimeStream(deviceId);
+        if (generation !== realtimeGeneration) return; // Another device was selected meanwhile
+        if (streaming) {
+            console.log(`📡 Realtime stream active for ${deviceId} (polling disabled)`);
+            return;
+        }
+        startRealtimePolling(deviceId);
+    }
+    
+    function stopRealtimeStream() {
+        if (realtimeStream) {
+            realtimeStream.close();
+            realtimeStream = null;
+        }
+    }
+    
+    // EventSource can't send headers - exchange the API key for a short-lived token scoped to this device
+    async function fetchStreamToken(deviceId) {
         try {
-            // Use configured API source (Workers or Sandbox)
-            const apiUrl = getRealtimeApiUrl(deviceId);
-            console.log(`📡 Fetching from ${API_SOURCES[currentApiSource].name}:`, apiUrl);
-            const response = await fetch(apiUrl);
-            if (!response.ok) return;
-            
+            const response = await fetchWithProxyFallback(() => LIGHTEARTH_API.authToken(), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ devices: [deviceId] })
+            });
             const data = await response.json();
-            if (data.error) return;
-            
-            // Check if device not found in Home Assistant
-            if (data.success === false) {
-                console.warn(`⚠️ Device ${deviceId} not found:`, data.message);
-                // Show error message to user
-                updateRealTimeDisplay({
-                    noRealtimeData: true,
-                    deviceNotFound: true,
-                    errorMessage: data.message || `Device ${deviceId} not found in Home Assistant`
-                });
-                return;
-            }
-            
-            // Detect format: new HA API has deviceData, old proxy has data
-            const isNewFormat = data.deviceData !== undefined;
-            let displayData, cellsData;
-            
-            if (isNewFormat) {
-                // New format from /api/realtime/all (HA fallback)
-                const dd = data.deviceData || {};
-                displayData = {
-                    pvTotalPower: dd.pv?.totalPower || 0,
-                    pv1Power: dd.pv?.pv1Power || 0,
-                    pv2Power: dd.pv?.pv2Power || 0,
-                    pv1Voltage: dd.pv?.pv1Voltage || 0,
-                    pv2Voltage: dd.pv?.pv2Voltage || 0,
-                    gridValue: dd.grid?.power || 0,
-                    gridVoltageValue: dd.grid?.inputVoltage || 0,
-                    batteryPercent: dd.battery?.soc || 0,
-                    batteryValue: dd.battery?.power || 0,
-                    batteryVoltage: dd.battery?.voltage || 0,
-                    batteryStatus: dd.battery?.status || 'Idle',
-                    deviceTempValue: dd.system?.temperature || 0,
-                    essentialValue: dd.acOutput?.power || 0,
-                    loadValue: dd.load?.power || 0,
-                    inverterAcOutPower: dd.acOutput?.power || 0
-                };
-                cellsData = data.batteryCells;
-                console.log('📊 Using NEW format (HA)', displayData);
-            } else if (data.data) {
-                // Old format from proxy
-                displayData = {
-                    pvTotalPower: data.data.totalPvPower || 0,
-                    pv1Power: data.data.pv1Power || 0,
-                    pv2Power: data.data.pv2Power || 0,
-                    pv1Voltage: data.data.pv1Voltage || 0,
-                    pv2Voltage: data.data.pv2Voltage || 0,
-                    gridValue: data.data.gridPowerFlow || 0,
-                    gridVoltageValue: data.data.acInputVoltage || 0,
-                    batteryPercent: data.data.batterySoc || 0,
-                    batteryValue: data.data.batteryPower || 0,
-                    batteryVoltage: data.data.batteryVoltage || 0,
-                    batteryStatus: data.data.batteryStatus || 'Idle',
-                    deviceTempValue: data.data.temperature || 0,
-                    essentialValue: data.data.acOutputPower || 0,
-                    loadValue: data.data.homeLoad || 0,
-                    inverterAcOutPower: data.data.acOutputPower || 0
-                };
-                cellsData = data.cells;
-                console.log('📊 Using OLD format (Proxy)', displayData);
-            } else {
-                return; // No valid data
-            }
+            return data.success ? data.token : null;
+        } catch (error) {
+            console.warn('⚠️ Stream token unavailable:', error.message);
+            return null;
+        }
+    }
+    
+    // Resolves true once the first snapshot arrives, false if the stream is unavailable
+    async function startRealtimeStream(deviceId) {
+        stopRealtimeStream();
+        if (typeof EventSource === 'undefined') return false;
+        
+        let url = LIGHTEARTH_API.haStream(deviceId);
+        if (SolarCommon.hasApiKey()) {
+            const token = await fetchStreamToken(deviceId);
+            if (!token) return false;
+            url += `?token=${encodeURIComponent(token)}`;
+        }
+        
+        return new Promise(resolve => {
+            const source = new EventSource(url);
+            realtimeStream = source;
+            let opened = false;
             
-            // Update displays with realtime data
-            updateRealTimeDisplay(displayData);
+            const openTimeout = setTimeout(() => {
+                if (opened) return;
+                console.warn('⚠️ Realtime stream timed out');
+                source.close();
+                if (realtimeStream === source) realtimeStream = null;
+                resolve(false);
+            }, STREAM_OPEN_TIMEOUT);
             
-            // Update battery cell voltages
-            if (cellsData && cellsData.cellVoltages) {
-                let cellVoltages = [];
-                const rawVoltages = cellsData.cellVoltages;
-                
-                // Handle Array format: [3.413, 3.379, ...]
-                if (Array.isArray(rawVoltages)) {
-                    cellVoltages = rawVoltages;
-                } 
-                // Handle Object format: {"Cell 01": 3.223, ...}
-                else if (typeof rawVoltages === 'object') {
-                    const cellNames = Object.keys(rawVoltages).sort((a, b) => 
-                        parseInt(a.replace(/\D/g, '')) - parseInt(b.replace(/\D/g, ''))
-                    );
-                    cellNames.forEach(cellName => {
-                        cellVoltages.push(rawVoltages[cellName]);
-                    });
-                }
-                
-                if (cellVoltages.length > 0) {
-                    const validVoltages = cellVoltages.filter(v => v > 0);
-                    const cellData = {
-                        cells: cellVoltages,
-                        maximumVoltage: cellsData.maximumVoltage || Math.max(...validVoltages, 0),
-                        minimumVoltage: cellsData.minimumVoltage || Math.min(...validVoltages.filter(v => v > 0), 0),
-                        averageVoltage: cellsData.averageVoltage || (validVoltages.length > 0 ? validVoltages.reduce((a, b) => a + b, 0) / validVoltages.length : 0),
-                        numberOfCells: cellVoltages.length
-                    };
-                    updateBatteryCellDisplay(cellData);
-                    console.log(`📊 Cell voltages updated: ${cellVoltages.length} cells`);
+            // Full v2 snapshot on every (re)connect
+            source.addEventListener('snapshot', (event) => {
+                streamSnapshot = JSON.parse(event.data);
+                applyStreamSnapshot();
+                if (!opened) {
+                    opened = true;
+                    clearTimeout(openTimeout);
+                    resolve(true);
                 }
-            }
+            });
             
-            // NOTE: SOC data is handled by fetchSOCData() from API
-            // Chart data is loaded only once in fetchData()
+            // Only the v2 sections that changed (pv, battery, ...), each replacing ours whole
+            source.addEventListener('state', (event) => {
+                if (!streamSnapshot) return;
+                streamSnapshot = { ...streamSnapshot, ...JSON.parse(event.data) };
+                applyStreamSnapshot();
+            });
             
-            updateConnectionStatus('connected', 'http');
-        } catch (error) {
-            console.error('Realtime fetch error:', error);
-            // Silent fail for polling - don't update status on error
-            // This allows HTTP API status to remain if it was previously working
-        }
+            // EventSource reconnects by itself (with Last-Event-ID); CLOSED means the Worker refused
+            source.onerror = () => {
+                if (source.readyState !== EventSource.CLOSED || realtimeStream !== source) return;
+                realtimeStream = null;
+                if (!opened) {
+                    clearTimeout(openTimeout);
+                    resolve(false);
+                } else {
+                    // e.g. token expired - start over (new token, or polling)
+                    console.warn('⚠️ Realtime stream closed, restarting realtime updates');
+                    startRealtimeUpdates(deviceId);
+                }
+            };
+        });
     }
     
-    connection.onclose(async () => {
-        console.log("SignalR connection closed");
-        updateConnectionStatus('disconnected', 'mqtt');
-        await startSignalRConnection();
-    });
-
-    // ========================================
+    function applyStreamSnapshot() {
+        applyRealtimeSnapshot(streamSnapshot);
+        updateConnectionStatus('connected', 'http');
+    }
+    
+    // Independent realtime sources, tried in order. A failing source is skipped for a while
+    // so every poll doesn't wait on it; when all are backing off they are all retried.
+    // Every source resolves to a snapshot in the v2 schema.
+    const REALTIME_SOURCES = [
+        { name: 'homeassistant', load: (deviceId) => fetchWorkerRealtime(() => LIGHTEARTH_API.realtimeV2(deviceId)), backoffUntil: 0 },
+        { name: 'railway', load: (deviceId) => fetchWorkerRealtime(() => LIGHTEARTH_API.realtimeV2Railway(deviceId)), backoffUntil: 0 }
+    ];
+    const REALTIME_SOURCE_BACKOFF = 60000;
+    
+    async function fetchRealtimeData(deviceId) {
+        const now = Date.now();
+        const available = REALTIME_SOURCES.filter(s => now >= s.backoffUntil);
+        const sources = available.length > 0 ? available : REALTIME_SOURCES;
+        const errors = [];
+        let staleSnapshot = null;
+        
+        for (const source of sources) {
+            try {
+                const data = await source.load(deviceId);
+                
+                // Worker served its last good copy (upstream down) - prefer a live source if any
+                if (data.stale) {
+                    console.warn(`⚠️ Realtime source ${source.name} is stale (${data.age}s old)`);
+                    source.backoffUntil = Date.now() + REALTIME_SOURCE_BACKOFF;
+                    staleSnapshot ||= data;
+                    errors.push(new Error('stale'));
+                    continue;
+                }
+                
+                source.backoffUntil = 0;
+                applyRealtimeSnapshot(data);
+                updateConnectionStatus('connected', 'http');
+                return;
+            } catch (error) {
+                // Auth errors apply to every source behind the Worker
+                if (error.noRetry) {
+                    console.error('Realtime fetch error:', error);
+                    return;
+                }
+                console.warn(`⚠️ Realtime source ${source.name} failed: ${error.message}`);
+                source.backoffUntil = Date.now() + REALTIME_SOURCE_BACKOFF;
+                errors.push(error);
+            }
+        }
+        
+        if (staleSnapshot) {
+            applyRealtimeSnapshot(staleSnapshot);
+            return;
+        }
+        
+        // Device not found only when no source knows it
+        if (errors.length === sources.length && errors.every(e => e.message.includes('404'))) {
+            console.warn(`⚠️ Device ${deviceId} not found`);
+            updateRealTimeDisplay({
+                noRealtimeData: true,
+                deviceNotFound: true,
+                errorMessage: `Device ${deviceId} not found`
+            });
+            return;
+        }
+        // Silent fail for polling - don't update status on error
+        // This allows HTTP API status to remain if it was previously working
+    }
+    
+    async function fetchWorkerRealtime(urlBuilder) {
+        const response = await fetchWithProxyFallback(urlBuilder);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Realtime source failed');
+        return data;
+    }
+    
+    // Show a realtime snapshot in the v2 schema (W/V/°C; battery + = charging, grid + = import)
+    function applyRealtimeSnapshot(rt) {
+        const [pv1 = {}, pv2 = {}] = rt.pv.strings || [];
+        const batteryStatus = { charging: 'Charging', discharging: 'Discharging' }[rt.battery.status] || 'Idle';
+        
+        updateRealTimeDisplay({
+            pvTotalPower: rt.pv.power ?? 0,
+            pv1Power: pv1.power ?? 0,
+            pv2Power: pv2.power ?? 0,
+            pv1Voltage: pv1.voltage ?? 0,
+            pv2Voltage: pv2.voltage ?? 0,
+            gridValue: rt.grid.power ?? 0,
+            gridVoltageValue: rt.grid.voltage ?? 0,
+            batteryPercent: rt.battery.soc ?? null,
+            batteryValue: rt.battery.power ?? 0,
+            batteryVoltage: rt.battery.voltage ?? 0,
+            batteryStatus: batteryStatus,
+            deviceTempValue: rt.system.temperature ?? 0,
+            essentialValue: rt.essential.power ?? 0,
+            loadValue: rt.load.power ?? 0,
+            inverterAcOutPower: rt.essential.power ?? 0,
+            stale: Boolean(rt.stale)
+        });
+        
+        if (rt.cells) {
+            applyRealtimeCells({
+                cellVoltages: rt.cells.voltages,
+                maximumVoltage: rt.cells.max,
+                minimumVoltage: rt.cells.min,
+                averageVoltage: rt.cells.avg,
+                stale: Boolean(rt.stale)
+            });
+        }
+        
+        // NOTE: SOC data is handled by fetchSOCData() from API
+        // Chart data is loaded only once in fetchData()
+    }
+    
+    // Battery cell voltages (array or { "Cell 01": 3.223, ... }) -> cell display
+    function applyRealtimeCells(cellsData) {
+        if (cellsData && cellsData.cellVoltages) {
+            let cellVoltages = [];
+            const rawVoltages = cellsData.cellVoltages;
+            
+            // Handle Array format: [3.413, 3.379, ...]
+            if (Array.isArray(rawVoltages)) {
+                cellVoltages = rawVoltages;
+            } 
+            // Handle Object format: {"Cell 01": 3.223, ...}
+            else if (typeof rawVoltages === 'object') {
+                const cellNames = Object.keys(rawVoltages).sort((a, b) => 
+                    parseInt(a.replace(/\D/g, '')) - parseInt(b.replace(/\D/g, ''))
+                );
+                cellNames.forEach(cellName => {
+                    cellVoltages.push(rawVoltages[cellName]);
+                });
+            }
+            
+            if (cellVoltages.length > 0) {
+                const validVoltages = cellVoltages.filter(v => v > 0);
+                const cellData = {
+                    cells: cellVoltages,
+                    maximumVoltage: cellsData.maximumVoltage || Math.max(...validVoltages, 0),
+                    minimumVoltage: cellsData.minimumVoltage || Math.min(...validVoltages.filter(v => v > 0), 0),
+                    averageVoltage: cellsData.averageVoltage || (validVoltages.length > 0 ? validVoltages.reduce((a, b) => a + b, 0) / validVoltages.length : 0),
+                    numberOfCells: cellVoltages.length,
+                    stale: cellsData.stale
+                };
+                updateBatteryCellDisplay(cellData);
+                console.log(`📊 Cell voltages updated: ${cellVoltages.length} cells`);
+            }
+        }
+    }
+    
+    connection.onclose(async () => {
+        console.log("SignalR connection closed");
+        updateConnectionStatus('disconnected', 'mqtt');
+        await startSignalRConnection();
+    });
+
+    // ========================================
     // DATA FETCHING
     // ========================================
     
@@ -769,6 +1574,9 @@ document.addEventListener('DOMContentLoaded', function () {
             return;
         }
 
+        // A comparison is tied to the device/date on screen
+        exitComparison();
+
         // Update URL
         const url = new URL(window.location);
         url.searchParams.set('deviceId', deviceId);
@@ -785,6 +1593,9 @@ document.addEventListener('DOMContentLoaded', function () {
 
         // FAST LOAD: Call realtime API first for instant display
         fetchRealtimeFirst(deviceId, date);
+        
+        // Month/Year/Lifetime tab open: reload it for this device
+        if (currentPeriod !== 'day') loadHistoryPeriod(currentPeriod);
     }
     
     // Fast load: Optimized data loading with minimal API calls
@@ -830,54 +1641,86 @@ document.addEventListener('DOMContentLoaded', function () {
             initializeBatteryCellsWaiting();
         }
         
-        // Show loading chart immediately (don't wait for Lightearth API)
-        // Check if we have cached chart data first
+        // Show loading chart immediately (don't wait for Lightearth API);
+        // a stored day replaces it as soon as the day store answers
         const queryDate = date || document.getElementById('dateInput')?.value || new Date().toISOString().split('T')[0];
-        const hasCachedChart = lightearthCache.data && 
-            lightearthCache.deviceId === deviceId && 
-            lightearthCache.date === queryDate &&
-            (Date.now() - lightearthCache.timestamp) < LIGHTEARTH_CACHE_TTL;
-        
-        if (hasCachedChart) {
-            console.log('📦 Using cached chart data for instant display');
-            // Apply cached data based on source type
-            if (lightearthCache.data.dataSource === 'HomeAssistant') {
-                updateChartFromHAData(lightearthCache.data);
-            } else {
-                updateSummaryFromLightearthData(lightearthCache.data);
-            }
-        } else {
-            // Show loading chart placeholder while fetching
-            showLoadingChart();
-        }
+        showLoadingChart();
         
         // Fetch summary data (updates 3 cards: Năng Lượng, Pin Lưu Trữ, Nguồn Điện)
         fetchRealtimeDataForSummary(deviceId);
         
-        // ALWAYS fetch SOC data (for SOC chart) - even if we have cache
-        // This ensures SOC chart is always displayed
-        console.log('📊 Fetching SOC data for chart...');
-        fetchSOCData().catch(err => console.warn('SOC fetch error:', err));
+        // PRIMARY: one Worker request for chart + SOC + temperature + device info
+        const batch = await fetchHADayBatch(deviceId, queryDate);
+        if (batch.chartLoaded) return;
+        
+        // Batch unavailable: fall back to the individual requests for whatever it didn't cover
+        if (!batch.loaded) {
+            // ALWAYS fetch SOC data (for SOC chart)
+            // This ensures SOC chart is always displayed
+            console.log('📊 Fetching SOC data for chart...');
+            fetchSOCData().catch(err => console.warn('SOC fetch error:', err));
+            
+            // ALWAYS fetch temperature min/max
+            console.log('🌡️ Fetching temperature data...');
+            fetchTemperatureMinMax(deviceId, queryDate);
+            
+            // Fetch device info (inverter model) from HA
+            fetchDeviceInfo(deviceId);
+        }
+        
+        // HA already answered with no power data for this day - go straight to Lightearth
+        const dayOptions = { skipHAPowerHistory: batch.loaded };
         
-        // ALWAYS fetch temperature min/max - even if we have cache
-        console.log('🌡️ Fetching temperature data...');
-        fetchTemperatureMinMax(deviceId, queryDate);
+        fetchDayDataInBackground(deviceId, queryDate, dayOptions).catch(err => console.warn('Day data error:', err));
+    }
+    
+    // Load a whole day via the offline day store / Worker batch endpoint (/api/ha/day) in one round-trip.
+    // Returns { loaded, chartLoaded }: loaded = SOC/temperature/device info applied,
+    // chartLoaded = HA had power data and the charts + summary were updated from it
+    async function fetchHADayBatch(deviceId, queryDate) {
+        try {
+            console.log(`📦 [Batch] Loading day data (proxy: ${getCurrentProxy()})...`);
+            let chartLoaded = false;
+            const { day, fromStore } = await loadStoredOrFetchDay(deviceId, queryDate, (storedDay) => {
+                if (isDayOnScreen(deviceId, queryDate)) chartLoaded = applyHADayBatch(deviceId, queryDate, storedDay);
+            });
+            // The user moved on to another day/device meanwhile: nothing left to render or fall back to
+            if (!isDayOnScreen(deviceId, queryDate)) return { loaded: true, chartLoaded: true };
+            if (!fromStore) chartLoaded = applyHADayBatch(deviceId, queryDate, day);
+            return { loaded: true, chartLoaded };
+        } catch (error) {
+            console.warn("⚠️ [Batch] Day endpoint unavailable:", error.message);
+            if (error.message.includes('429')) showRateLimitWarning();
+            return { loaded: false, chartLoaded: false };
+        }
+    }
+    
+    function isDayOnScreen(deviceId, date) {
+        const shownDate = document.getElementById('dateInput')?.value;
+        return document.getElementById('deviceId')?.value?.trim() === deviceId && (!shownDate || shownDate === date);
+    }
+    
+    // Render one /api/ha/day payload; returns whether it had power data for the charts
+    function applyHADayBatch(deviceId, queryDate, dayData) {
+        applySOCTimeline(dayData.soc?.timeline);
+        applyTemperatureStats({ success: true, ...dayData.temperature });
+        if (dayData.device) handleDeviceInfoData(deviceId, { success: true, ...dayData.device });
+        
+        if (!dayData.timeline || dayData.timeline.length === 0) {
+            console.warn("⚠️ [Batch] No HA power data for this day");
+            return false;
+        }
         
-        // Fetch device info (inverter model) from HA
-        fetchDeviceInfo(deviceId);
+        console.log(`✅ [Batch] Day data loaded: ${dayData.timeline.length} power points, ${dayData.soc?.count || 0} SOC points`);
+        const { soc, temperature, device, ...haChartData } = dayData;
+        updateChartFromHAData(haChartData);
         
-        // ALWAYS fetch chart data if cache is empty or stale
-        // This ensures charts are always populated
-        if (!hasCachedChart) {
-            console.log('📊 No valid cache, fetching fresh chart data...');
-            fetchDayDataInBackground(deviceId, queryDate).catch(err => console.warn('Day data error:', err));
-        } else {
-            // Even with cache, refresh data in background for freshness
-            console.log('📊 Refreshing chart data in background...');
-            setTimeout(() => {
-                fetchDayDataInBackground(deviceId, queryDate).catch(err => console.warn('Background refresh error:', err));
-            }, 2000); // Delay 2s to not block initial render
+        // Same rule as the power-history path: HA totals for past days or when Railway summary is missing
+        const railwayDataLoaded = summaryDataCache.deviceId === deviceId && summaryDataCache.data;
+        if (dayData.energy && (!railwayDataLoaded || queryDate !== formatDate(new Date()))) {
+            applyHAEnergySummary(dayData.energy);
         }
+        return true;
     }
     
     // Helper to apply summary data to UI
@@ -891,6 +1734,19 @@ document.addEventListener('DOMContentLoaded', function () {
         updateValue('essential-total', (data.essentialDay || 0).toFixed(1) + ' kWh');
     }
     
+    // Apply daily totals integrated by the Worker from HA power history (kWh)
+    function applyHAEnergySummary(energy) {
+        if (!energy) return;
+        updateValue('pv-total', (energy.pv || 0).toFixed(1) + ' kWh');
+        updateValue('bat-charge', (energy.charge || 0).toFixed(1) + ' kWh');
+        updateValue('bat-discharge', (energy.discharge || 0).toFixed(1) + ' kWh');
+        updateValue('load-total', (energy.load || 0).toFixed(1) + ' kWh');
+        updateValue('grid-total', (energy.grid || 0).toFixed(1) + ' kWh');
+        if (energy.essential !== undefined) {
+            updateValue('essential-total', energy.essential.toFixed(1) + ' kWh');
+        }
+    }
+    
     // Fetch summary data for the 3 cards (fast path - single API call)
     async function fetchRealtimeDataForSummary(deviceId) {
         try {
@@ -934,15 +1790,8 @@ document.addEventListener('DOMContentLoaded', function () {
     // PRIORITY ORDER:
     // 1. Railway API (Home Assistant data) - always try first for all devices
     // 2. Lightearth API (lesvr.suntcn.com via Cloudflare Worker) - for chart data
-    async function fetchDayDataInBackground(deviceId, date) {
+    async function fetchDayDataInBackground(deviceId, date, options = {}) {
         const queryDate = date || document.getElementById('dateInput')?.value || new Date().toISOString().split('T')[0];
-        const now = Date.now();
-        
-        // Clear chart cache if deviceId changed (summary cache is separate)
-        if (lightearthCache.deviceId && lightearthCache.deviceId !== deviceId) {
-            console.log(`🔄 Device changed from ${lightearthCache.deviceId} to ${deviceId}, clearing chart cache`);
-            lightearthCache = { data: null, deviceId: null, date: null, timestamp: 0 };
-        }
         
         // Clear summary cache only if device changed
         if (summaryDataCache.deviceId && summaryDataCache.deviceId !== deviceId) {
@@ -993,74 +1842,47 @@ document.addEventListener('DOMContentLoaded', function () {
         // STEP 2: Try Home Assistant Power History API for chart data (via Cloudflare Worker)
         let chartDataLoaded = false;
         
-        // Check cache first
-        if (lightearthCache.data && 
-            lightearthCache.deviceId === deviceId && 
-            lightearthCache.date === queryDate &&
-            (now - lightearthCache.timestamp) < LIGHTEARTH_CACHE_TTL) {
-            
-            const cacheAge = Math.round((now - lightearthCache.timestamp) / 1000);
-            console.log(`📦 Using cached chart data (age: ${cacheAge}s)`);
-            
-            // Check if cached data is from HA or Lightearth
-            if (lightearthCache.data.dataSource === 'HomeAssistant') {
-                updateChartFromHAData(lightearthCache.data);
-            } else {
-                updateSummaryFromLightearthData(lightearthCache.data);
-            }
-            return;
-        }
-        
         // Try HA Power History API first (via Cloudflare Worker with proxy fallback)
-        try {
-            console.log("📊 [Priority 2] Fetching chart data from Home Assistant API (via Worker)...");
-            
-            // Use fetchWithProxyFallback to automatically try fallback proxy if primary fails
-            const haResponse = await fetchWithProxyFallback(
-                () => LIGHTEARTH_API.haPowerHistory(deviceId, queryDate)
-            );
-            
-            const haChartData = await haResponse.json();
-            console.log("📊 HA Power History response:", haChartData);
-            
-            if (haChartData.success && haChartData.timeline && haChartData.timeline.length > 0) {
-                console.log(`✅ [Priority 2] HA Power History SUCCESS: ${haChartData.timeline.length} data points (proxy: ${getCurrentProxy()})`);
+        if (!options.skipHAPowerHistory) {
+            try {
+                console.log("📊 [Priority 2] Fetching chart data from Home Assistant API (via Worker)...");
                 
-                // Cache the HA data
-                lightearthCache = {
-                    data: { ...haChartData, dataSource: 'HomeAssistant' },
-                    deviceId: deviceId,
-                    date: queryDate,
-                    timestamp: now
-                };
-                console.log("💾 HA chart data cached (TTL: 30 minutes)");
-                saveCacheToLocalStorage(); // Persist to localStorage
+                // Use fetchWithProxyFallback to automatically try fallback proxy if primary fails
+                const haResponse = await fetchWithProxyFallback(
+                    () => LIGHTEARTH_API.haPowerHistory(deviceId, queryDate)
+                );
                 
-                // Update chart with HA data
-                updateChartFromHAData(haChartData);
-                chartDataLoaded = true;
-                return; // Success - no need to try Lightearth API
-            } else {
-                console.warn("⚠️ [Priority 2] HA Power History returned no data");
-            }
-        } catch (haError) {
-            console.warn("⚠️ [Priority 2] HA Power History API failed:", haError.message);
-            // fetchWithProxyFallback already tried all proxies, show rate limit warning
-            if (haError.message.includes('429')) {
-                showRateLimitWarning();
-                return;
+                const haChartData = await haResponse.json();
+                console.log("📊 HA Power History response:", haChartData);
+                
+                if (haChartData.success && haChartData.timeline && haChartData.timeline.length > 0) {
+                    console.log(`✅ [Priority 2] HA Power History SUCCESS: ${haChartData.timeline.length} data points (proxy: ${getCurrentProxy()})`);
+                    
+                    // Update chart with HA data
+                    updateChartFromHAData(haChartData);
+                    chartDataLoaded = true;
+                    
+                    // HA-integrated daily totals: use them for past days (Railway summary is today-only)
+                    // or when the Railway summary is unavailable
+                    if (haChartData.energy && (!railwayDataLoaded || queryDate !== formatDate(new Date()))) {
+                        applyHAEnergySummary(haChartData.energy);
+                    }
+                    return; // Success - no need to try Lightearth API
+                } else {
+                    console.warn("⚠️ [Priority 2] HA Power History returned no data");
+                }
+            } catch (haError) {
+                console.warn("⚠️ [Priority 2] HA Power History API failed:", haError.message);
+                // fetchWithProxyFallback already tried all proxies, show rate limit warning
+                if (haError.message.includes('429')) {
+                    showRateLimitWarning();
+                    return;
+                }
             }
         }
         
         // STEP 3: Fallback to Lightearth API for chart data (with proxy fallback)
-        // Skip if we recently got rate limited (within last 5 minutes)
-        const rateLimitKey = 'solar_rate_limit_until';
-        const rateLimitUntil = parseInt(localStorage.getItem(rateLimitKey) || '0');
-        if (Date.now() < rateLimitUntil) {
-            console.warn("⏳ Skipping Lightearth API - rate limit cooldown active");
-            return;
-        }
-        
+        // Responses are edge-cached by the Worker; fetchWithProxyFallback honours its RateLimit headers
         try {
             // Use Lightearth API with proxy fallback - fetch all 3 endpoints in parallel
             console.log(`📊 [Priority 3] Fetching chart data from Lightearth API (proxy: ${getCurrentProxy()})...`);
@@ -1084,27 +1906,13 @@ document.addEventListener('DOMContentLoaded', function () {
                 throw new Error(`Lightearth API returned invalid data (returnValue: ${batData.returnValue}, ${pvData.returnValue}, ${otherData.returnValue})`);
             }
             
-            // Cache the data (mark as Lightearth source)
-            lightearthCache = {
-                data: { batData, pvData, otherData, dataSource: 'Lightearth' },
-                deviceId: deviceId,
-                date: queryDate,
-                timestamp: now
-            };
-            console.log("💾 Lightearth data cached (TTL: 30 minutes)");
-            saveCacheToLocalStorage(); // Persist to localStorage
-            
             // Update UI with chart data (this also updates summary, overwriting Railway data if available)
-            updateSummaryFromLightearthData(lightearthCache.data);
+            updateSummaryFromLightearthData({ batData, pvData, otherData, dataSource: 'Lightearth' });
             
         } catch (error) {
             console.warn("⚠️ Lightearth API failed (all proxies tried):", error.message);
             
-            // All proxies failed, set rate limit cooldown
-            if (error.message.includes('429') || error.message.includes('All proxies failed')) {
-                localStorage.setItem(rateLimitKey, String(Date.now() + 5 * 60 * 1000)); // 5 min cooldown
-                showRateLimitWarning();
-            }
+            if (error.message.includes('429')) showRateLimitWarning();
             
             // If Railway API already loaded summary data, we're done (just no chart data)
             if (railwayDataLoaded) {
@@ -1130,6 +1938,7 @@ document.addEventListener('DOMContentLoaded', function () {
         const batData = new Array(288).fill(0);
         const loadData = new Array(288).fill(0);
         const gridData = new Array(288).fill(0);
+        const essentialData = new Array(288).fill(0);
         
         // Fill in data from timeline
         timeline.forEach(point => {
@@ -1145,6 +1954,7 @@ document.addEventListener('DOMContentLoaded', function () {
                     batData[slotIndex] = point.bat || 0;
                     loadData[slotIndex] = point.load || 0;
                     gridData[slotIndex] = point.grid || 0;
+                    essentialData[slotIndex] = point.essential || 0;
                 }
             }
         });
@@ -1154,6 +1964,7 @@ document.addEventListener('DOMContentLoaded', function () {
             if (pvData[i] === 0 && pvData[i-1] !== 0) pvData[i] = pvData[i-1];
             if (loadData[i] === 0 && loadData[i-1] !== 0) loadData[i] = loadData[i-1];
             if (gridData[i] === 0 && gridData[i-1] !== 0) gridData[i] = gridData[i-1];
+            if (essentialData[i] === 0 && essentialData[i-1] !== 0) essentialData[i] = essentialData[i-1];
             // Battery data is different - 0 is valid, so don't forward fill
         }
         
@@ -1164,7 +1975,7 @@ document.addEventListener('DOMContentLoaded', function () {
             bat: { tableValueInfo: batData },
             load: { tableValueInfo: loadData },
             grid: { tableValueInfo: gridData },
-            essentialLoad: { tableValueInfo: new Array(288).fill(0) } // Not available from HA
+            essentialLoad: { tableValueInfo: essentialData }
         };
     }
     
@@ -1217,7 +2028,7 @@ document.addEventListener('DOMContentLoaded', function () {
     }
     
     // Update chart from Home Assistant Power History data (via Cloudflare Worker)
-    // NEW Timeline format v2.3: [{time: "HH:mm", pv: 0, battery: 0, grid: 0, load: 0}, ...]
+    // NEW Timeline format v2.3: [{time: "HH:mm", pv: 0, battery: 0, grid: 0, load: 0, essential: 0, ...}, ...]
     // Worker now returns local Vietnam time strings (not ISO)
     function updateChartFromHAData(haData) {
         if (!haData || !haData.timeline || haData.timeline.length === 0) {
@@ -1225,6 +2036,29 @@ document.addEventListener('DOMContentLoaded', function () {
             return;
         }
         
+        const timeline = haData.timeline;
+        const { chartData, maxAllowedSlot } = convertHATimelineToChartData(haData);
+        
+        console.log("📊 Updating combined energy chart with Home Assistant data");
+        updateCharts(chartData);
+        
+        // Update peak stats from HA data
+        const filteredTimeline = timeline.filter((point, index) => {
+            let slotIndex;
+            if (point.time && point.time.includes(':') && point.time.length <= 5) {
+                const parts = point.time.split(':');
+                slotIndex = parseInt(parts[0], 10) * 12 + Math.floor(parseInt(parts[1], 10) / 5);
+            } else {
+                slotIndex = index;
+            }
+            return slotIndex <= maxAllowedSlot;
+        });
+        updateEnergyChartPeakStatsFromHA(filteredTimeline);
+    }
+    
+    // HA timeline -> 288 five-minute slots in the updateCharts() format. For today, slots after
+    // the last reading stay null so the lines stop at "now". haData.date defaults to the date input.
+    function convertHATimelineToChartData(haData) {
         const timeline = haData.timeline;
         console.log(`📊 Converting HA data to chart format: ${timeline.length} data points`);
         
@@ -1249,6 +2083,7 @@ document.addEventListener('DOMContentLoaded', function () {
         const batData = new Array(288).fill(null);
         const loadData = new Array(288).fill(null);
         const gridData = new Array(288).fill(null);
+        const essentialData = new Array(288).fill(null);
         
         // Track the last slot with actual non-zero data
         let lastDataSlot = -1;
@@ -1283,9 +2118,10 @@ document.addEventListener('DOMContentLoaded', function () {
                 batData[slotIndex] = point.battery || 0;
                 loadData[slotIndex] = point.load || 0;
                 gridData[slotIndex] = point.grid || 0;
+                essentialData[slotIndex] = point.essential || 0;
                 
                 // Track last slot with any actual data (non-zero)
-                const hasData = (point.pv > 0) || (point.battery !== 0) || (point.load > 0) || (point.grid > 0);
+                const hasData = (point.pv > 0) || (point.battery !== 0) || (point.load > 0) || (point.grid > 0) || (point.essential > 0);
                 if (hasData && slotIndex > lastDataSlot) {
                     lastDataSlot = slotIndex;
                 }
@@ -1306,6 +2142,7 @@ document.addEventListener('DOMContentLoaded', function () {
                 batData[i] = null;
                 loadData[i] = null;
                 gridData[i] = null;
+                essentialData[i] = null;
             }
         }
         
@@ -1314,30 +2151,16 @@ document.addEventListener('DOMContentLoaded', function () {
         console.log(`📊 HA data converted: ${timeline.length} points -> ${nonNullCount} chart slots`);
         console.log("📊 Sample data - PV max:", Math.max(...pvData.filter(v => v !== null && v > 0), 0), "Load max:", Math.max(...loadData.filter(v => v !== null && v > 0), 0));
         
-        // Convert to chart format and update
+        // Convert to chart format
         const chartData = {
             pv: { tableValueInfo: pvData },
             bat: { tableValueInfo: batData },
             load: { tableValueInfo: loadData },
             grid: { tableValueInfo: gridData },
-            essentialLoad: { tableValueInfo: new Array(288).fill(null) }
+            essentialLoad: { tableValueInfo: essentialData }
         };
         
-        console.log("📊 Updating combined energy chart with Home Assistant data");
-        updateCharts(chartData);
-        
-        // Update peak stats from HA data
-        const filteredTimeline = timeline.filter((point, index) => {
-            let slotIndex;
-            if (point.time && point.time.includes(':') && point.time.length <= 5) {
-                const parts = point.time.split(':');
-                slotIndex = parseInt(parts[0], 10) * 12 + Math.floor(parseInt(parts[1], 10) / 5);
-            } else {
-                slotIndex = index;
-            }
-            return slotIndex <= maxAllowedSlot;
-        });
-        updateEnergyChartPeakStatsFromHA(filteredTimeline);
+        return { chartData, maxAllowedSlot };
     }
     
     // Update peak stats from Home Assistant Power History
@@ -1502,25 +2325,7 @@ document.addEventListener('DOMContentLoaded', function () {
             );
             const data = await response.json();
             console.log("🌡️ Temperature min/max data received:", data);
-            
-            // Update UI with min/max temperature
-            const badge = document.getElementById('tempMinMaxBadge');
-            const minEl = document.getElementById('temp-min-value');
-            const maxEl = document.getElementById('temp-max-value');
-            
-            if (badge && data.success && data.min !== null && data.max !== null) {
-                minEl.textContent = `${data.min}°C`;
-                maxEl.textContent = `${data.max}°C`;
-                // Add time tooltips if available
-                if (data.minTime) minEl.title = `Thấp nhất lúc ${data.minTime}`;
-                if (data.maxTime) maxEl.title = `Cao nhất lúc ${data.maxTime}`;
-                badge.classList.remove('hidden');
-                badge.classList.add('flex');
-                console.log(`✅ Temperature badge updated: ${data.min}°C (${data.minTime}) - ${data.max}°C (${data.maxTime})`);
-            } else {
-                console.warn("⚠️ Temperature data not available or invalid");
-                if (badge) badge.classList.add('hidden');
-            }
+            applyTemperatureStats(data);
         } catch (error) {
             console.warn("🌡️ Temperature API unavailable (all proxies failed):", error.message);
             // Hide the badge if API fails
@@ -1529,6 +2334,27 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     }
     
+    // Update the min/max temperature badge (from /api/ha/temperature or the day batch)
+    function applyTemperatureStats(data) {
+        const badge = document.getElementById('tempMinMaxBadge');
+        const minEl = document.getElementById('temp-min-value');
+        const maxEl = document.getElementById('temp-max-value');
+        
+        if (badge && data.success && data.min !== null && data.max !== null) {
+            minEl.textContent = `${data.min}°C`;
+            maxEl.textContent = `${data.max}°C`;
+            // Add time tooltips if available
+            if (data.minTime) minEl.title = `Thấp nhất lúc ${data.minTime}`;
+            if (data.maxTime) maxEl.title = `Cao nhất lúc ${data.maxTime}`;
+            badge.classList.remove('hidden');
+            badge.classList.add('flex');
+            console.log(`✅ Temperature badge updated: ${data.min}°C (${data.minTime}) - ${data.max}°C (${data.maxTime})`);
+        } else {
+            console.warn("⚠️ Temperature data not available or invalid");
+            if (badge) badge.classList.add('hidden');
+        }
+    }
+    
     // ========================================
     // DEVICE INFO - Get inverter model from HA
     // With localStorage caching (24h TTL) to reduce API calls
@@ -1568,51 +2394,7 @@ document.addEventListener('DOMContentLoaded', function () {
             .then(response => response.json())
             .then(data => {
                 console.log("📦 Device info received:", data);
-                
-                if (data.success) {
-                    // Extract model from friendly_name (e.g., "SUNT-4.0kW-H PV Power" -> "SUNT-4.0kW-H")
-                    let model = null;
-                    
-                    if (data.friendly_name) {
-                        // Parse friendly_name to extract model (usually "MODEL SENSOR_TYPE")
-                        // Examples: "SUNT-4.0kW-H PV Power", "SUNT-8.0kW-T Battery SOC"
-                        const friendlyName = data.friendly_name;
-                        const modelMatch = friendlyName.match(/^(SUNT-[\d.]+kW-[A-Z]+)/i);
-                        if (modelMatch) {
-                            model = modelMatch[1];
-                        } else {
-                            // Fallback: Take first part before common sensor names
-                            const sensorNames = ['PV Power', 'Battery', 'Grid', 'Load', 'SOC', 'Temperature'];
-                            for (const sensorName of sensorNames) {
-                                if (friendlyName.includes(sensorName)) {
-                                    model = friendlyName.split(sensorName)[0].trim();
-                                    break;
-                                }
-                            }
-                        }
-                    }
-                    
-                    // Fallback to model field if available
-                    if (!model && data.model) {
-                        model = data.model;
-                    }
-                    
-                    // Cache to localStorage with timestamp
-                    if (model) {
-                        try {
-                            localStorage.setItem(cacheKey, JSON.stringify({
-                                model: model,
-                                timestamp: Date.now(),
-                                raw: data
-                            }));
-                            console.log(`💾 Device info cached for ${deviceId}: ${model}`);
-                        } catch (e) {
-                            console.warn('📦 Could not cache device info:', e.message);
-                        }
-                    }
-                    
-                    applyDeviceInfo(model);
-                }
+                handleDeviceInfoData(deviceId, data);
             })
             .catch(error => {
                 console.warn("📦 Device info API unavailable (all proxies failed):", error.message);
@@ -1629,6 +2411,56 @@ document.addEventListener('DOMContentLoaded', function () {
             });
     }
     
+    // Extract the inverter model from an HA device info payload, cache it (24h) and show it
+    function handleDeviceInfoData(deviceId, data) {
+        const cacheKey = `deviceInfo_${deviceId}`;
+        
+        if (data.success) {
+            // Extract model from friendly_name (e.g., "SUNT-4.0kW-H PV Power" -> "SUNT-4.0kW-H")
+            let model = null;
+            
+            if (data.friendly_name) {
+                // Parse friendly_name to extract model (usually "MODEL SENSOR_TYPE")
+                // Examples: "SUNT-4.0kW-H PV Power", "SUNT-8.0kW-T Battery SOC"
+                const friendlyName = data.friendly_name;
+                const modelMatch = friendlyName.match(/^(SUNT-[\d.]+kW-[A-Z]+)/i);
+                if (modelMatch) {
+                    model = modelMatch[1];
+                } else {
+                    // Fallback: Take first part before common sensor names
+                    const sensorNames = ['PV Power', 'Battery', 'Grid', 'Load', 'SOC', 'Temperature'];
+                    for (const sensorName of sensorNames) {
+                        if (friendlyName.includes(sensorName)) {
+                            model = friendlyName.split(sensorName)[0].trim();
+                            break;
+                        }
+                    }
+                }
+            }
+            
+            // Fallback to model field if available
+            if (!model && data.model) {
+                model = data.model;
+            }
+            
+            // Cache to localStorage with timestamp
+            if (model) {
+                try {
+                    localStorage.setItem(cacheKey, JSON.stringify({
+                        model: model,
+                        timestamp: Date.now(),
+                        raw: data
+                    }));
+                    console.log(`💾 Device info cached for ${deviceId}: ${model}`);
+                } catch (e) {
+                    console.warn('📦 Could not cache device info:', e.message);
+                }
+            }
+            
+            applyDeviceInfo(model);
+        }
+    }
+    
     // Helper function to apply device info to UI
     function applyDeviceInfo(model) {
         if (!model) return;
@@ -1688,23 +2520,30 @@ document.addEventListener('DOMContentLoaded', function () {
         }
         
         // Process data
-        if (data && data.timeline && Array.isArray(data.timeline) && data.timeline.length > 0) {
-            socData = data.timeline;
+        if (!applySOCTimeline(data?.timeline)) {
+            console.warn(`⚠️ [SOC] No data available for ${deviceId} on ${date}`);
+        }
+    }
+    
+    // Render a SOC timeline ([{ t, soc }]) - returns false (and shows the empty state) when there is none
+    function applySOCTimeline(timeline) {
+        if (Array.isArray(timeline) && timeline.length > 0) {
+            socData = timeline;
             renderSOCChart();
             updateSOCLastTime('Home Assistant');
             startSOCAutoReload();
             console.log(`✅ [SOC] Chart rendered with ${socData.length} points`);
-        } else {
-            console.warn(`⚠️ [SOC] No data available for ${deviceId} on ${date}`);
-            socData = [];
-            renderSOCChartEmpty();
+            return true;
         }
+        socData = [];
+        renderSOCChartEmpty();
+        return false;
     }
     
     // Render empty state for SOC chart
     function renderSOCChartEmpty() {
         const canvas = document.getElementById('socChart');
-        if (!canvas) return;
+        if (!canvas || comparison) return;
         
         // Destroy existing chart
         if (socChartInstance) {
@@ -1724,6 +2563,12 @@ document.addEventListener('DOMContentLoaded', function () {
     
     // Render SOC Chart with Chart.js and external tooltip
     function renderSOCChart() {
+        // The comparison chart (A + B) stays up until comparison mode is left
+        if (comparison) {
+            renderSOCComparisonChart();
+            return;
+        }
+        
         const canvas = document.getElementById('socChart');
         if (!canvas || socData.length === 0) return;
         
@@ -2117,6 +2962,16 @@ document.addEventListener('DOMContentLoaded', function () {
             return;
         }
         
+        // Alert rules only judge live values, not the Worker's stale copy (SOC null = no reading)
+        if (!data.stale) {
+            checkRealtimeAlerts({
+                soc: data.batteryPercent ?? undefined,
+                temperature: data.deviceTempValue,
+                gridPower: data.gridValue,
+                pvPower: data.pvTotalPower
+            });
+        }
+        
         // Normal update with actual data
         // PV - with blink effect
         updateValue('pv-power', `${data.pvTotalPower}W`);
@@ -2366,6 +3221,11 @@ document.addEventListener('DOMContentLoaded', function () {
         updateValue('cellMax', max.toFixed(3) + 'V');
         updateValue('cellMin', min.toFixed(3) + 'V');
         updateValue('cellDiffValue', diff.toFixed(3) + 'V');
+        // All-zero packs (no cell monitoring) returned above, so zeros here are dropped cells.
+        // Like the realtime rules, only live values are judged, not the Worker's stale copy
+        if (!data.stale) {
+            evaluateAlertRules({ cellDelta: diff, disconnectedCells: cells.length - validCells.length });
+        }
         
         // Update day max voltage from API data (if available)
         if (data.maximumVoltage) {
@@ -2588,7 +3448,17 @@ document.addEventListener('DOMContentLoaded', function () {
     function updateCharts(data) {
         const timeLabels = generateTimeLabels();
 
-        const processedData = {
+        const processedData = processEnergySeries(data);
+
+        const commonOptions = getCommonChartOptions();
+
+        // Combined Energy Chart - All datasets in one chart
+        updateCombinedEnergyChart(timeLabels, processedData, commonOptions);
+    }
+
+    // Raw slot arrays -> the 6 combined chart series (same order as the chart datasets)
+    function processEnergySeries(data) {
+        return {
             pv: processChartData(data.pv.tableValueInfo),
             batCharge: processBatteryChargingData(data.bat.tableValueInfo),
             batDischarge: processBatteryDischargingData(data.bat.tableValueInfo),
@@ -2596,11 +3466,6 @@ document.addEventListener('DOMContentLoaded', function () {
             grid: processChartData(data.grid.tableValueInfo),
             essentialLoad: processChartData(data.essentialLoad.tableValueInfo)
         };
-
-        const commonOptions = getCommonChartOptions();
-
-        // Combined Energy Chart - All datasets in one chart
-        updateCombinedEnergyChart(timeLabels, processedData, commonOptions);
     }
 
     // Combined Energy Chart - All 6 datasets in one chart - ENHANCED V2.0
@@ -2659,14 +3524,17 @@ document.addEventListener('DOMContentLoaded', function () {
                 const labelNames = ['PV', 'Sạc', 'Xả', 'Tải', 'EVN', 'Dự phòng'];
                 
                 let html = '';
-                tooltip.dataPoints.forEach((point, idx) => {
+                tooltip.dataPoints.forEach(point => {
+                    // Comparison overlay datasets (B) follow the 6 base datasets (A)
+                    const idx = point.datasetIndex % labelNames.length;
+                    const source = comparison ? (point.datasetIndex >= labelNames.length ? ' (B)' : ' (A)') : '';
                     const value = point.parsed.y;
                     // Always display in W (not kW)
                     const displayValue = `${Math.round(value)} W`;
                     html += `<div class="flex items-center justify-between gap-3">
                         <span class="flex items-center gap-1.5">
                             <span class="w-2 h-2 rounded-full" style="background-color: ${colors[idx]}"></span>
-                            <span>${icons[idx]} ${labelNames[idx]}</span>
+                            <span>${icons[idx]} ${labelNames[idx]}${source}</span>
                         </span>
                         <span class="font-bold" style="color: ${colors[idx]}">${displayValue}</span>
                     </div>`;
@@ -2863,8 +3731,8 @@ document.addEventListener('DOMContentLoaded', function () {
                     ctx.restore();
                     
                     // Draw circles at each data point
-                    activeElements.forEach((element, index) => {
-                        const dataset = chart.data.datasets[index];
+                    activeElements.forEach(element => {
+                        const dataset = chart.data.datasets[element.datasetIndex];
                         if (!dataset.hidden) {
                             const y = element.element.y;
                             const color = dataset.borderColor;
@@ -2898,6 +3766,8 @@ document.addEventListener('DOMContentLoaded', function () {
             const tooltipEl = document.getElementById('energy-tooltip');
             if (tooltipEl) tooltipEl.classList.add('hidden');
         });
+        
+        applyComparisonOverlay();
     }
     
     // Update energy chart peak stats - Show max power + time
@@ -2978,6 +3848,10 @@ document.addEventListener('DOMContentLoaded', function () {
         
         const meta = combinedEnergyChart.getDatasetMeta(index);
         meta.hidden = !meta.hidden;
+        // Same series of the comparison source (B)
+        if (combinedEnergyChart.data.datasets.length > COMPARE_SERIES.length) {
+            combinedEnergyChart.getDatasetMeta(index + COMPARE_SERIES.length).hidden = meta.hidden;
+        }
         combinedEnergyChart.update();
         
         // Update button appearance
@@ -2987,6 +3861,708 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     };
 
+    // ========================================
+    // COMPARISON MODE - two dates or two devices
+    // ========================================
+    // Source A is the device/date on screen, source B the same device on another date or another
+    // device on the same date. Both days come from /api/ha/day via the offline day store; B is drawn
+    // dashed over the combined energy chart and the SOC chart, and the delta table compares the
+    // daily figures.
+    
+    // Combined chart dataset order (B's overlay datasets repeat it after A's)
+    const COMPARE_SERIES = ['pv', 'batCharge', 'batDischarge', 'load', 'grid', 'essentialLoad'];
+    
+    const compareModeSelect = document.getElementById('compareMode');
+    const compareDateInput = document.getElementById('compareDateInput');
+    const compareDeviceInput = document.getElementById('compareDeviceInput');
+    
+    function setCompareStatus(message) {
+        const el = document.getElementById('compareStatus');
+        if (!el) return;
+        el.textContent = message || '';
+        el.classList.toggle('hidden', !message);
+    }
+    
+    // Default B to the previous day of whatever is on screen
+    function resetCompareDate() {
+        const date = document.getElementById('dateInput')?.value;
+        if (!compareDateInput || !date) return;
+        const previous = new Date(date);
+        previous.setDate(previous.getDate() - 1);
+        compareDateInput.value = formatDate(previous);
+    }
+    
+    if (compareModeSelect) {
+        compareModeSelect.addEventListener('change', () => {
+            const byDevice = compareModeSelect.value === 'device';
+            compareDateInput?.classList.toggle('hidden', byDevice);
+            compareDeviceInput?.classList.toggle('hidden', !byDevice);
+        });
+    }
+    document.getElementById('compareBtn')?.addEventListener('click', startComparison);
+    document.getElementById('compareExitBtn')?.addEventListener('click', exitComparison);
+    compareDeviceInput?.addEventListener('keypress', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            startComparison();
+        }
+    });
+    resetCompareDate();
+    
+    // Load one comparison source: { deviceId, date, label, day (the /api/ha/day payload), series }
+    async function loadComparisonSource(deviceId, date) {
+        const { day } = await loadStoredOrFetchDay(deviceId, date);
+        if (!day.timeline || day.timeline.length === 0) {
+            throw new Error(`Không có dữ liệu Home Assistant cho ${deviceId} ngày ${formatShortDate(date)}`);
+        }
+        
+        const { chartData } = convertHATimelineToChartData({ ...day, date });
+        return {
+            deviceId,
+            date,
+            label: `${deviceId} · ${formatShortDate(date)}`,
+            day: { ...day, date },
+            series: processEnergySeries(chartData)
+        };
+    }
+    
+    async function startComparison() {
+        const deviceId = document.getElementById('deviceId')?.value?.trim();
+        const date = document.getElementById('dateInput')?.value;
+        if (!deviceId || !date) return;
+        
+        const byDevice = compareModeSelect?.value === 'device';
+        const otherDeviceId = byDevice ? (compareDeviceInput?.value || '').trim().toUpperCase() : deviceId;
+        const otherDate = byDevice ? date : compareDateInput?.value;
+        
+        if (byDevice && !otherDeviceId) {
+            setCompareStatus('Nhập Device ID cần so sánh');
+            return;
+        }
+        if (!otherDate) {
+            setCompareStatus('Chọn ngày cần so sánh');
+            return;
+        }
+        if (otherDeviceId === deviceId && otherDate === date) {
+            setCompareStatus('Hai nguồn so sánh đang giống nhau');
+            return;
+        }
+        
+        setCompareStatus('⏳ Đang tải dữ liệu so sánh...');
+        console.log(`🔀 [Compare] ${deviceId} ${date} vs ${otherDeviceId} ${otherDate}`);
+        
+        try {
+            const [a, b] = await Promise.all([
+                loadComparisonSource(deviceId, date),
+                loadComparisonSource(otherDeviceId, otherDate)
+            ]);
+            
+            comparison = { a, b };
+            setCompareStatus('');
+            
+            // Redraw A from the same HA data as B; the overlay is added when the chart is rebuilt
+            updateChartFromHAData(a.day);
+            renderSOCComparisonChart();
+            renderComparisonTable();
+            
+            document.getElementById('compareLabelA').textContent = a.label;
+            document.getElementById('compareLabelB').textContent = b.label;
+            document.getElementById('compareResult')?.classList.remove('hidden');
+            document.getElementById('compareExitBtn')?.classList.remove('hidden');
+            console.log('✅ [Compare] Comparison rendered');
+        } catch (error) {
+            console.warn('⚠️ [Compare] Failed:', error.message);
+            if (error.message.includes('429')) showRateLimitWarning();
+            setCompareStatus(`❌ ${error.message}`);
+        }
+    }
+    
+    function exitComparison() {
+        if (!comparison) return;
+        comparison = null;
+        
+        if (combinedEnergyChart) {
+            combinedEnergyChart.data.datasets.splice(COMPARE_SERIES.length);
+            combinedEnergyChart.update();
+        }
+        if (socData.length > 0) {
+            renderSOCChart();
+        } else {
+            renderSOCChartEmpty();
+        }
+        
+        document.getElementById('compareResult')?.classList.add('hidden');
+        document.getElementById('compareExitBtn')?.classList.add('hidden');
+        setCompareStatus('');
+        resetCompareDate();
+        console.log('🔀 [Compare] Comparison mode off');
+    }
+    
+    // Add B's series to the combined energy chart as dashed lines (A keeps its styling)
+    function applyComparisonOverlay() {
+        if (!comparison || !combinedEnergyChart) return;
+        
+        const datasets = combinedEnergyChart.data.datasets;
+        const overlay = COMPARE_SERIES.map((key, i) => ({
+            label: `${datasets[i].label} - B`,
+            data: comparison.b.series[key],
+            borderColor: datasets[i].borderColor,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            fill: false,
+            tension: 0.4,
+            pointRadius: 0,
+            pointHitRadius: 10,
+            pointHoverRadius: 6,
+            spanGaps: false
+        }));
+        datasets.splice(COMPARE_SERIES.length, datasets.length, ...overlay);
+        combinedEnergyChart.update();
+        
+        // Keep series hidden via the legend hidden for B too
+        COMPARE_SERIES.forEach((key, i) => {
+            combinedEnergyChart.getDatasetMeta(i + COMPARE_SERIES.length).hidden = combinedEnergyChart.getDatasetMeta(i).hidden;
+        });
+        combinedEnergyChart.update();
+    }
+    
+    // SOC timeline ([{ t: "HH:mm", soc }]) -> 288 five-minute slots (null where there is no reading)
+    function socTimelineToSlots(timeline) {
+        const slots = new Array(288).fill(null);
+        (timeline || []).forEach(point => {
+            const [hours, minutes] = String(point.t).split(':').map(Number);
+            const slot = hours * 12 + Math.floor(minutes / 5);
+            if (slot >= 0 && slot < 288) slots[slot] = point.soc;
+        });
+        return slots;
+    }
+    
+    function renderSOCComparisonChart() {
+        const canvas = document.getElementById('socChart');
+        if (!canvas || !comparison) return;
+        
+        if (socChartInstance) {
+            socChartInstance.destroy();
+            socChartInstance = null;
+        }
+        
+        const labels = generateTimeLabels();
+        const socA = socTimelineToSlots(comparison.a.day.soc?.timeline);
+        const socB = socTimelineToSlots(comparison.b.day.soc?.timeline);
+        
+        // External tooltip (same element as the single SOC chart), both values at the hovered time
+        const externalTooltipHandler = (context) => {
+            const { chart, tooltip } = context;
+            const tooltipEl = document.getElementById('soc-tooltip');
+            if (!tooltipEl) return;
+            
+            if (tooltip.opacity === 0 || !tooltip.dataPoints || tooltip.dataPoints.length === 0) {
+                tooltipEl.classList.add('hidden');
+                return;
+            }
+            
+            const index = tooltip.dataPoints[0].dataIndex;
+            const format = (value) => value === null ? '--' : `${value}%`;
+            document.getElementById('soc-tooltip-time').textContent = `⏰ ${labels[index]}`;
+            document.getElementById('soc-tooltip-soc').textContent = `A ${format(socA[index])} · B ${format(socB[index])}`;
+            
+            const chartArea = chart.chartArea;
+            let left = tooltip.caretX;
+            let top = tooltip.caretY - 10;
+            left = left + 200 > chartArea.right ? left - 210 : left + 15;
+            if (top < chartArea.top) top = chartArea.top + 10;
+            
+            tooltipEl.style.left = `${left}px`;
+            tooltipEl.style.top = `${top}px`;
+            tooltipEl.classList.remove('hidden');
+        };
+        
+        socChartInstance = new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [
+                    {
+                        label: 'SOC A (%)',
+                        data: socA,
+                        borderColor: 'rgb(20, 184, 166)',
+                        borderWidth: 2.5,
+                        fill: false,
+                        tension: 0.3,
+                        pointRadius: 0,
+                        pointHoverRadius: 6,
+                        spanGaps: true
+                    },
+                    {
+                        label: 'SOC B (%)',
+                        data: socB,
+                        borderColor: 'rgb(249, 115, 22)',
+                        borderWidth: 2,
+                        borderDash: [6, 4],
+                        fill: false,
+                        tension: 0.3,
+                        pointRadius: 0,
+                        pointHoverRadius: 6,
+                        spanGaps: true
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        enabled: false,
+                        external: externalTooltipHandler,
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    y: {
+                        min: 0,
+                        max: 100,
+                        grid: { color: 'rgba(148, 163, 184, 0.1)', drawBorder: false },
+                        ticks: {
+                            callback: v => `${v}%`,
+                            font: { size: 10 },
+                            color: 'rgba(148, 163, 184, 0.8)',
+                            stepSize: 25
+                        }
+                    },
+                    x: {
+                        grid: { display: false },
+                        ticks: {
+                            font: { size: 9 },
+                            color: 'rgba(148, 163, 184, 0.7)',
+                            maxRotation: 0,
+                            autoSkip: true,
+                            maxTicksLimit: 8
+                        }
+                    }
+                },
+                interaction: { mode: 'index', intersect: false, axis: 'x' }
+            }
+        });
+    }
+    
+    // Daily figures for the delta table. Self-consumption = PV not exported to the grid.
+    function summarizeComparisonSource(source) {
+        const energy = source.day.energy || {};
+        const pv = energy.pv || 0;
+        const selfUse = Math.max(pv - (energy.gridExport || 0), 0);
+        
+        const peakOf = (key) => {
+            let peak = 0, time = null;
+            source.day.timeline.forEach(point => {
+                if ((point[key] || 0) > peak) {
+                    peak = point[key];
+                    time = point.time;
+                }
+            });
+            return { peak, time };
+        };
+        
+        return {
+            pv,
+            selfUse,
+            selfUseRatio: pv > 0 ? (selfUse / pv) * 100 : null,
+            gridImport: energy.grid || 0,
+            load: energy.load || 0,
+            pvPeak: peakOf('pv'),
+            loadPeak: peakOf('load'),
+            gridPeak: peakOf('grid')
+        };
+    }
+    
+    function renderComparisonTable() {
+        const body = document.getElementById('compareTableBody');
+        if (!body || !comparison) return;
+        
+        const a = summarizeComparisonSource(comparison.a);
+        const b = summarizeComparisonSource(comparison.b);
+        
+        const kwh = (v) => `${v.toFixed(1)} kWh`;
+        const percent = (v) => v === null ? '--' : `${v.toFixed(0)}%`;
+        const peak = (p) => p.time ? `${Math.round(p.peak)} W @ ${p.time}` : '--';
+        
+        // Delta cell: green when B is better than A (higherIsBetter decides the direction)
+        const deltaCell = (text, diff, higherIsBetter) => {
+            const better = higherIsBetter ? diff > 0 : diff < 0;
+            const color = diff === 0 || higherIsBetter === null ? 'text-slate-500' : (better ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-600 dark:text-red-400');
+            return `<td class="text-right py-1.5 font-semibold ${color}">${text}</td>`;
+        };
+        const signed = (v, digits, unit) => `${v > 0 ? '+' : ''}${v.toFixed(digits)}${unit}`;
+        
+        const energyDelta = (va, vb, higherIsBetter) => {
+            const diff = vb - va;
+            const ratio = va > 0 ? ` (${signed((diff / va) * 100, 0, '%')})` : '';
+            return deltaCell(`${signed(diff, 1, ' kWh')}${ratio}`, Math.round(diff * 10), higherIsBetter);
+        };
+        const peakDelta = (pa, pb) => {
+            if (!pa.time || !pb.time) return deltaCell('--', 0, null);
+            const minutes = timeToMinutes(pb.time) - timeToMinutes(pa.time);
+            return deltaCell(`${signed(pb.peak - pa.peak, 0, ' W')} · ${formatMinutesShift(minutes)}`, 0, null);
+        };
+        
+        const rows = [
+            ['☀️ Sản lượng PV', kwh(a.pv), kwh(b.pv), energyDelta(a.pv, b.pv, true)],
+            ['♻️ PV tự dùng', kwh(a.selfUse), kwh(b.selfUse), energyDelta(a.selfUse, b.selfUse, true)],
+            ['♻️ Tỷ lệ tự dùng', percent(a.selfUseRatio), percent(b.selfUseRatio),
+                a.selfUseRatio === null || b.selfUseRatio === null
+                    ? deltaCell('--', 0, null)
+                    : deltaCell(signed(b.selfUseRatio - a.selfUseRatio, 0, ' điểm %'), Math.round(b.selfUseRatio - a.selfUseRatio), true)],
+            ['🔌 Mua điện EVN', kwh(a.gridImport), kwh(b.gridImport), energyDelta(a.gridImport, b.gridImport, false)],
+            ['🏠 Tiêu thụ', kwh(a.load), kwh(b.load), energyDelta(a.load, b.load, null)],
+            ['☀️ Đỉnh PV', peak(a.pvPeak), peak(b.pvPeak), peakDelta(a.pvPeak, b.pvPeak)],
+            ['🏠 Đỉnh tải', peak(a.loadPeak), peak(b.loadPeak), peakDelta(a.loadPeak, b.loadPeak)],
+            ['🔌 Đỉnh EVN', peak(a.gridPeak), peak(b.gridPeak), peakDelta(a.gridPeak, b.gridPeak)]
+        ];
+        
+        body.innerHTML = rows.map(([name, va, vb, delta]) => `
+            <tr class="border-b border-slate-100 dark:border-slate-700/50">
+                <td class="py-1.5 font-medium">${name}</td>
+                <td class="text-right py-1.5">${va}</td>
+                <td class="text-right py-1.5">${vb}</td>
+                ${delta}
+            </tr>`).join('');
+    }
+    
+    function timeToMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+    
+    // +35 phút / -1h10
+    function formatMinutesShift(minutes) {
+        if (minutes === 0) return 'cùng giờ';
+        const sign = minutes > 0 ? '+' : '-';
+        const abs = Math.abs(minutes);
+        return abs < 60 ? `${sign}${abs} phút` : `${sign}${Math.floor(abs / 60)}h${String(abs % 60).padStart(2, '0')}`;
+    }
+    
+    // YYYY-MM-DD -> dd/MM/yyyy
+    function formatShortDate(date) {
+        const [year, month, day] = date.split('-');
+        return `${day}/${month}/${year}`;
+    }
+
+    // ========================================
+    // MONTH / YEAR / LIFETIME HISTORY
+    // ========================================
+    // Bar charts from the lesvr month / year / history-year routes. Their payloads mirror the day
+    // endpoints: data.pv, homeload, grid, bats[0] (charge) and bats[1] (discharge), each with
+    // tableValueInfo = one value per day (month), per month (year) or per year (lifetime), in 0.1 kWh.
+    // The month and year tabs step back through past months / years; days drill down to the day
+    // view, months to the month tab and years to the year tab.
+    
+    const HISTORY_PERIODS = {
+        month: { url: LIGHTEARTH_API.month, title: 'Sản Lượng Theo Ngày', unit: 'ngày', hint: 'Bấm vào cột để xem chi tiết ngày' },
+        year: { url: LIGHTEARTH_API.year, title: 'Sản Lượng Theo Tháng', unit: 'tháng', hint: 'Bấm vào tháng để xem theo ngày' },
+        lifetime: { url: LIGHTEARTH_API.historyYear, title: 'Sản Lượng Theo Năm', unit: 'năm', hint: 'Bấm vào năm để xem theo tháng' }
+    };
+    
+    // Month (YYYY-MM) / year (YYYY) shown on the month and year tabs; null = the current one
+    const historySelection = { month: null, year: null };
+    
+    // Same colors as the combined energy chart
+    const HISTORY_SERIES = [
+        { key: 'pv', label: 'PV', color: 'rgb(245, 158, 11)', pick: data => data.pv },
+        { key: 'load', label: 'Tiêu thụ', color: 'rgb(59, 130, 246)', pick: data => data.homeload },
+        { key: 'grid', label: 'EVN', color: 'rgb(168, 85, 247)', pick: data => data.grid },
+        { key: 'charge', label: 'Sạc', color: 'rgb(34, 197, 94)', pick: data => data.bats?.[0] },
+        { key: 'discharge', label: 'Xả', color: 'rgb(239, 68, 68)', pick: data => data.bats?.[1] }
+    ];
+    
+    const HISTORY_CACHE_TTL = 10 * 60 * 1000;
+    const historyCache = new Map(); // `${deviceId}:${period}` -> { data, timestamp }
+    let historyChart = null;
+    
+    document.querySelectorAll('.period-tab').forEach(tab => {
+        tab.addEventListener('click', () => switchPeriod(tab.dataset.period));
+    });
+    document.getElementById('historyPrevBtn')?.addEventListener('click', () => stepHistoryPeriod(-1));
+    document.getElementById('historyNextBtn')?.addEventListener('click', () => stepHistoryPeriod(1));
+    
+    function currentHistoryValue(period) {
+        const now = new Date();
+        return period === 'month'
+            ? `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`
+            : String(now.getFullYear());
+    }
+    
+    function selectedHistoryValue(period) {
+        return historySelection[period] || currentHistoryValue(period);
+    }
+    
+    function selectHistoryValue(period, value) {
+        historySelection[period] = value === currentHistoryValue(period) ? null : value;
+    }
+    
+    // Previous / next month or year; never past the current one
+    function stepHistoryPeriod(delta) {
+        const period = currentPeriod;
+        if (period !== 'month' && period !== 'year') return;
+        
+        let next;
+        if (period === 'month') {
+            const [year, month] = selectedHistoryValue('month').split('-').map(Number);
+            const date = new Date(year, month - 1 + delta, 1);
+            next = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        } else {
+            next = String(Number(selectedHistoryValue('year')) + delta);
+        }
+        if (next > currentHistoryValue(period)) return;
+        
+        selectHistoryValue(period, next);
+        loadHistoryPeriod(period);
+    }
+    
+    function renderHistoryNav(period) {
+        const nav = document.getElementById('history-nav');
+        if (!nav) return;
+        const navigable = period === 'month' || period === 'year';
+        nav.classList.toggle('hidden', !navigable);
+        if (!navigable) return;
+        
+        const value = selectedHistoryValue(period);
+        const [year, month] = value.split('-');
+        document.getElementById('history-period-label').textContent = period === 'month'
+            ? `Tháng ${Number(month)}/${year}`
+            : `Năm ${year}`;
+        const nextBtn = document.getElementById('historyNextBtn');
+        if (nextBtn) nextBtn.disabled = historySelection[period] === null;
+    }
+    
+    function switchPeriod(period) {
+        currentPeriod = period;
+        
+        document.querySelectorAll('.period-tab').forEach(tab => {
+            const active = tab.dataset.period === period;
+            tab.classList.toggle('bg-teal-500', active);
+            tab.classList.toggle('text-white', active);
+            tab.classList.toggle('shadow-sm', active);
+            ['text-slate-600', 'dark:text-slate-300', 'hover:text-slate-800', 'dark:hover:text-slate-100']
+                .forEach(cls => tab.classList.toggle(cls, !active));
+        });
+        
+        const isDay = period === 'day';
+        ['soc-section', 'compare-section', 'energy-chart-section'].forEach(id => {
+            document.getElementById(id)?.classList.toggle('hidden', !isDay);
+        });
+        document.getElementById('history-section')?.classList.toggle('hidden', isDay);
+        
+        if (!isDay) loadHistoryPeriod(period);
+    }
+    
+    // value: the selected month / year, or null for the current one (and for lifetime)
+    async function fetchHistoryPeriod(deviceId, period, value) {
+        const cacheKey = `${deviceId}:${period}:${value || 'current'}`;
+        const cached = historyCache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp < HISTORY_CACHE_TTL) {
+            console.log(`📦 [History] Using cached ${period} ${value || ''} data for ${deviceId}`);
+            return cached.data;
+        }
+        
+        const response = await fetchWithProxyFallback(() => HISTORY_PERIODS[period].url(deviceId, value));
+        const result = await response.json();
+        if (result.returnValue !== 1 || !result.data) {
+            throw new Error(result.msg || 'Không có dữ liệu');
+        }
+        
+        historyCache.set(cacheKey, { data: result.data, timestamp: Date.now() });
+        return result.data;
+    }
+    
+    // One bucket per bar: { label, values: { pv, load, ... } in kWh, drill: null | { period, value } | { date } }
+    // `value` is the month (YYYY-MM) / year (YYYY) shown. Future days/months (zeros in the lesvr
+    // arrays) of the current month / year are dropped.
+    function buildHistoryBuckets(period, data, value) {
+        const series = HISTORY_SERIES.map(s => (s.pick(data)?.tableValueInfo || []).map(v => (v || 0) / 10));
+        const now = new Date();
+        const isCurrent = value === currentHistoryValue(period);
+        const [year, month] = (value || '').split('-').map(Number);
+        
+        let count = Math.max(0, ...series.map(values => values.length));
+        if (period === 'month') count = Math.min(count, isCurrent ? now.getDate() : new Date(year, month, 0).getDate());
+        if (period === 'year') count = Math.min(count, isCurrent ? now.getMonth() + 1 : 12);
+        
+        // Lifetime: years count from the payload's firstYear (what the LightEarth app reads);
+        // without it the last entry is taken to be the current year
+        const firstYear = parseInt(data.firstYear, 10) || now.getFullYear() - (count - 1);
+        
+        const buckets = [];
+        for (let i = 0; i < count; i++) {
+            const values = Object.fromEntries(HISTORY_SERIES.map((s, j) => [s.key, series[j][i] || 0]));
+            let label, drill = null;
+            
+            if (period === 'month') {
+                const date = `${year}-${String(month).padStart(2, '0')}-${String(i + 1).padStart(2, '0')}`;
+                label = `${i + 1}/${month}`;
+                drill = { date };
+            } else if (period === 'year') {
+                label = `T${i + 1}`;
+                drill = { period: 'month', value: `${year}-${String(i + 1).padStart(2, '0')}` };
+            } else {
+                const bucketYear = firstYear + i;
+                label = String(bucketYear);
+                drill = { period: 'year', value: String(bucketYear) };
+            }
+            buckets.push({ label, values, drill });
+        }
+        return buckets;
+    }
+    
+    function setHistoryStatus(message) {
+        const el = document.getElementById('history-status');
+        if (!el) return;
+        el.textContent = message || '';
+        el.classList.toggle('hidden', !message);
+    }
+    
+    async function loadHistoryPeriod(period) {
+        const deviceId = document.getElementById('deviceId')?.value?.trim();
+        const config = HISTORY_PERIODS[period];
+        if (!deviceId || !config) return;
+        
+        document.getElementById('history-title').textContent = config.title;
+        document.getElementById('history-hint').textContent = config.hint;
+        renderHistoryNav(period);
+        setHistoryStatus('⏳ Đang tải dữ liệu...');
+        
+        const selected = period === 'lifetime' ? null : historySelection[period];
+        // The user may have switched tabs or stepped to another month / year while this was loading
+        const superseded = () => currentPeriod !== period || (period !== 'lifetime' && historySelection[period] !== selected);
+        try {
+            const data = await fetchHistoryPeriod(deviceId, period, selected);
+            if (superseded()) return;
+            
+            const buckets = buildHistoryBuckets(period, data, period === 'lifetime' ? null : selectedHistoryValue(period));
+            renderHistoryStats(buckets, config.unit);
+            renderHistoryChart(buckets);
+            setHistoryStatus(buckets.length === 0 ? 'Không có dữ liệu' : '');
+            console.log(`✅ [History] ${period}: ${buckets.length} bars for ${deviceId}`);
+        } catch (error) {
+            if (superseded()) return;
+            console.warn(`⚠️ [History] ${period} failed:`, error.message);
+            if (error.message.includes('429')) showRateLimitWarning();
+            if (historyChart) {
+                historyChart.destroy();
+                historyChart = null;
+            }
+            renderHistoryStats([], config.unit);
+            setHistoryStatus(`❌ ${error.message}`);
+        }
+    }
+    
+    // Total + average per series; the average only counts days/months/years that have data
+    function renderHistoryStats(buckets, unit) {
+        const container = document.getElementById('history-stats');
+        if (!container) return;
+        
+        const withData = buckets.filter(b => Object.values(b.values).some(v => v > 0));
+        container.innerHTML = HISTORY_SERIES.map(s => {
+            const total = buckets.reduce((sum, b) => sum + b.values[s.key], 0);
+            const average = withData.length > 0 ? total / withData.length : 0;
+            return `
+                <div class="rounded-lg p-2 text-center" style="background-color: ${s.color.replace('rgb', 'rgba').replace(')', ', 0.1)')}">
+                    <div class="text-[11px] sm:text-xs font-bold" style="color: ${s.color}">${s.label}</div>
+                    <div class="text-sm sm:text-base font-black text-slate-800 dark:text-white">${total.toFixed(1)} kWh</div>
+                    <div class="text-[10px] text-slate-500 dark:text-slate-400">TB ${average.toFixed(1)} kWh/${unit}</div>
+                </div>`;
+        }).join('');
+    }
+    
+    function renderHistoryChart(buckets) {
+        const canvas = document.getElementById('historyChart');
+        if (!canvas) return;
+        
+        if (historyChart) {
+            historyChart.destroy();
+            historyChart = null;
+        }
+        if (buckets.length === 0) return;
+        
+        historyChart = new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: buckets.map(b => b.label),
+                datasets: HISTORY_SERIES.map(s => ({
+                    label: s.label,
+                    data: buckets.map(b => b.values[s.key]),
+                    backgroundColor: s.color.replace('rgb', 'rgba').replace(')', ', 0.75)'),
+                    borderColor: s.color,
+                    borderWidth: 1,
+                    borderRadius: 3
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: { duration: 300 },
+                plugins: {
+                    legend: {
+                        display: true,
+                        labels: { boxWidth: 10, font: { size: 10 }, color: 'rgba(148, 163, 184, 0.9)' }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${item.parsed.y.toFixed(1)} kWh`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        grid: { color: 'rgba(148, 163, 184, 0.1)', drawBorder: false },
+                        ticks: {
+                            callback: value => `${value} kWh`,
+                            font: { size: 10 },
+                            color: 'rgba(148, 163, 184, 0.8)',
+                            maxTicksLimit: 6
+                        }
+                    },
+                    x: {
+                        grid: { display: false },
+                        ticks: {
+                            font: { size: 9 },
+                            color: 'rgba(148, 163, 184, 0.7)',
+                            maxRotation: 0,
+                            autoSkip: true
+                        }
+                    }
+                },
+                onClick: (event, elements) => {
+                    if (elements.length > 0) drillDownHistory(buckets[elements[0].index]);
+                },
+                onHover: (event, elements) => {
+                    const clickable = elements.length > 0 && buckets[elements[0].index].drill;
+                    event.native.target.style.cursor = clickable ? 'pointer' : 'default';
+                }
+            }
+        });
+    }
+    
+    function drillDownHistory(bucket) {
+        if (!bucket.drill) return;
+        
+        if (bucket.drill.date) {
+            console.log(`🔎 [History] Drill down to day ${bucket.drill.date}`);
+            const dateInput = document.getElementById('dateInput');
+            if (dateInput) dateInput.value = bucket.drill.date;
+            switchPeriod('day');
+            fetchData();
+        } else {
+            selectHistoryValue(bucket.drill.period, bucket.drill.value);
+            switchPeriod(bucket.drill.period);
+        }
+    }
+
     // ========================================
     // PRO/BASIC VIEW SWITCH - Version 13110
     // ========================================
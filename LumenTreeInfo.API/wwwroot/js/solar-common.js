@@ -0,0 +1,68 @@
+/**
+ * Solar Monitor - Shared config and helpers
+ * Version: 1 - Worker proxies, remembered proxy / API key and HTML escaping
+ *
+ * Loaded before index.js (dashboard) and fleet.js (fleet overview) so both pages talk to
+ * the same Cloudflare Worker proxies with the same stored API key.
+ */
+
+// Global namespace - defined outside DOMContentLoaded so the page scripts can use it at setup
+const SolarCommon = (function () {
+    // Lightearth API - Direct from lesvr.suntcn.com via Cloudflare Worker proxy
+    const LIGHTEARTH_PROXIES = [
+        'https://lightearth.applike098.workers.dev',           // Primary
+        'https://lightearth-proxy.minhlongt358.workers.dev'    // Fallback
+    ];
+
+    // Which proxy last worked (shared by both pages)
+    const PROXY_INDEX_KEY = 'solar_proxy_index';
+    // Worker API key (per device owner)
+    const API_KEY_STORAGE_KEY = 'solar_api_key';
+
+    // Worker API key - passed once as ?apiKey=... and remembered in localStorage
+    try {
+        const apiKeyParam = new URLSearchParams(window.location.search).get('apiKey');
+        if (apiKeyParam) {
+            localStorage.setItem(API_KEY_STORAGE_KEY, apiKeyParam);
+            // Don't leave the key in the address bar / history
+            const cleanUrl = new URL(window.location);
+            cleanUrl.searchParams.delete('apiKey');
+            window.history.replaceState({}, '', cleanUrl);
+        }
+    } catch (e) { /* ignore */ }
+
+    function loadProxyIndex() {
+        try {
+            const index = parseInt(localStorage.getItem(PROXY_INDEX_KEY), 10) || 0;
+            return index < LIGHTEARTH_PROXIES.length ? index : 0;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    function saveProxyIndex(index) {
+        try { localStorage.setItem(PROXY_INDEX_KEY, String(index)); } catch (e) { /* ignore */ }
+    }
+
+    function hasApiKey() {
+        return Boolean(localStorage.getItem(API_KEY_STORAGE_KEY));
+    }
+
+    function getWorkerAuthHeaders() {
+        const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+        return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    return {
+        LIGHTEARTH_PROXIES,
+        loadProxyIndex,
+        saveProxyIndex,
+        hasApiKey,
+        getWorkerAuthHeaders,
+        escapeHtml
+    };
+})();
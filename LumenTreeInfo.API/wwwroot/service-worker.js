@@ -1,8 +1,9 @@
 // Service Worker for Solar Calculator PWA
-// Version 1.0.0
+// Version 1.2.0
 
-const CACHE_NAME = 'solar-calculator-v1.0.0';
-const RUNTIME_CACHE = 'solar-calculator-runtime';
+const CACHE_NAME = 'solar-calculator-v1.2.0';
+// Versioned like CACHE_NAME so activate drops the runtime copies of older deploys
+const RUNTIME_CACHE = 'solar-calculator-runtime-v1.2.0';
 
 // Files to cache immediately on install
 const PRECACHE_URLS = [
@@ -42,11 +43,38 @@ self.addEventListener('activate', event => {
   );
 });
 
+// Static CDN resources (Chart.js, Tailwind, fonts, icons) are the only cross-origin requests cached
+const CDN_DESTINATIONS = ['script', 'style', 'font', 'image'];
+
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', event => {
-  // Skip cross-origin requests
-  if (!event.request.url.startsWith(self.location.origin)) {
-    // But cache CDN resources (Chart.js, etc.)
+  const url = new URL(event.request.url);
+
+  // Live data is never cached: API calls (incl. the Worker), SignalR, non-GET requests
+  if (event.request.method !== 'GET' || url.pathname.startsWith('/api/') || url.pathname.startsWith('/deviceHub')) {
+    return;
+  }
+
+  // Pages change with every deploy: network first, cached copy only when offline
+  if (event.request.mode === 'navigate') {
+    event.respondWith(
+      fetch(event.request)
+        .then(networkResponse => {
+          if (networkResponse.ok) {
+            const responseToCache = networkResponse.clone();
+            caches.open(RUNTIME_CACHE).then(cache => cache.put(event.request, responseToCache));
+          }
+          return networkResponse;
+        })
+        .catch(() => caches.match(event.request).then(response => response || caches.match('/index.html')))
+    );
+    return;
+  }
+
+  // Cross-origin: only CDN resources, cached on first request
+  if (url.origin !== self.location.origin) {
+    if (!CDN_DESTINATIONS.includes(event.request.destination)) return;
+
     event.respondWith(
       caches.open(RUNTIME_CACHE).then(cache => {
         return cache.match(event.request).then(response => {
@@ -69,40 +97,20 @@ self.addEventListener('fetch', event => {
     return;
   }
 
-  // For same-origin requests
+  // Same-origin static files (js/css/images) change with every deploy too: network first, cache when offline
   event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Return cached version if available
-        if (response) {
-          console.log('[ServiceWorker] Serving from cache:', event.request.url);
-          return response;
-        }
-
-        // Otherwise fetch from network
-        console.log('[ServiceWorker] Fetching from network:', event.request.url);
-        return fetch(event.request).then(networkResponse => {
-          // Don't cache if not a valid response
-          if (!networkResponse || networkResponse.status !== 200 || networkResponse.type !== 'basic') {
-            return networkResponse;
-          }
-
-          // Clone the response
+    fetch(event.request)
+      .then(networkResponse => {
+        // Don't cache if not a valid response
+        if (networkResponse && networkResponse.status === 200 && networkResponse.type === 'basic') {
           const responseToCache = networkResponse.clone();
-
-          // Cache the fetched response
-          caches.open(RUNTIME_CACHE)
-            .then(cache => {
-              cache.put(event.request, responseToCache);
-            });
-
-          return networkResponse;
-        });
+          caches.open(RUNTIME_CACHE).then(cache => cache.put(event.request, responseToCache));
+        }
+        return networkResponse;
       })
       .catch(error => {
-        console.error('[ServiceWorker] Fetch failed:', error);
-        // Return offline page if available
-        return caches.match('/index.html');
+        console.log('[ServiceWorker] Network failed, serving from cache:', event.request.url, error);
+        return caches.match(event.request).then(response => response || caches.match('/index.html'));
       })
   );
 });
@@ -118,32 +126,50 @@ self.addEventListener('sync', event => {
   }
 });
 
-// Push notification support (optional - for future enhancement)
+// Push notifications. A JSON payload is a dashboard alert
+// ({ title, body, deviceId, ruleId, url }) and is also handed to open dashboards for their
+// alert history; anything else is shown as plain text.
 self.addEventListener('push', event => {
   console.log('[ServiceWorker] Push notification received');
-  const title = 'Solar Calculator';
+  let alert = null;
+  try {
+    alert = event.data ? event.data.json() : null;
+  } catch (e) { /* plain text */ }
+
+  const title = alert?.title || 'Solar Calculator';
   const options = {
-    body: event.data ? event.data.text() : 'Có cập nhật mới!',
-    icon: '/icon-192x192.png',
-    badge: '/icon-72x72.png',
+    body: alert ? alert.body || '' : (event.data ? event.data.text() : 'Có cập nhật mới!'),
+    icon: '/android-chrome-192x192.png',
+    badge: '/favicon-32x32.png',
     vibrate: [200, 100, 200],
+    tag: alert?.deviceId && alert?.ruleId ? `${alert.deviceId}:${alert.ruleId}` : undefined,
     data: {
       dateOfArrival: Date.now(),
-      primaryKey: 1
+      url: alert?.url || (alert?.deviceId ? `/?deviceId=${encodeURIComponent(alert.deviceId)}` : '/')
     }
   };
 
-  event.waitUntil(
-    self.registration.showNotification(title, options)
-  );
+  const relay = alert
+    ? clients.matchAll({ type: 'window' }).then(windows =>
+        windows.forEach(client => client.postMessage({ type: 'solar-alert', alert })))
+    : Promise.resolve();
+
+  event.waitUntil(Promise.all([
+    self.registration.showNotification(title, options),
+    relay
+  ]));
 });
 
-// Notification click handler
+// Notification click handler - focus a dashboard already showing the page, otherwise open it
 self.addEventListener('notificationclick', event => {
   console.log('[ServiceWorker] Notification click received');
   event.notification.close();
+  const targetUrl = new URL(event.notification.data?.url || '/', self.location.origin).href;
   event.waitUntil(
-    clients.openWindow('/')
+    clients.matchAll({ type: 'window' }).then(windows => {
+      const existing = windows.find(client => client.url === targetUrl);
+      return existing ? existing.focus() : clients.openWindow(targetUrl);
+    })
   );
 });
 
@@ -1,5 +1,5 @@
 /**
- * Lightearth Proxy Worker v3.1 (based on v3.0)
+ * Lightearth Proxy Worker v3.2 (based on v3.1)
  * - Proxy to lesvr.suntcn.com
  * - Proxy to Home Assistant
  * - Optimized: O(n log n) power history processing to avoid Worker timeout
@@ -8,11 +8,43 @@
  * - Added: Device info endpoint (model, manufacturer, firmware)
  * - Added: HA devices list endpoint
  * - Added: HA monthly energy endpoint
+ * - Refactored: Declarative route table with typed path params and per-route middleware
+ *   (HA-required, deviceId validation, error envelope), automatic 405 and /health endpoint list
+ * - Added: Edge caching of lesvr day/month/year responses (X-Cache, Age headers)
+ * - Optimized: Shared, coalesced HA /api/states snapshot (5s) for all state-based helpers
+ * - Added: Pluggable sliding-window rate limit store (Durable Object / KV / memory),
+ *   per route class limits and RateLimit-* response headers
+ * - Added: API key / HMAC-signed token authentication scoped to the caller's deviceIds
+ * - Changed: lesvr app credentials come from secrets, with fallback rotation and an aggregate status in /health
+ * - Added: Date-range power history (?from&to&interval) with time-weighted avg/min/max and Wh per bucket
+ * - Changed: Power history integrates energy (PV, charge, discharge, grid import/export, load)
+ *   per bucket and per day instead of sampling the last value at each tick
+ * - Added: Configurable power history sensor set incl. essential load, PV1/PV2 strings and voltages
+ * - Added: HA entity map (per installation / per device) with device_class + unit discovery
+ * - Added: /api/ha/day/{deviceId}/{date} - power, SOC, temperature, energy and device info in one call
+ * - Added: /api/ha/stream/{deviceId} - SSE relay of HA state changes (heartbeats, Last-Event-ID resume)
+ * - Added: /api/v2/realtime/{deviceId} - normalized, versioned realtime schema (/api/v2/schema/realtime)
+ * - Added: /api/v2/realtime/{deviceId}/railway - the Railway backend's realtime data in the same schema
+ * - Added: /api/month/{deviceId}/{YYYY-MM} and /api/year/{deviceId}/{YYYY} - a past month / year from lesvr
+ * - Changed: HA history/monthly dates follow an IANA time zone (?tz= or per device) instead of fixed UTC+7
+ * - Added: Structured JSON request logs and Prometheus /metrics (per-route counters, latency histograms)
+ * - Added: Per-upstream circuit breaker (HA / lesvr) with half-open probing; last good responses
+ *   are served with `stale: true` and their age while an upstream is down
+ * - Added: Shared upstream client - per-upstream timeouts, jittered retries for GETs, JSON checks and
+ *   UPSTREAM_TIMEOUT / UPSTREAM_AUTH / UPSTREAM_BAD_PAYLOAD / UPSTREAM_ERROR error codes
+ * - Added: /api/ha/settings/{deviceId} - list (GET) and change (POST, write-enabled keys) inverter
+ *   settings via HA number/select services, validated against min/max/step/options and audit logged
+ * - Changed: /api/ha/devices also reports load/grid/battery power, temperature, today's kWh and
+ *   last update per device (fleet overview page)
+ * - Added: ?since= on /api/ha/day - only the buckets from that instant on (incremental refresh of today)
+ * - Changed: Auth fails closed - without API_KEYS / AUTH_KV / AUTH_SIGNING_SECRET requests get a 503
+ *   unless AUTH_DISABLED=1 is set explicitly
  * 
  * SECURITY FEATURES (v3.1):
  * - GEO BLOCKING: Only allow requests from Vietnam (VN)
- * - Rate limiting per IP (60 requests/minute)
- * - CORS protection with allowed origins whitelist
+ * - Rate limiting per IP and route class (default 60 requests/minute)
+ * - CORS protection with allowed origins whitelist (exact match)
+ * - API key / signed token authentication, per-device authorization
  * - User-Agent validation (block bots/scrapers)
  * - Input validation for deviceId
  * - Security headers
@@ -20,10 +52,101 @@
  * Environment Variables needed:
  * - HA_URL: Home Assistant URL (e.g., https://xxx.trycloudflare.com)
  * - HA_TOKEN: Home Assistant Long-Lived Access Token
+ * - LESVR_CREDENTIALS: JSON array of lesvr app credentials
+ *   [{ "name": "...", "authorization": "...", "versionCode": "20241025", "userAgent": "..." }]
+ *   or LESVR_AUTH_TOKEN (+ LESVR_VERSION_CODE, LESVR_USER_AGENT) for a single one
+ * - LESVR_AUTH_RETURN_VALUES (optional): returnValue codes of a rejected lesvr token (default 401,403)
+ * - RATE_LIMITER (optional): Durable Object namespace for the RateLimiter class (preferred store)
+ * - RATE_LIMIT_KV (optional): KV namespace for rate limit windows (used when no RATE_LIMITER)
+ * - RATE_LIMITS (optional): JSON per-class overrides, e.g. {"haHistory":{"maxRequests":20}}
+ * - API_KEYS (optional): JSON { "<sha256 hex of key>": { "owner": "...", "devices": [...] } }
+ * - AUTH_KV (optional): KV namespace with the same entries under `apikey:<sha256 hex>`
+ * - AUTH_SIGNING_SECRET (optional): HMAC secret for short-lived tokens (POST /api/auth/token)
+ * - AUTH_DISABLED (optional): "1" to serve without authentication when none of API_KEYS /
+ *   AUTH_KV / AUTH_SIGNING_SECRET is set (otherwise API requests are refused with 503)
+ * - ALLOWED_ORIGINS (optional): Extra CORS origins, comma separated
+ * - HA_ENTITY_MAP (optional): JSON entity map, see HA ENTITY MAP (or KV CONFIG_KV `ha-entity-map`)
+ * - POWER_HISTORY_SENSORS (optional): Default power history sensor keys, comma separated
+ * - DEFAULT_TIMEZONE (optional): IANA zone for HA dates when neither ?tz= nor the device sets one
+ * - LESVR_TODAY_TTL (optional): Edge cache TTL in seconds for today's lesvr day data (default 300)
+ * - METRICS_TOKEN (optional): Bearer token for GET /metrics (disabled when unset)
+ * - CIRCUIT_BREAKER (optional): JSON per-upstream overrides, e.g. {"homeassistant":{"openSeconds":60}}
+ * - UPSTREAM_CONFIG (optional): JSON timeout/retry/budget overrides per profile (homeassistant, haHistory, lesvr, railway)
+ * - RAILWAY_URL (optional): Railway backend (LumenTreeInfo.API) base URL for the railway realtime source
+ * - AUDIT_KV (optional): KV namespace for the settings audit trail (`audit:<deviceId>:<time>`)
+ *
+ * Tests: node --test cloudflare-workers/test/ (local HA / lesvr fixture servers, see test/harness.mjs)
  */
 
-// Vietnam timezone offset: UTC+7
-const VN_OFFSET_HOURS = 7;
+// ============ TIME ZONES ============
+// HA dates and HH:mm labels use an IANA time zone: `?tz=` on the request, else the device's
+// `timezone` in the HA entity map, else env.DEFAULT_TIMEZONE, else Vietnam.
+const DEFAULT_TIMEZONE = 'Asia/Ho_Chi_Minh';
+const zoneFormatters = new Map();
+
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    getZoneFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function getZonedParts(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getZoneFormatter(timeZone).formatToParts(new Date(ms))) parts[type] = value;
+  return parts;
+}
+
+// Offset from UTC (ms) of the zone at instant `ms`, DST included
+function getZoneOffsetMs(ms, timeZone) {
+  const p = getZonedParts(ms, timeZone);
+  return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// YYYY-MM-DD of instant `ms` in the zone
+function getZonedDateString(ms, timeZone) {
+  const p = getZonedParts(ms, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// HH:mm of instant `ms` in the zone
+function formatZonedTime(ms, timeZone) {
+  const p = getZonedParts(ms, timeZone);
+  return `${p.hour}:${p.minute}`;
+}
+
+// ISO 8601 with the zone's offset, e.g. 2026-10-01T00:05:00+07:00
+function toZonedISOString(ms, timeZone) {
+  const offsetMin = Math.round(getZoneOffsetMs(ms, timeZone) / 60000);
+  const sign = offsetMin < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMin);
+  const local = new Date(ms + offsetMin * 60000).toISOString().substring(0, 19);
+  return `${local}${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Instant (epoch ms) of local midnight at the start of `date` in the zone
+function getZonedMidnight(date, timeZone) {
+  const utcMidnight = Date.parse(`${date}T00:00:00Z`);
+  const guess = utcMidnight - getZoneOffsetMs(utcMidnight, timeZone);
+  return utcMidnight - getZoneOffsetMs(guess, timeZone);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
 
 // ============ SECURITY CONFIGURATION ============
 const SECURITY_CONFIG = {
@@ -44,11 +167,18 @@ const SECURITY_CONFIG = {
     'http://127.0.0.1:8080',
   ],
   
-  // Rate limiting settings
+  // Rate limiting settings (per IP and route class; override per class with env.RATE_LIMITS JSON)
   rateLimit: {
     maxRequests: 60,      // Max requests per window
     windowMs: 60 * 1000,  // 1 minute window
     blockDurationMs: 5 * 60 * 1000,  // Block for 5 minutes if exceeded
+    classes: {
+      default: { maxRequests: 60 },
+      haHistory: { maxRequests: 30 },    // /api/ha/*-history, temperature - heavy HA queries
+      haRealtime: { maxRequests: 120 },  // /api/ha/states, devices, ... - cheap snapshot reads
+      lesvr: { maxRequests: 30 },        // upstream lesvr.suntcn.com
+      haWrite: { maxRequests: 10 },      // POST /api/ha/settings - inverter setting changes
+    },
   },
   
   // Blocked User-Agents (bots, scrapers)
@@ -66,471 +196,2167 @@ const SECURITY_CONFIG = {
   ],
 };
 
+// ============ EDGE CACHE CONFIGURATION ============
+const CACHE_CONFIG = {
+  // Past days never change upstream - keep them for a year
+  pastDayTtlSeconds: 365 * 24 * 60 * 60,
+  // Today's data keeps growing; override with env.LESVR_TODAY_TTL (seconds)
+  todayTtlSeconds: 5 * 60,
+};
+
 // ============ RATE LIMITING ============
+// Sliding-window counter per client IP and route class. The window state is a small
+// record ({ windowStart, count, prevCount, blockedUntil }) so the same algorithm runs
+// against any store:
+// - Durable Object (env.RATE_LIMITER) - strongly consistent, production option
+// - KV (env.RATE_LIMIT_KV) - eventually consistent, cheap
+// - In-memory Map - per isolate, local/dev fallback
+
+function getRateLimitConfig(env, routeClass) {
+  let overrides = {};
+  if (env.RATE_LIMITS) {
+    try { overrides = JSON.parse(env.RATE_LIMITS); } catch (e) { /* ignore malformed override */ }
+  }
+  const base = SECURITY_CONFIG.rateLimit;
+  return { ...base, ...(base.classes[routeClass] || base.classes.default), ...(overrides[routeClass] || {}) };
+}
+
+function slidingWindowHit(record, now, limit) {
+  const windowStart = Math.floor(now / limit.windowMs) * limit.windowMs;
+  record = record || { windowStart, count: 0, prevCount: 0, blockedUntil: 0 };
+
+  if (record.blockedUntil > now) {
+    return { record, allowed: false, remaining: 0, resetMs: record.blockedUntil - now };
+  }
+
+  if (record.windowStart !== windowStart) {
+    record.prevCount = record.windowStart === windowStart - limit.windowMs ? record.count : 0;
+    record.count = 0;
+    record.windowStart = windowStart;
+  }
+
+  const prevWeight = 1 - (now - windowStart) / limit.windowMs;
+  const estimated = record.prevCount * prevWeight + record.count + 1;
+
+  if (estimated > limit.maxRequests) {
+    record.blockedUntil = now + limit.blockDurationMs;
+    return { record, allowed: false, remaining: 0, resetMs: limit.blockDurationMs };
+  }
+
+  record.count++;
+  return {
+    record,
+    allowed: true,
+    remaining: Math.max(0, Math.floor(limit.maxRequests - estimated)),
+    resetMs: windowStart + limit.windowMs - now,
+  };
+}
+
 const rateLimitMap = new Map();
 
-function isRateLimited(ip) {
+const memoryRateLimitStore = {
+  name: 'memory',
+  async hit(key, limit, now) {
+    const result = slidingWindowHit(rateLimitMap.get(key), now, limit);
+    rateLimitMap.set(key, result.record);
+    return result;
+  },
+};
+
+function kvRateLimitStore(kv) {
+  return {
+    name: 'kv',
+    async hit(key, limit, now) {
+      const result = slidingWindowHit(await kv.get(`rl:${key}`, 'json'), now, limit);
+      const ttlMs = Math.max(2 * limit.windowMs, result.record.blockedUntil - now);
+      // KV requires expirationTtl >= 60s
+      await kv.put(`rl:${key}`, JSON.stringify(result.record), { expirationTtl: Math.max(60, Math.ceil(ttlMs / 1000)) });
+      return result;
+    },
+  };
+}
+
+function durableObjectRateLimitStore(namespace) {
+  return {
+    name: 'durable-object',
+    async hit(key, limit, now) {
+      const stub = namespace.get(namespace.idFromName(key));
+      const res = await stub.fetch('https://rate-limiter/hit', {
+        method: 'POST',
+        body: JSON.stringify({ limit, now }),
+      });
+      if (!res.ok) throw new Error(`RateLimiter DO error: ${res.status}`);
+      return res.json();
+    },
+  };
+}
+
+function getRateLimitStore(env) {
+  if (env.RATE_LIMITER) return durableObjectRateLimitStore(env.RATE_LIMITER);
+  if (env.RATE_LIMIT_KV) return kvRateLimitStore(env.RATE_LIMIT_KV);
+  return memoryRateLimitStore;
+}
+
+// Durable Object holding one client's window. Bind as RATE_LIMITER in wrangler.toml:
+//   [[durable_objects.bindings]] name = "RATE_LIMITER", class_name = "RateLimiter"
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { limit, now } = await request.json();
+    const result = slidingWindowHit(await this.state.storage.get('record'), now, limit);
+    await this.state.storage.put('record', result.record);
+    return new Response(JSON.stringify({ allowed: result.allowed, remaining: result.remaining, resetMs: result.resetMs }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+async function checkRateLimit(env, clientIP, routeClass) {
+  const limit = getRateLimitConfig(env, routeClass);
+  const store = getRateLimitStore(env);
   const now = Date.now();
-  const record = rateLimitMap.get(ip);
-  
-  if (!record) {
-    rateLimitMap.set(ip, { count: 1, windowStart: now, blocked: false });
-    return false;
+  let result;
+  try {
+    result = await store.hit(`${routeClass}:${clientIP}`, limit, now);
+  } catch (error) {
+    // Fail open: an unavailable store must not take the API down
+    console.log(`[RATE LIMIT] ${store.name} store error, allowing request: ${error.message}`);
+    return { allowed: true, headers: {} };
   }
+
+  return {
+    allowed: result.allowed,
+    resetSeconds: Math.ceil(result.resetMs / 1000),
+    headers: {
+      'RateLimit-Limit': String(limit.maxRequests),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+      'RateLimit-Policy': `${limit.maxRequests};w=${Math.round(limit.windowMs / 1000)}`,
+    },
+  };
+}
+
+function cleanupRateLimitMap() {
+  const now = Date.now();
+  const maxAge = SECURITY_CONFIG.rateLimit.windowMs * 10;
   
-  if (record.blocked && now < record.blockedUntil) {
-    return true;
+  for (const [key, record] of rateLimitMap.entries()) {
+    if (now - record.windowStart > maxAge && record.blockedUntil <= now) {
+      rateLimitMap.delete(key);
+    }
   }
+}
+
+// ============ SECURITY HELPERS ============
+
+function getClientIP(request) {
+  return request.headers.get('CF-Connecting-IP') || 
+         request.headers.get('X-Real-IP') || 
+         request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() ||
+         'unknown';
+}
+
+// Get country code from Cloudflare header
+function getClientCountry(request) {
+  return request.headers.get('CF-IPCountry') || 'XX';
+}
+
+// Check if country is allowed
+function isCountryAllowed(country) {
+  // Allow unknown country (XX) for localhost/development
+  if (country === 'XX' || country === 'T1') return true; // T1 = Tor exit node, XX = unknown
+  return SECURITY_CONFIG.allowedCountries.includes(country);
+}
+
+// Exact-match whitelist, extendable with env.ALLOWED_ORIGINS (comma separated)
+function isOriginAllowed(origin, env = {}) {
+  if (!origin) return true; // Allow requests without origin (direct API calls)
+  const extraOrigins = (env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  return SECURITY_CONFIG.allowedOrigins.includes(origin) || extraOrigins.includes(origin);
+}
+
+function isUserAgentBlocked(userAgent) {
+  if (!userAgent) return false; // Allow requests without User-Agent for now
+  const ua = userAgent.toLowerCase();
+  return SECURITY_CONFIG.blockedUserAgents.some(blocked => ua.includes(blocked));
+}
+
+function createSecurityHeaders(origin, env) {
+  const allowedOrigin = isOriginAllowed(origin, env) ? (origin || '*') : SECURITY_CONFIG.allowedOrigins[0];
   
-  if (record.blocked && now >= record.blockedUntil) {
-    record.blocked = false;
-    record.count = 1;
-    record.windowStart = now;
-    return false;
+  return {
+    'Access-Control-Allow-Origin': allowedOrigin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+    'Access-Control-Max-Age': '86400',
+    'Access-Control-Expose-Headers': 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After, X-Cache, Age',
+    'Content-Type': 'application/json',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+  };
+}
+
+function isValidDeviceId(deviceId) {
+  return /^[A-Za-z0-9_-]+$/.test(deviceId);
+}
+
+// ============ AUTHENTICATION ============
+// Callers authenticate with either
+// - an API key: `Authorization: Bearer <key>` or `X-API-Key: <key>`. Keys are looked up by
+//   their SHA-256 hex digest in env.API_KEYS (JSON) or env.AUTH_KV (`apikey:<digest>`),
+//   each entry being { "owner": "...", "devices": ["P250812032", ...] } ("*" = all devices),
+//   plus "write": true for keys allowed to change inverter settings
+// - a signed token from POST /api/auth/token: `v1.<payload>.<hmac>` (HMAC-SHA256 with
+//   env.AUTH_SIGNING_SECRET), passed as Bearer or `?token=` for clients that cannot set headers.
+//   Only signed tokens are read from the query string: a long-lived API key there would end up
+//   in access logs, browser history and Referer headers
+// Auth is enforced as soon as any of these bindings is configured. Without any of them every
+// API request is refused (503 AUTH_NOT_CONFIGURED), so a missing or misspelled binding can't
+// silently turn device scoping off; open access needs an explicit env.AUTH_DISABLED=1.
+
+const AUTH_CONFIG = {
+  tokenPrefix: 'v1.',
+  minTokenTtlSeconds: 60,               // 1 minute
+  defaultTokenTtlSeconds: 60 * 60,      // 1 hour
+  maxTokenTtlSeconds: 24 * 60 * 60,     // 24 hours
+};
+
+function isAuthEnabled(env) {
+  return !!(env.API_KEYS || env.AUTH_KV || env.AUTH_SIGNING_SECRET);
+}
+
+function isAuthExplicitlyDisabled(env) {
+  return ['1', 'true'].includes(String(env.AUTH_DISABLED || '').toLowerCase());
+}
+
+function describeAuthMode(env) {
+  if (isAuthEnabled(env)) return 'api-key / signed token';
+  return isAuthExplicitlyDisabled(env) ? 'disabled (AUTH_DISABLED)' : 'not configured - requests refused';
+}
+
+// Logged once per isolate so an open deployment is visible in the logs
+let authDisabledWarned = false;
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function getHmacKey(secret, usage) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
+
+async function signToken(env, claims) {
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify(claims)));
+  const key = await getHmacKey(env.AUTH_SIGNING_SECRET, 'sign');
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+  return `${AUTH_CONFIG.tokenPrefix}${payload}.${base64UrlEncode(signature)}`;
+}
+
+async function verifyToken(env, token) {
+  if (!env.AUTH_SIGNING_SECRET) return null;
+  const [payload, signature] = token.slice(AUTH_CONFIG.tokenPrefix.length).split('.');
+  if (!payload || !signature) return null;
+
+  try {
+    const key = await getHmacKey(env.AUTH_SIGNING_SECRET, 'verify');
+    const valid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(signature), new TextEncoder().encode(payload));
+    if (!valid) return null;
+
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    if (!claims.exp || claims.exp * 1000 < Date.now()) return null;
+    return { subject: claims.sub, devices: claims.devices || [], write: claims.write === true, method: 'token', expiresAt: claims.exp };
+  } catch (e) {
+    return null;
   }
-  
-  if (now - record.windowStart > SECURITY_CONFIG.rateLimit.windowMs) {
-    record.count = 1;
-    record.windowStart = now;
-    return false;
+}
+
+async function lookupApiKey(env, apiKey) {
+  const digest = await sha256Hex(apiKey);
+  let entry = null;
+
+  if (env.API_KEYS) {
+    try { entry = JSON.parse(env.API_KEYS)[digest] || null; } catch (e) { /* malformed API_KEYS */ }
   }
-  
-  record.count++;
-  if (record.count > SECURITY_CONFIG.rateLimit.maxRequests) {
-    record.blocked = true;
-    record.blockedUntil = now + SECURITY_CONFIG.rateLimit.blockDurationMs;
-    console.log(`[RATE LIMIT] IP ${ip} blocked until ${new Date(record.blockedUntil).toISOString()}`);
-    return true;
+  if (!entry && env.AUTH_KV) {
+    entry = await env.AUTH_KV.get(`apikey:${digest}`, 'json');
+  }
+  if (!entry) return null;
+
+  return { subject: entry.owner || digest.slice(0, 12), devices: entry.devices || [], write: entry.write === true, method: 'apiKey' };
+}
+
+function getCredential(ctx) {
+  const authHeader = ctx.request.headers.get('Authorization') || '';
+  if (authHeader.startsWith('Bearer ')) return authHeader.slice(7).trim();
+  const headerKey = ctx.request.headers.get('X-API-Key');
+  if (headerKey) return headerKey;
+  const queryToken = ctx.url.searchParams.get('token') || '';
+  return queryToken.startsWith(AUTH_CONFIG.tokenPrefix) ? queryToken : '';
+}
+
+async function resolveCredential(env, credential) {
+  if (!credential) return null;
+  if (credential.startsWith(AUTH_CONFIG.tokenPrefix)) return verifyToken(env, credential);
+  return lookupApiKey(env, credential);
+}
+
+function canAccessDevice(auth, deviceId) {
+  if (!auth) return true; // auth disabled
+  return auth.devices.includes('*') || auth.devices.some(d => d.toUpperCase() === deviceId.toUpperCase());
+}
+
+// ============ UPSTREAM CLIENT ============
+// All HA and lesvr HTTP calls go through upstreamFetch: a per-profile timeout, bounded retries
+// with full jitter for idempotent GETs (timeouts, network errors, 5xx), and a JSON content-type
+// check. Failures are thrown with a `code` and HTTP `status` that errorEnvelope passes on:
+// - UPSTREAM_TIMEOUT (504)      no response within the profile's timeout
+// - UPSTREAM_AUTH (502)         upstream rejected our credentials (401/403)
+// - UPSTREAM_BAD_PAYLOAD (502)  non-JSON content type or unparsable body (e.g. an HTML error page)
+// - UPSTREAM_ERROR (502)        any other non-2xx status, or the upstream was unreachable
+// A profile's budgetMs caps the total time of one logical call, retries and credential
+// rotation included (see fetchLesvr); no attempt starts or runs past it.
+// Profiles can be overridden with env.UPSTREAM_CONFIG JSON, e.g. {"haHistory":{"timeoutMs":30000}}.
+
+const UPSTREAM_PROFILES = {
+  homeassistant: { timeoutMs: 10 * 1000, retries: 1 },
+  haHistory: { timeoutMs: 25 * 1000, retries: 0 },   // heavy queries: retrying would double the load
+  lesvr: { timeoutMs: 8 * 1000, retries: 2, budgetMs: 15 * 1000 },
+  railway: { timeoutMs: 10 * 1000, retries: 1 },
+};
+const UPSTREAM_RETRY = { baseDelayMs: 200, maxDelayMs: 2000 };
+
+let upstreamOverrides = { source: null, profiles: {} };
+
+// Called once per request; env is fixed per deployment, so the parsed JSON is reused
+function configureUpstreams(env) {
+  const source = env.UPSTREAM_CONFIG || null;
+  if (upstreamOverrides.source === source) return;
+  let profiles = {};
+  if (source) {
+    try { profiles = JSON.parse(source); } catch (e) { console.log('[UPSTREAM] UPSTREAM_CONFIG is not valid JSON'); }
+  }
+  upstreamOverrides = { source, profiles };
+}
+
+function getUpstreamProfile(name) {
+  return { ...UPSTREAM_PROFILES[name], ...(upstreamOverrides.profiles[name] || {}) };
+}
+
+function upstreamError(code, message, extra = {}) {
+  const status = code === 'UPSTREAM_TIMEOUT' ? 504 : 502;
+  return Object.assign(new Error(message), { code, status, ...extra });
+}
+
+// fetch() that rejects with UPSTREAM_TIMEOUT when no response arrives within timeoutMs
+async function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) throw upstreamError('UPSTREAM_TIMEOUT', `Upstream timed out after ${timeoutMs}ms`);
+    throw upstreamError('UPSTREAM_ERROR', `Upstream unreachable: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function isRetryable(error) {
+  return error.code === 'UPSTREAM_TIMEOUT' || (error.code === 'UPSTREAM_ERROR' && (!error.upstreamStatus || error.upstreamStatus >= 500));
+}
+
+async function upstreamAttempt(url, init, timeoutMs) {
+  const response = await fetchWithTimeout(url, init, timeoutMs);
+  if (response.status === 401 || response.status === 403) {
+    throw upstreamError('UPSTREAM_AUTH', `Upstream rejected credentials: HTTP ${response.status}`, { upstreamStatus: response.status });
+  }
+  if (!response.ok) {
+    throw upstreamError('UPSTREAM_ERROR', `Upstream error: HTTP ${response.status}`, { upstreamStatus: response.status });
+  }
+
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!contentType.includes('json')) {
+    throw upstreamError('UPSTREAM_BAD_PAYLOAD', `Upstream returned ${contentType.split(';')[0] || 'no content type'} instead of JSON`);
+  }
+  try {
+    return await response.json();
+  } catch (e) {
+    throw upstreamError('UPSTREAM_BAD_PAYLOAD', 'Upstream returned malformed JSON');
+  }
+}
+
+// Fetch and parse a JSON upstream response with the given profile (see UPSTREAM_PROFILES).
+// `deadline` (epoch ms) shortens the last attempt and stops retrying once it has passed.
+async function upstreamFetch(profileName, url, init = {}, deadline = Infinity) {
+  const profile = getUpstreamProfile(profileName);
+  const idempotent = !init.method || init.method === 'GET';
+  const attempts = 1 + (idempotent ? profile.retries : 0);
+
+  for (let attempt = 1; ; attempt++) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) throw upstreamError('UPSTREAM_TIMEOUT', 'Upstream time budget exhausted');
+    try {
+      return await upstreamAttempt(url, init, Math.min(profile.timeoutMs, remainingMs));
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) throw error;
+      const cap = Math.min(UPSTREAM_RETRY.maxDelayMs, UPSTREAM_RETRY.baseDelayMs * 2 ** (attempt - 1));
+      const delayMs = Math.random() * cap;
+      if (Date.now() + delayMs >= deadline) throw error;
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+// ============ LESVR CREDENTIALS ============
+// lesvr.suntcn.com expects the headers of the LightEarth Android app. The token and app
+// version come from secrets so they can be rotated without a deploy:
+// - LESVR_CREDENTIALS: JSON array of { "name", "authorization", "versionCode"?, "userAgent"? },
+//   tried in order when the active one is rejected
+// - or LESVR_AUTH_TOKEN (+ optional LESVR_VERSION_CODE, LESVR_USER_AGENT) for a single credential
+// - LESVR_AUTH_RETURN_VALUES (optional): comma separated returnValue codes that mean the token
+//   was rejected, when lesvr answers 200 instead of 401/403 (default 401,403)
+
+const LESVR_DEFAULT_HEADERS = {
+  'Accept-Language': 'vi-VN,vi;q=0.8',
+  'User-Agent': 'okhttp-okgo/jeasonlzy',
+  'source': '2',
+  'platform': '2',
+  'wifiStatus': '1'
+};
+
+const LESVR_AUTH_RETURN_VALUES = [401, 403];
+
+// Per isolate: which credential is active and how each one has fared
+const lesvrCredentialState = { activeIndex: 0, health: {} };
+
+function getLesvrCredentials(env) {
+  if (env.LESVR_CREDENTIALS) {
+    try {
+      const list = JSON.parse(env.LESVR_CREDENTIALS);
+      if (Array.isArray(list)) {
+        return list
+          .filter(c => c && c.authorization)
+          .map((c, i) => ({ name: c.name || `credential-${i + 1}`, ...c }));
+      }
+    } catch (e) {
+      console.log('[LESVR] LESVR_CREDENTIALS is not valid JSON');
+    }
+  }
+  if (env.LESVR_AUTH_TOKEN) {
+    return [{
+      name: 'default',
+      authorization: env.LESVR_AUTH_TOKEN,
+      versionCode: env.LESVR_VERSION_CODE,
+      userAgent: env.LESVR_USER_AGENT,
+    }];
+  }
+  return [];
+}
+
+function buildLesvrHeaders(credential, env) {
+  return {
+    ...LESVR_DEFAULT_HEADERS,
+    'User-Agent': credential.userAgent || LESVR_DEFAULT_HEADERS['User-Agent'],
+    'Authorization': credential.authorization,
+    'versionCode': String(credential.versionCode || env.LESVR_VERSION_CODE || '20241025'),
+  };
+}
+
+// Per-credential detail goes to the logs; /health only reports the aggregate
+function recordLesvrResult(credential, ok, error) {
+  const health = lesvrCredentialState.health[credential.name] ||= { failures: 0 };
+  if (ok) {
+    health.failures = 0;
+  } else {
+    health.failures++;
+    console.log(JSON.stringify({ level: 'warn', msg: 'lesvr credential rejected', credential: credential.name, failures: health.failures, error }));
+  }
+}
+
+// lesvr rejects a stale token either with HTTP 401/403 (surfaced as UPSTREAM_AUTH by
+// upstreamFetch) or with a 200 carrying an auth returnValue. Only that code counts: msg is
+// free text (a query error may well mention a "token"), and other non-1 returnValues, like
+// a day without data, are ordinary answers that say nothing about the credential.
+function getLesvrAuthReturnValues(env) {
+  if (!env.LESVR_AUTH_RETURN_VALUES) return LESVR_AUTH_RETURN_VALUES;
+  return String(env.LESVR_AUTH_RETURN_VALUES).split(',').map(v => parseInt(v, 10)).filter(Number.isFinite);
+}
+
+function isLesvrTokenRejection(payload, env) {
+  return getLesvrAuthReturnValues(env).includes(Number(payload.returnValue));
+}
+
+// Fetch a lesvr URL with the active credential, rotating to the next one only when the
+// credential itself is rejected. Any other payload goes back to the caller unchanged.
+// The lesvr budgetMs covers the whole call, however many credentials are tried.
+async function fetchLesvr(env, apiUrl) {
+  const credentials = getLesvrCredentials(env);
+  if (credentials.length === 0) throw new Error('lesvr credentials not configured');
+
+  const deadline = Date.now() + (getUpstreamProfile('lesvr').budgetMs ?? Infinity);
+  const start = lesvrCredentialState.activeIndex % credentials.length;
+  let lastError = null;
+
+  for (let attempt = 0; attempt < credentials.length; attempt++) {
+    const index = (start + attempt) % credentials.length;
+    const credential = credentials[index];
+
+    let payload;
+    try {
+      payload = await upstreamFetch('lesvr', apiUrl, { method: 'GET', headers: buildLesvrHeaders(credential, env) }, deadline);
+    } catch (error) {
+      if (error.code !== 'UPSTREAM_AUTH') throw error;
+      lastError = `HTTP ${error.upstreamStatus}`;
+      recordLesvrResult(credential, false, lastError);
+      continue;
+    }
+
+    if (isLesvrTokenRejection(payload, env)) {
+      lastError = `returnValue ${payload.returnValue}`;
+      recordLesvrResult(credential, false, lastError);
+      continue;
+    }
+
+    recordLesvrResult(credential, true);
+    if (lesvrCredentialState.activeIndex !== index) {
+      console.log(`[LESVR] Switched active credential to ${credential.name}`);
+      lesvrCredentialState.activeIndex = index;
+    }
+    return payload;
+  }
+
+  throw upstreamError('UPSTREAM_AUTH', `lesvr rejected all credentials (${lastError})`);
+}
+
+// Aggregate only: /health is public, so credential names, errors and timestamps stay out of it
+function getLesvrHealth(env) {
+  const credentials = getLesvrCredentials(env);
+  const failing = credentials.filter(c => (lesvrCredentialState.health[c.name]?.failures || 0) > 0).length;
+  let status = 'healthy';
+  if (credentials.length === 0) status = 'unconfigured';
+  else if (failing === credentials.length) status = 'down';
+  else if (failing > 0) status = 'degraded';
+  return { configured: credentials.length, status };
+}
+
+// ============ RESPONSE HELPERS ============
+
+function jsonResponse(body, headers, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+
+// ============ OBSERVABILITY ============
+// Every request ends in one JSON log line (route, deviceId, upstream, status, duration, cache
+// status, country, outcome) for Workers Logs / Logpush queries, and feeds the counters and
+// latency histograms served in Prometheus text format at GET /metrics (Bearer METRICS_TOKEN).
+// Metrics live in isolate memory: each isolate reports its own series since its start time,
+// so scrape with rate()/increase(), which handle resets. Per-device questions go to the logs;
+// deviceId is deliberately not a metric label. Streams (SSE) are timed to their response headers.
+
+const METRICS_CONFIG = {
+  durationBuckets: [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],   // seconds
+};
+
+const metricsState = {
+  startedAt: Date.now(),
+  requests: new Map(),    // label string -> count
+  durations: new Map(),   // label string -> { buckets, sum, count }
+};
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([key, value]) => `${key}="${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+function recordRequestMetrics(entry) {
+  const route = entry.route || 'unmatched';
+  const upstream = entry.upstream || 'none';
+  const counterKey = formatLabels({ route, method: entry.method, status: entry.status, upstream, cache: entry.cache || '' });
+  metricsState.requests.set(counterKey, (metricsState.requests.get(counterKey) || 0) + 1);
+
+  const histogramKey = formatLabels({ route, upstream });
+  let histogram = metricsState.durations.get(histogramKey);
+  if (!histogram) {
+    histogram = { buckets: METRICS_CONFIG.durationBuckets.map(() => 0), sum: 0, count: 0 };
+    metricsState.durations.set(histogramKey, histogram);
+  }
+  const seconds = entry.durationMs / 1000;
+  METRICS_CONFIG.durationBuckets.forEach((le, i) => { if (seconds <= le) histogram.buckets[i]++; });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+function renderMetrics() {
+  const lines = [
+    '# HELP lightearth_isolate_start_time_seconds Start time of the isolate reporting these series.',
+    '# TYPE lightearth_isolate_start_time_seconds gauge',
+    `lightearth_isolate_start_time_seconds ${Math.floor(metricsState.startedAt / 1000)}`,
+    '# HELP lightearth_circuit_state Upstream circuit breaker state (0 closed, 1 half-open, 2 open).',
+    '# TYPE lightearth_circuit_state gauge',
+    ...['homeassistant', 'lesvr'].map(upstream => {
+      const state = { closed: 0, half_open: 1, open: 2 }[getCircuit(upstream).state];
+      return `lightearth_circuit_state${formatLabels({ upstream })} ${state}`;
+    }),
+    '# HELP lightearth_http_requests_total Requests handled, by route pattern, status, upstream and edge cache status.',
+    '# TYPE lightearth_http_requests_total counter',
+  ];
+  for (const [labels, count] of metricsState.requests) {
+    lines.push(`lightearth_http_requests_total${labels} ${count}`);
+  }
+
+  lines.push(
+    '# HELP lightearth_http_request_duration_seconds Request latency, by route pattern and upstream.',
+    '# TYPE lightearth_http_request_duration_seconds histogram',
+  );
+  for (const [labels, histogram] of metricsState.durations) {
+    const inner = labels.slice(1, -1);
+    METRICS_CONFIG.durationBuckets.forEach((le, i) => {
+      lines.push(`lightearth_http_request_duration_seconds_bucket{${inner},le="${le}"} ${histogram.buckets[i]}`);
+    });
+    lines.push(`lightearth_http_request_duration_seconds_bucket{${inner},le="+Inf"} ${histogram.count}`);
+    lines.push(`lightearth_http_request_duration_seconds_sum${labels} ${Math.round(histogram.sum * 1e6) / 1e6}`);
+    lines.push(`lightearth_http_request_duration_seconds_count${labels} ${histogram.count}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// GET /metrics - answered before geo/UA checks so an external Prometheus can scrape it
+async function handleMetrics(request, env) {
+  if (!env.METRICS_TOKEN) {
+    return new Response('metrics not configured\n', { status: 503, headers: { 'Content-Type': 'text/plain' } });
+  }
+  const authHeader = request.headers.get('Authorization') || '';
+  const presented = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
+  // Compare digests so the check doesn't leak the token through timing
+  if (!presented || await sha256Hex(presented) !== await sha256Hex(env.METRICS_TOKEN)) {
+    return new Response('unauthorized\n', { status: 401, headers: { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' } });
+  }
+  return new Response(renderMetrics(), {
+    headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+}
+
+function logRequest(entry) {
+  console.log(JSON.stringify({ level: entry.status >= 500 ? 'error' : 'info', msg: 'request', ...entry }));
+}
+
+// ============ ROUTER ============
+// Routes are declared as `METHOD /path/:param` with typed params. Each route runs
+// through its middleware chain before the handler; a middleware may short-circuit
+// by returning a Response instead of calling next().
+
+const PARAM_PATTERNS = {
+  deviceId: '([^\\/]+)',
+  date: '(\\d{4}-\\d{2}-\\d{2})',
+  month: '(\\d{4}-(?:0[1-9]|1[0-2]))',
+  year: '(\\d{4})',
+};
+
+function compilePath(pattern) {
+  const paramNames = [];
+  const source = pattern.replace(/:([A-Za-z]+)/g, (_, name) => {
+    paramNames.push(name);
+    return PARAM_PATTERNS[name] || '([^\\/]+)';
+  });
+  return { regex: new RegExp(`^${source}$`), paramNames };
+}
+
+// `upstream` (logs/metrics label) follows from the route's requireHA / requireLesvr middleware
+function route(method, path, middleware, handler, options = {}) {
+  const upstream = middleware.includes(requireHA) ? 'homeassistant' : middleware.includes(requireLesvr) ? 'lesvr' : null;
+  return { method, path, middleware, handler, rateLimitClass: 'default', upstream, ...options, ...compilePath(path) };
+}
+
+function matchRoute(routes, method, path) {
+  let allowedMethods = null;
+  for (const r of routes) {
+    const match = path.match(r.regex);
+    if (!match) continue;
+    if (r.method !== method) {
+      (allowedMethods ||= []).push(r.method);
+      continue;
+    }
+    const params = {};
+    r.paramNames.forEach((name, i) => { params[name] = match[i + 1]; });
+    return { route: r, params };
+  }
+  return { route: null, allowedMethods };
+}
+
+function runMiddleware(middleware, handler, ctx) {
+  const dispatch = (i) => i < middleware.length
+    ? middleware[i](ctx, () => dispatch(i + 1))
+    : handler(ctx);
+  return dispatch(0);
+}
+
+// ============ MIDDLEWARE ============
+
+// Wrap handler errors into the { success: false, error } JSON envelope
+async function errorEnvelope(ctx, next) {
+  try {
+    return await next();
+  } catch (error) {
+    // Errors may carry an HTTP status (e.g. 400 for bad query params)
+    const status = error.status || 500;
+    if (status >= 500) Object.assign(ctx.log, { error: error.message, code: error.code });
+    return jsonResponse({ success: false, error: error.message, ...(error.code ? { code: error.code } : {}) }, ctx.headers, status);
+  }
+}
+
+// Resolve the caller's credential into ctx.auth ({ subject, devices, method })
+async function authenticate(ctx, next) {
+  if (!isAuthEnabled(ctx.env)) {
+    if (!isAuthExplicitlyDisabled(ctx.env)) {
+      ctx.log.error = 'No API_KEYS / AUTH_KV / AUTH_SIGNING_SECRET binding and AUTH_DISABLED is not set';
+      return jsonResponse({ success: false, error: 'Authentication is not configured', code: 'AUTH_NOT_CONFIGURED' }, ctx.headers, 503);
+    }
+    ctx.log.auth = 'disabled';
+    if (!authDisabledWarned) {
+      authDisabledWarned = true;
+      console.log(JSON.stringify({ level: 'warn', msg: 'auth disabled', detail: 'AUTH_DISABLED is set: every caller can read every device' }));
+    }
+    return next();
+  }
+
+  const auth = await resolveCredential(ctx.env, getCredential(ctx));
+  if (!auth) {
+    return jsonResponse({ success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' }, 
+      { ...ctx.headers, 'WWW-Authenticate': 'Bearer' }, 401);
+  }
+  ctx.auth = auth;
+  return next();
+}
+
+// Scope /:deviceId routes to the devices the caller owns
+function authorizeDevice(ctx, next) {
+  if (ctx.params.deviceId !== undefined && !canAccessDevice(ctx.auth, ctx.params.deviceId)) {
+    return jsonResponse({ success: false, error: 'Access to this device is not allowed', code: 'DEVICE_FORBIDDEN' }, ctx.headers, 403);
+  }
+  return next();
+}
+
+// Account-wide routes (not tied to one device) are limited to "*" keys
+function requireAllDevices(ctx, next) {
+  if (ctx.auth && !ctx.auth.devices.includes('*')) {
+    return jsonResponse({ success: false, error: 'This endpoint requires an all-devices key', code: 'DEVICE_FORBIDDEN' }, ctx.headers, 403);
+  }
+  return next();
+}
+
+// Settings writes need a write-enabled API key or token, so they stay off while auth is disabled
+function requireWriteAccess(ctx, next) {
+  if (!ctx.auth) {
+    return jsonResponse({ success: false, error: 'Changing settings requires an API key', code: 'AUTH_REQUIRED' },
+      { ...ctx.headers, 'WWW-Authenticate': 'Bearer' }, 401);
+  }
+  if (!ctx.auth.write) {
+    return jsonResponse({ success: false, error: 'This credential is read-only', code: 'WRITE_FORBIDDEN' }, ctx.headers, 403);
+  }
+  return next();
+}
+
+function requireHA(ctx, next) {
+  if (!ctx.haUrl || !ctx.haToken) {
+    return jsonResponse({ success: false, error: 'HA not configured' }, ctx.headers, 503);
+  }
+  return next();
+}
+
+async function withEntityMap(ctx, next) {
+  ctx.entityMap = await loadEntityMap(ctx.env);
+  return next();
+}
+
+function withTimeZone(ctx, next) {
+  const deviceZone = ctx.params.deviceId && ctx.entityMap
+    ? getDeviceEntityConfig(ctx.entityMap, ctx.params.deviceId).timezone
+    : null;
+  const timeZone = ctx.url.searchParams.get('tz') || deviceZone || ctx.env.DEFAULT_TIMEZONE || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return jsonResponse({ success: false, error: `Unknown time zone: ${timeZone}`, code: 'INVALID_TIMEZONE' }, ctx.headers, 400);
+  }
+  ctx.timeZone = timeZone;
+  return next();
+}
+
+function requireLesvr(ctx, next) {
+  if (getLesvrCredentials(ctx.env).length === 0) {
+    return jsonResponse({ success: false, error: 'lesvr credentials not configured' }, ctx.headers, 503);
+  }
+  return next();
+}
+
+function validateDeviceId(ctx, next) {
+  if (ctx.params.deviceId !== undefined && !isValidDeviceId(ctx.params.deviceId)) {
+    return jsonResponse({ success: false, error: 'Invalid deviceId format' }, ctx.headers, 400);
+  }
+  return next();
+}
+
+// ============ EDGE CACHE ============
+// Upstream lesvr responses are cached in the Cloudflare edge cache (caches.default).
+// A policy maps the request to a TTL in seconds; 0 means "don't cache".
+
+// YYYY-MM-DD of the current Vietnam day (lesvr data is kept in Vietnam time)
+function getVNDateString(now = Date.now()) {
+  return getZonedDateString(now, DEFAULT_TIMEZONE);
+}
+
+// Seconds until the next Vietnam midnight
+function secondsUntilVNMidnight(now = Date.now()) {
+  const nextMidnight = getZonedMidnight(addDays(getVNDateString(now), 1), DEFAULT_TIMEZONE);
+  return Math.max(1, Math.ceil((nextMidnight - now) / 1000));
+}
+
+const CACHE_POLICIES = {
+  // Daily data: past dates are immutable, today (or a future date) is short-lived
+  day: (ctx) => ctx.params.date < getVNDateString()
+    ? CACHE_CONFIG.pastDayTtlSeconds
+    : parseInt(ctx.env.LESVR_TODAY_TTL, 10) || CACHE_CONFIG.todayTtlSeconds,
+  // Month/year aggregates only change when a day rolls over
+  untilMidnight: () => secondsUntilVNMidnight(),
+  // A past month / year is as settled as a past day; the current one changes at midnight
+  month: (ctx) => ctx.params.month < getVNDateString().slice(0, 7) ? CACHE_CONFIG.pastDayTtlSeconds : secondsUntilVNMidnight(),
+  year: (ctx) => ctx.params.year < getVNDateString().slice(0, 4) ? CACHE_CONFIG.pastDayTtlSeconds : secondsUntilVNMidnight(),
+};
+
+function edgeCache(policy) {
+  return async (ctx, next) => {
+    if (typeof caches === 'undefined') return next();
+
+    const cache = caches.default;
+    const cacheKey = new Request(`${ctx.url.origin}${ctx.path}`, { method: 'GET' });
+    const cached = await cache.match(cacheKey);
+
+    if (cached) {
+      const cachedAt = parseInt(cached.headers.get('X-Cached-At'), 10) || Date.now();
+      return new Response(cached.body, {
+        status: cached.status,
+        headers: {
+          ...ctx.headers,
+          'X-Cache': 'HIT',
+          'Age': String(Math.max(0, Math.floor((Date.now() - cachedAt) / 1000))),
+        },
+      });
+    }
+
+    const response = await next();
+    const ttl = policy(ctx);
+    if (response.status !== 200 || ttl <= 0) return response;
+
+    // Only cache successful upstream payloads (lesvr signals success with returnValue: 1)
+    const body = await response.text();
+    let payload = null;
+    try { payload = JSON.parse(body); } catch (e) { /* not JSON */ }
+
+    if (payload && payload.returnValue === 1) {
+      const toCache = new Response(body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `public, max-age=${ttl}`,
+          'X-Cached-At': String(Date.now()),
+        },
+      });
+      const put = cache.put(cacheKey, toCache);
+      if (ctx.waitUntil) ctx.waitUntil(put); else await put;
+    }
+
+    return new Response(body, {
+      status: response.status,
+      headers: { ...ctx.headers, 'X-Cache': 'MISS', 'Age': '0' },
+    });
+  };
+}
+
+// ============ CIRCUIT BREAKER ============
+// One breaker per upstream (homeassistant, lesvr), per isolate. Consecutive upstream failures
+// (thrown errors without a 4xx status, or 5xx responses) open it; while open, requests fail fast
+// without touching the upstream. After `openSeconds` one request is let through as a half-open
+// probe: success closes the breaker, failure re-opens it. Override per upstream with
+// env.CIRCUIT_BREAKER JSON, e.g. {"homeassistant":{"failureThreshold":3,"openSeconds":60}}.
+//
+// Successful JSON responses are also kept as a "last good" copy in the edge cache. When the
+// breaker is open or the upstream fails, that copy is served with `stale: true` and its age
+// instead of an error.
+
+const CIRCUIT_CONFIG = {
+  failureThreshold: 5,
+  openSeconds: 30,
+  staleTtlSeconds: 7 * 24 * 60 * 60,   // how long a last good copy may be served
+  staleWriteIntervalMs: 30 * 1000,     // refresh a copy at most this often per isolate
+};
+
+const circuits = {};                  // upstream -> { state, failures, openedAt, probing, lastError }
+const staleWrittenAt = new Map();     // stale cache key -> last write (ms)
+
+function getCircuitConfig(env, upstream) {
+  let overrides = {};
+  if (env.CIRCUIT_BREAKER) {
+    try { overrides = JSON.parse(env.CIRCUIT_BREAKER); } catch (e) { /* ignore malformed override */ }
+  }
+  return { ...CIRCUIT_CONFIG, ...(overrides[upstream] || {}) };
+}
+
+function getCircuit(upstream) {
+  return circuits[upstream] ||= { state: 'closed', failures: 0, openedAt: 0, probing: false, lastError: null };
+}
+
+// 'pass' | 'probe' | 'reject'
+function admitCircuit(circuit, config, now = Date.now()) {
+  if (circuit.state === 'closed') return 'pass';
+  if (circuit.state === 'open' && now - circuit.openedAt >= config.openSeconds * 1000) {
+    circuit.state = 'half_open';
+  }
+  if (circuit.state === 'half_open' && !circuit.probing) {
+    circuit.probing = true;
+    return 'probe';
+  }
+  return 'reject';
+}
+
+function recordCircuitResult(upstream, circuit, config, ok, errorMessage) {
+  circuit.probing = false;
+  if (ok) {
+    if (circuit.state !== 'closed') console.log(`[CIRCUIT] ${upstream} closed`);
+    Object.assign(circuit, { state: 'closed', failures: 0 });
+    return;
+  }
+  circuit.failures++;
+  circuit.lastError = errorMessage;
+  if (circuit.state === 'half_open' || circuit.failures >= config.failureThreshold) {
+    if (circuit.state !== 'open') console.log(`[CIRCUIT] ${upstream} open after ${circuit.failures} failures: ${errorMessage}`);
+    Object.assign(circuit, { state: 'open', openedAt: Date.now() });
+  }
+}
+
+function isUpstreamFailure(error) {
+  return !error.status || error.status >= 500;
+}
+
+// Device routes are already authorized per deviceId and can share a copy; account-wide routes
+// (e.g. /api/ha/devices, filtered per caller) are kept per auth subject
+function getStaleCacheKey(ctx) {
+  const scope = ctx.params.deviceId === undefined && ctx.auth ? encodeURIComponent(ctx.auth.subject) : '_';
+  const query = new URLSearchParams(ctx.url.search);
+  query.delete('token');
+  const search = query.toString();
+  return new Request(`${ctx.url.origin}/__stale/${scope}${ctx.path}${search ? `?${search}` : ''}`, { method: 'GET' });
+}
+
+async function readStaleCopy(ctx) {
+  if (typeof caches === 'undefined') return null;
+  const cached = await caches.default.match(getStaleCacheKey(ctx));
+  if (!cached) return null;
+
+  const cachedAt = parseInt(cached.headers.get('X-Cached-At'), 10) || Date.now();
+  const age = Math.max(0, Math.floor((Date.now() - cachedAt) / 1000));
+  const payload = await cached.json();
+  return jsonResponse({ ...payload, stale: true, staleSince: new Date(cachedAt).toISOString(), age },
+    { ...ctx.headers, 'X-Cache': 'STALE', 'Age': String(age) });
+}
+
+// Keep a copy of a successful JSON response ({ success: true } or lesvr returnValue 1)
+async function writeStaleCopy(ctx, response, config) {
+  if (typeof caches === 'undefined' || response.status !== 200) return response;
+  if (!(response.headers.get('Content-Type') || '').includes('application/json')) return response;
+
+  const cacheKey = getStaleCacheKey(ctx);
+  const now = Date.now();
+  if (now - (staleWrittenAt.get(cacheKey.url) || 0) < config.staleWriteIntervalMs) return response;
+
+  const body = await response.text();
+  let payload = null;
+  try { payload = JSON.parse(body); } catch (e) { /* not JSON */ }
+
+  if (payload && (payload.success === true || payload.returnValue === 1) && !payload.stale) {
+    staleWrittenAt.set(cacheKey.url, now);
+    if (staleWrittenAt.size > 1000) staleWrittenAt.delete(staleWrittenAt.keys().next().value);
+    const put = caches.default.put(cacheKey, new Response(body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `public, max-age=${config.staleTtlSeconds}`,
+        'X-Cached-At': String(now),
+      },
+    }));
+    if (ctx.waitUntil) ctx.waitUntil(put); else await put;
+  }
+
+  return new Response(body, { status: response.status, headers: response.headers });
+}
+
+async function circuitBreaker(ctx, next) {
+  const upstream = ctx.upstream;
+  if (!upstream) return next();
+
+  const config = getCircuitConfig(ctx.env, upstream);
+  const circuit = getCircuit(upstream);
+  const admission = admitCircuit(circuit, config);
+  // Only reads have a last good copy; writes just fail fast
+  const readStale = () => ctx.request.method === 'GET' ? readStaleCopy(ctx) : null;
+
+  if (admission === 'reject') {
+    ctx.log.circuit = circuit.state;
+    const stale = await readStale();
+    if (stale) return stale;
+    const retryAfter = Math.max(1, Math.ceil((circuit.openedAt + config.openSeconds * 1000 - Date.now()) / 1000));
+    return jsonResponse({ success: false, error: `${upstream} is unavailable`, code: 'UPSTREAM_UNAVAILABLE', retryAfter },
+      { ...ctx.headers, 'Retry-After': String(retryAfter) }, 503);
+  }
+  if (admission === 'probe') ctx.log.circuit = 'half_open';
+
+  let response;
+  try {
+    response = await next();
+  } catch (error) {
+    if (!isUpstreamFailure(error)) {
+      recordCircuitResult(upstream, circuit, config, true);
+      throw error;
+    }
+    recordCircuitResult(upstream, circuit, config, false, error.message);
+    const stale = await readStale();
+    if (stale) {
+      ctx.log.error = error.message;
+      return stale;
+    }
+    throw error;
+  }
+
+  if (response.status >= 500) {
+    recordCircuitResult(upstream, circuit, config, false, `HTTP ${response.status}`);
+    return (await readStale()) || response;
+  }
+  recordCircuitResult(upstream, circuit, config, true);
+  return ctx.request.method === 'GET' ? writeStaleCopy(ctx, response, config) : response;
+}
+
+function getCircuitHealth(env) {
+  return Object.fromEntries(['homeassistant', 'lesvr'].map(upstream => {
+    const circuit = getCircuit(upstream);
+    return [upstream, {
+      state: circuit.state,
+      failures: circuit.failures,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      lastError: circuit.lastError,
+      failureThreshold: getCircuitConfig(env, upstream).failureThreshold,
+    }];
+  }));
+}
+
+const HA_MIDDLEWARE = [errorEnvelope, authenticate, requireHA, withEntityMap, validateDeviceId, authorizeDevice, withTimeZone, circuitBreaker];
+const HA_WRITE_MIDDLEWARE = [errorEnvelope, authenticate, requireWriteAccess, requireHA, withEntityMap, validateDeviceId, authorizeDevice, circuitBreaker];
+const LESVR_MIDDLEWARE = [errorEnvelope, authenticate, requireLesvr, validateDeviceId, authorizeDevice];
+const RAILWAY_MIDDLEWARE = [errorEnvelope, authenticate, validateDeviceId, authorizeDevice];
+
+// ============ ROUTE HANDLERS ============
+
+// HA route whose helper result is merged into the success envelope along with the path params
+function haRoute(path, fetcher, rateLimitClass = 'haRealtime') {
+  return route('GET', path, HA_MIDDLEWARE, async (ctx) => {
+    const data = await fetcher(ctx.haUrl, ctx.haToken, ctx.params, ctx);
+    return jsonResponse({ success: true, dataSource: 'HomeAssistant', ...ctx.params, ...data }, ctx.headers);
+  }, { rateLimitClass });
+}
+
+// Upstream lesvr.suntcn.com route, response passed through unchanged.
+// An optional cache policy puts the route behind the edge cache (fresh hits skip the breaker).
+function lesvrRoute(path, buildUrl, cachePolicy, extraMiddleware = []) {
+  const middleware = [...LESVR_MIDDLEWARE, ...extraMiddleware, ...(cachePolicy ? [edgeCache(cachePolicy)] : []), circuitBreaker];
+  return route('GET', path, middleware, async (ctx) => {
+    return jsonResponse(await fetchLesvr(ctx.env, buildUrl(ctx.params)), ctx.headers);
+  }, { rateLimitClass: 'lesvr' });
+}
+
+const LESVR_BASE = 'https://lesvr.suntcn.com';
+
+// GET /api/ha/devices - only the devices the caller may see
+async function handleHADevices(ctx) {
+  const data = await fetchHADevices(ctx.haUrl, ctx.haToken, ctx.entityMap);
+  const devices = data.devices.filter(d => canAccessDevice(ctx.auth, d.deviceId));
+  return jsonResponse({ success: true, dataSource: 'HomeAssistant', ...data, devices, count: devices.length }, ctx.headers);
+}
+
+// POST /api/auth/token - exchange an API key for a short-lived signed token.
+// Body (optional): { "devices": [...subset of the key's devices], "ttl": seconds, "write": true }
+// ttl defaults to an hour when missing or not a number and is clamped to 1 minute .. 24 hours.
+// Tokens are read-only unless "write" is requested with a write-enabled key.
+async function handleIssueToken(ctx) {
+  if (!ctx.env.AUTH_SIGNING_SECRET) {
+    return jsonResponse({ success: false, error: 'Token signing not configured' }, ctx.headers, 503);
+  }
+
+  const credential = getCredential(ctx);
+  const auth = credential && !credential.startsWith(AUTH_CONFIG.tokenPrefix)
+    ? await lookupApiKey(ctx.env, credential)
+    : null;
+  if (!auth) {
+    return jsonResponse({ success: false, error: 'A valid API key is required', code: 'AUTH_REQUIRED' }, ctx.headers, 401);
+  }
+
+  let body = {};
+  try { body = await ctx.request.json(); } catch (e) { /* empty body */ }
+
+  let devices = auth.devices;
+  if (Array.isArray(body.devices) && body.devices.length > 0) {
+    const denied = body.devices.filter(d => !isValidDeviceId(d) || !canAccessDevice(auth, d));
+    if (denied.length > 0) {
+      return jsonResponse({ success: false, error: `Not allowed: ${denied.join(', ')}`, code: 'DEVICE_FORBIDDEN' }, ctx.headers, 403);
+    }
+    devices = body.devices;
+  }
+
+  if (body.write === true && !auth.write) {
+    return jsonResponse({ success: false, error: 'This API key is read-only', code: 'WRITE_FORBIDDEN' }, ctx.headers, 403);
+  }
+  const write = body.write === true;
+
+  const requestedTtl = parseInt(body.ttl, 10);
+  const ttl = Number.isFinite(requestedTtl)
+    ? Math.min(Math.max(requestedTtl, AUTH_CONFIG.minTokenTtlSeconds), AUTH_CONFIG.maxTokenTtlSeconds)
+    : AUTH_CONFIG.defaultTokenTtlSeconds;
+  const now = Math.floor(Date.now() / 1000);
+  const token = await signToken(ctx.env, { sub: auth.subject, devices, ...(write ? { write } : {}), iat: now, exp: now + ttl });
+
+  return jsonResponse({ success: true, token, devices, write, expiresAt: new Date((now + ttl) * 1000).toISOString() }, ctx.headers);
+}
+
+const ROUTES = [
+  route('GET', '/', [], handleHealth),
+  route('GET', '/health', [], handleHealth),
+  route('POST', '/api/auth/token', [errorEnvelope], handleIssueToken),
+
+  // ============ REALTIME v2 (normalized schema) ============
+  route('GET', '/api/v2/schema/realtime', [], (ctx) => jsonResponse(REALTIME_SCHEMA_V2, ctx.headers)),
+  haRoute('/api/v2/realtime/:deviceId', (haUrl, haToken, p, ctx) => fetchHARealtimeV2(haUrl, haToken, p.deviceId, ctx.entityMap)),
+  // Second, independent source for the dashboard's failover (the Railway backend has its own HA client)
+  route('GET', '/api/v2/realtime/:deviceId/railway', RAILWAY_MIDDLEWARE, async (ctx) => {
+    const data = await fetchRailwayRealtimeV2(ctx.env, ctx.params.deviceId);
+    return jsonResponse({ success: true, dataSource: 'Railway', ...data }, ctx.headers);
+  }, { rateLimitClass: 'haRealtime', upstream: 'railway' }),
+
+  // ============ HOME ASSISTANT ENDPOINTS ============
+  route('GET', '/api/ha/devices', HA_MIDDLEWARE, handleHADevices, { rateLimitClass: 'haRealtime' }),
+  // ?sensors=pv,load,essential,... (see POWER_HISTORY_SENSORS); all HA routes accept ?tz=<IANA zone>
+  haRoute('/api/ha/power-history/:deviceId/:date', (haUrl, haToken, p, ctx) => 
+    fetchHAPowerHistory(haUrl, haToken, p.deviceId, p.date, resolvePowerSensorKeys(ctx), ctx.entityMap, ctx.timeZone), 'haHistory'),
+  // Power history + SOC + temperature + device info for one day (one HA history query);
+  // ?since=<ISO time> only returns the buckets from that instant on (incremental refresh of today)
+  haRoute('/api/ha/day/:deviceId/:date', (haUrl, haToken, p, ctx) =>
+    fetchHADay(haUrl, haToken, p.deviceId, p.date, resolvePowerSensorKeys(ctx), ctx.entityMap, ctx.timeZone, parseSinceQuery(ctx.url.searchParams)), 'haHistory'),
+  // ?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=5m|15m|1h|1d&sensors=...
+  haRoute('/api/ha/power-history/:deviceId', (haUrl, haToken, p, ctx) => 
+    fetchHAPowerHistoryRange(haUrl, haToken, p.deviceId, parseRangeQuery(ctx.url.searchParams, ctx.timeZone), resolvePowerSensorKeys(ctx), ctx.entityMap), 'haHistory'),
+  haRoute('/api/ha/soc-history/:deviceId/:date', (haUrl, haToken, p, ctx) => fetchHASOCHistory(haUrl, haToken, p.deviceId, p.date, ctx.entityMap, ctx.timeZone), 'haHistory'),
+  haRoute('/api/ha/temperature/:deviceId/:date', (haUrl, haToken, p, ctx) => fetchHATemperatureHistory(haUrl, haToken, p.deviceId, p.date, ctx.entityMap, ctx.timeZone), 'haHistory'),
+  // Server-Sent Events; EventSource can't send headers, so pass ?token= when auth is on
+  route('GET', '/api/ha/stream/:deviceId', HA_MIDDLEWARE, handleHAStream, { rateLimitClass: 'haRealtime' }),
+  haRoute('/api/ha/device-info/:deviceId', (haUrl, haToken, p, ctx) => fetchHADeviceInfo(haUrl, haToken, p.deviceId, ctx.entityMap)),
+  haRoute('/api/ha/states/:deviceId', (haUrl, haToken, p, ctx) => fetchHAStates(haUrl, haToken, p.deviceId, ctx.entityMap)),
+  haRoute('/api/ha/settings/:deviceId', (haUrl, haToken, p, ctx) => fetchHASettings(haUrl, haToken, p.deviceId, ctx.entityMap)),
+  route('POST', '/api/ha/settings/:deviceId', HA_WRITE_MIDDLEWARE, handleSettingChange, { rateLimitClass: 'haWrite' }),
+  haRoute('/api/ha/monthly/:deviceId', (haUrl, haToken, p, ctx) => fetchHAMonthlyEnergy(haUrl, haToken, p.deviceId, ctx.entityMap, ctx.timeZone)),
+
+  // ============ LIGHTEARTH API ENDPOINTS ============
+  lesvrRoute('/api/bat/:deviceId/:date', p => `${LESVR_BASE}/lesvr/getBatDayData?queryDate=${p.date}&deviceId=${p.deviceId}`, CACHE_POLICIES.day),
+  lesvrRoute('/api/pv/:deviceId/:date', p => `${LESVR_BASE}/lesvr/getPVDayData?queryDate=${p.date}&deviceId=${p.deviceId}`, CACHE_POLICIES.day),
+  lesvrRoute('/api/other/:deviceId/:date', p => `${LESVR_BASE}/lesvr/getOtherDayData?queryDate=${p.date}&deviceId=${p.deviceId}`, CACHE_POLICIES.day),
+  lesvrRoute('/api/month/:deviceId', p => `${LESVR_BASE}/lesvr/getMonthData?deviceId=${p.deviceId}`, CACHE_POLICIES.untilMidnight),
+  lesvrRoute('/api/year/:deviceId', p => `${LESVR_BASE}/lesvr/getYearData?deviceId=${p.deviceId}`, CACHE_POLICIES.untilMidnight),
+  // A given month / year, passed on like LehtApiClient.GetMonthDataAsync passes `month`
+  lesvrRoute('/api/month/:deviceId/:month', p => `${LESVR_BASE}/lesvr/getMonthData?deviceId=${p.deviceId}&month=${p.month}`, CACHE_POLICIES.month),
+  lesvrRoute('/api/year/:deviceId/:year', p => `${LESVR_BASE}/lesvr/getYearData?deviceId=${p.deviceId}&year=${p.year}`, CACHE_POLICIES.year),
+  lesvrRoute('/api/history-year/:deviceId', p => `${LESVR_BASE}/lesvr/getHistoryYearData?deviceId=${p.deviceId}`, CACHE_POLICIES.untilMidnight),
+  lesvrRoute('/api/device', () => `${LESVR_BASE}/lesvr/getDevice`, null, [requireAllDevices]),
+  lesvrRoute('/api/share-devices', () => `${LESVR_BASE}/lesvr/shareDevices`, null, [requireAllDevices]),
+  lesvrRoute('/api/app-param', () => `${LESVR_BASE}/app/getAppParam`),
+  lesvrRoute('/api/check-update', () => `${LESVR_BASE}/lesvr/checkUpdate`),
+];
+
+// Endpoint list for /health, e.g. /api/ha/states/{deviceId} (non-GET routes are prefixed with their method)
+function listEndpoints() {
+  return ROUTES
+    .filter(r => r.path.startsWith('/api/'))
+    .map(r => `${r.method === 'GET' ? '' : r.method + ' '}${r.path.replace(/:([A-Za-z]+)/g, '{$1}')}`);
+}
+
+function handleHealth(ctx) {
+  return jsonResponse({
+    status: 'ok',
+    version: '3.2-routed',
+    ha_configured: !!(ctx.haUrl && ctx.haToken),
+    timezone: 'UTC+7 (Vietnam)',
+    yourCountry: ctx.clientCountry,
+    security: {
+      geoBlocking: 'Vietnam only (VN)',
+      rateLimit: Object.fromEntries(Object.keys(SECURITY_CONFIG.rateLimit.classes).map(cls => {
+        const limit = getRateLimitConfig(ctx.env, cls);
+        return [cls, `${limit.maxRequests} requests/${Math.round(limit.windowMs / 1000)}s`];
+      })),
+      rateLimitStore: getRateLimitStore(ctx.env).name,
+      corsProtected: true,
+      auth: describeAuthMode(ctx.env)
+    },
+    lesvr: getLesvrHealth(ctx.env),
+    circuits: getCircuitHealth(ctx.env),
+    cache: {
+      pastDays: `${CACHE_CONFIG.pastDayTtlSeconds}s`,
+      today: `${parseInt(ctx.env.LESVR_TODAY_TTL, 10) || CACHE_CONFIG.todayTtlSeconds}s`,
+      monthYear: 'until 00:00 UTC+7'
+    },
+    endpoints: listEndpoints()
+  }, ctx.headers);
+}
+
+// ============ MAIN HANDLER ============
+
+export default {
+  async fetch(request, env, executionCtx) {
+    const url = new URL(request.url);
+    if (url.pathname === '/metrics') return handleMetrics(request, env);
+
+    const startedAt = Date.now();
+    const log = {
+      method: request.method,
+      path: url.pathname,
+      route: null,
+      deviceId: null,
+      upstream: null,
+      country: getClientCountry(request),
+      colo: request.cf?.colo || null,
+      outcome: 'ok',
+    };
+
+    let response;
+    try {
+      response = await handleRequest(request, env, executionCtx, url, log);
+    } catch (error) {
+      log.error = error.message;
+      response = jsonResponse({ success: false, error: 'Internal error' }, createSecurityHeaders(request.headers.get('Origin'), env), 500);
+    }
+
+    Object.assign(log, {
+      status: response.status,
+      durationMs: Date.now() - startedAt,
+      cache: response.headers.get('X-Cache'),
+    });
+    logRequest(log);
+    recordRequestMetrics(log);
+    return response;
+  }
+};
+
+async function handleRequest(request, env, executionCtx, url, log) {
+  configureUpstreams(env);
+  const path = url.pathname;
+  const origin = request.headers.get('Origin');
+  const userAgent = request.headers.get('User-Agent');
+  const clientIP = getClientIP(request);
+  const clientCountry = log.country;
+  
+  const headers = createSecurityHeaders(origin, env);
+
+  // Handle preflight
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers });
+  }
+
+  // ========== GEO BLOCKING - FIRST CHECK ==========
+  // Block requests from outside Vietnam
+  if (!isCountryAllowed(clientCountry)) {
+    Object.assign(log, { outcome: 'geo_blocked', ip: clientIP });
+    return new Response(JSON.stringify({ 
+      error: 'Access denied. This service is only available in Vietnam.',
+      code: 'GEO_BLOCKED',
+      country: clientCountry,
+      allowedCountries: SECURITY_CONFIG.allowedCountries
+    }), { status: 403, headers });
+  }
+
+  // Security: Block suspicious User-Agents
+  if (isUserAgentBlocked(userAgent)) {
+    Object.assign(log, { outcome: 'ua_blocked', ip: clientIP, userAgent });
+    return new Response(JSON.stringify({ 
+      error: 'Access denied',
+      code: 'BLOCKED_USER_AGENT'
+    }), { status: 403, headers });
+  }
+
+  const { route: matched, params, allowedMethods } = matchRoute(ROUTES, request.method, path);
+  if (matched) {
+    Object.assign(log, { route: matched.path, deviceId: params.deviceId ? params.deviceId.toUpperCase() : null, upstream: matched.upstream });
+  }
+
+  // Security: Rate limiting (per route class)
+  const rateLimit = await checkRateLimit(env, clientIP, matched ? matched.rateLimitClass : 'default');
+  Object.assign(headers, rateLimit.headers);
+  if (!rateLimit.allowed) {
+    Object.assign(log, { outcome: 'rate_limited', ip: clientIP, rateLimitClass: matched ? matched.rateLimitClass : 'default' });
+    return new Response(JSON.stringify({ 
+      error: 'Too many requests. Please try again later.',
+      code: 'RATE_LIMITED',
+      retryAfter: rateLimit.resetSeconds
+    }), { 
+      status: 429, 
+      headers: {
+        ...headers,
+        'Retry-After': String(rateLimit.resetSeconds)
+      }
+    });
+  }
+
+  // Cleanup old rate limit entries periodically
+  if (Math.random() < 0.01) {
+    cleanupRateLimitMap();
+  }
+
+  if (!matched) {
+    if (allowedMethods) {
+      return jsonResponse({ success: false, error: 'Method not allowed', allowed: allowedMethods }, 
+        { ...headers, 'Allow': allowedMethods.join(', ') }, 405);
+    }
+    return jsonResponse({ error: 'Not found' }, headers, 404);
+  }
+
+  const ctx = {
+    request,
+    env,
+    url,
+    path,
+    params,
+    headers,
+    clientIP,
+    clientCountry,
+    haUrl: env.HA_URL || '',
+    haToken: env.HA_TOKEN || '',
+    upstream: matched.upstream,
+    waitUntil: executionCtx ? executionCtx.waitUntil.bind(executionCtx) : null,
+    log,
+  };
+
+  return runMiddleware(matched.middleware, matched.handler, ctx);
+}
+
+// ============ HA STATES SNAPSHOT ============
+// /api/states is the full HA state dump and is slow behind the tunnel. All helpers
+// share one snapshot: concurrent callers join the in-flight request, and a finished
+// snapshot is reused for a few seconds (per isolate).
+const HA_STATES_TTL_MS = 5 * 1000;
+const haStatesSnapshot = { key: null, states: null, fetchedAt: 0, inflight: null };
+
+// After a write, the next read must not be served from the old snapshot
+function invalidateHAStatesSnapshot() {
+  haStatesSnapshot.fetchedAt = 0;
+}
+
+async function getHAStatesSnapshot(haUrl, haToken) {
+  const key = `${haUrl}|${haToken}`;
+  if (haStatesSnapshot.key === key) {
+    if (haStatesSnapshot.states && Date.now() - haStatesSnapshot.fetchedAt < HA_STATES_TTL_MS) {
+      return haStatesSnapshot.states;
+    }
+    if (haStatesSnapshot.inflight) return haStatesSnapshot.inflight;
+  }
+
+  const haHeaders = { 'Authorization': `Bearer ${haToken}`, 'Content-Type': 'application/json' };
+  const inflight = upstreamFetch('homeassistant', `${haUrl}/api/states`, { headers: haHeaders });
+
+  Object.assign(haStatesSnapshot, { key, inflight });
+  try {
+    const states = await inflight;
+    if (haStatesSnapshot.inflight === inflight) {
+      Object.assign(haStatesSnapshot, { states, fetchedAt: Date.now(), inflight: null });
+    }
+    return states;
+  } catch (error) {
+    if (haStatesSnapshot.inflight === inflight) haStatesSnapshot.inflight = null;
+    throw error;
+  }
+}
+
+// ============ HA ENTITY MAP ============
+// Maps logical metrics (pv_power, battery_soc, pv_today, ...) to HA entity IDs. The default
+// follows the `sensor.device_<id>_<metric>` convention; installations override it with a JSON
+// document in env.HA_ENTITY_MAP or KV (env.CONFIG_KV, key `ha-entity-map`):
+// {
+//   "entityPattern": "sensor.device_{id}_{metric}",   // {id} = lowercase deviceId, {ID} = as given
+//   "deviceDiscovery": "^sensor\\.device_([a-z0-9]+)_", // finds deviceIds in /api/states
+//   "discover": true,                                   // look up unmapped metrics by device_class/unit
+//   "metrics": { "battery_soc": "sensor.{id}_soc" },
+//   "devices": { "P250812032": { "entityPrefix": "sensor.roof_", "metrics": { "pv_power": "sensor.roof_pv" },
+//                                "timezone": "Asia/Bangkok" } },          // optional, see TIME ZONES
+//   "settings": { "battery_priority": "select.{id}_output_priority" }  // writable entities, see INVERTER SETTINGS
+// }
+
+const DEFAULT_ENTITY_MAP = {
+  entityPattern: 'sensor.device_{id}_{metric}',
+  deviceDiscovery: '^sensor\\.device_([a-z0-9]+)_',
+  discover: false,
+  metrics: {},
+  devices: {},
+};
+const ENTITY_MAP_TTL_MS = 60 * 1000;
+const entityMapCache = { map: null, loadedAt: 0 };
+
+// Discovery hints per metric: HA device_class, accepted units and keywords that must
+// (or must not) appear in the entity_id
+const HA_METRICS = {
+  pv_power: { deviceClass: 'power', units: ['W'], keywords: ['pv'], exclude: ['pv1', 'pv2'] },
+  pv1_power: { deviceClass: 'power', units: ['W'], keywords: ['pv1'] },
+  pv2_power: { deviceClass: 'power', units: ['W'], keywords: ['pv2'] },
+  battery_power: { deviceClass: 'power', units: ['W'], keywords: ['battery'] },
+  grid_power: { deviceClass: 'power', units: ['W'], keywords: ['grid'] },
+  load_power: { deviceClass: 'power', units: ['W'], keywords: ['load'], exclude: ['total'] },
+  ac_output_power: { deviceClass: 'power', units: ['W'], keywords: ['output'] },
+  pv1_voltage: { deviceClass: 'voltage', units: ['V'], keywords: ['pv1'] },
+  pv2_voltage: { deviceClass: 'voltage', units: ['V'], keywords: ['pv2'] },
+  battery_voltage: { deviceClass: 'voltage', units: ['V'], keywords: ['battery'] },
+  grid_voltage: { deviceClass: 'voltage', units: ['V'], keywords: ['grid'] },
+  battery_soc: { deviceClass: 'battery', units: ['%'], keywords: [] },
+  device_temperature: { deviceClass: 'temperature', units: ['°C'], keywords: [] },
+};
+for (const kind of ['pv', 'load', 'grid_in', 'charge', 'discharge', 'essential']) {
+  for (const period of ['today', 'month', 'year', 'total']) {
+    HA_METRICS[`${kind}_${period}`] = {
+      deviceClass: 'energy',
+      units: ['kWh'],
+      keywords: [kind, period],
+      exclude: kind === 'pv' ? ['pv1', 'pv2'] : kind === 'load' ? ['total_load'] : [],
+    };
+  }
+}
+
+async function loadEntityMap(env) {
+  if (entityMapCache.map && Date.now() - entityMapCache.loadedAt < ENTITY_MAP_TTL_MS) {
+    return entityMapCache.map;
+  }
+
+  let custom = null;
+  try {
+    if (env.CONFIG_KV) custom = await env.CONFIG_KV.get('ha-entity-map', 'json');
+    if (!custom && env.HA_ENTITY_MAP) custom = JSON.parse(env.HA_ENTITY_MAP);
+  } catch (e) {
+    console.log(`[ENTITY MAP] Invalid entity map, using defaults: ${e.message}`);
+  }
+
+  const map = { ...DEFAULT_ENTITY_MAP, ...(custom || {}) };
+  Object.assign(entityMapCache, { map, loadedAt: Date.now() });
+  return map;
+}
+
+function fillEntityTemplate(template, deviceId, metric) {
+  return template
+    .replace(/\{id\}/g, deviceId.toLowerCase())
+    .replace(/\{ID\}/g, deviceId)
+    .replace(/\{metric\}/g, metric);
+}
+
+function getDeviceEntityConfig(entityMap, deviceId) {
+  const key = Object.keys(entityMap.devices || {}).find(k => k.toUpperCase() === deviceId.toUpperCase());
+  return key ? entityMap.devices[key] : {};
+}
+
+// Entities that belong to a device: its prefix if configured, else those naming the deviceId
+function isDeviceEntity(state, deviceId, deviceConfig) {
+  if (deviceConfig.entityPrefix) return state.entity_id.startsWith(deviceConfig.entityPrefix);
+  const id = deviceId.toLowerCase();
+  return state.entity_id.toLowerCase().includes(id) ||
+    (state.attributes?.friendly_name || '').toLowerCase().includes(id);
+}
+
+function discoverEntity(states, deviceId, deviceConfig, metric) {
+  const hint = HA_METRICS[metric];
+  if (!hint) return null;
+  const match = states.find(state => {
+    const entityId = state.entity_id.toLowerCase();
+    const attrs = state.attributes || {};
+    return isDeviceEntity(state, deviceId, deviceConfig) &&
+      (!hint.deviceClass || attrs.device_class === hint.deviceClass) &&
+      (!hint.units || hint.units.includes(attrs.unit_of_measurement)) &&
+      hint.keywords.every(k => entityId.includes(k)) &&
+      !(hint.exclude || []).some(k => entityId.includes(k));
+  });
+  return match ? match.entity_id : null;
+}
+
+// Resolve metrics for one device: explicit mapping (device, then global) -> naming pattern.
+// With `discover` on and the patterned entity missing from `states`, fall back to discovery.
+function createEntityResolver(entityMap, deviceId, states = null) {
+  const deviceConfig = getDeviceEntityConfig(entityMap, deviceId);
+  const known = states ? new Set(states.map(s => s.entity_id)) : null;
+  const resolved = {};
+
+  const resolve = (metric) => {
+    if (metric in resolved) return resolved[metric];
+    const explicit = (deviceConfig.metrics || {})[metric] || (entityMap.metrics || {})[metric];
+    let entityId = fillEntityTemplate(explicit || deviceConfig.entityPattern || entityMap.entityPattern, deviceId, metric);
+    if (!explicit && entityMap.discover && known && !known.has(entityId)) {
+      entityId = discoverEntity(states, deviceId, deviceConfig, metric) || entityId;
+    }
+    return (resolved[metric] = entityId);
+  };
+
+  // Prefix shared by patterned entities (e.g. sensor.device_p250812032_), used to list "all" entities
+  const pattern = deviceConfig.entityPattern || entityMap.entityPattern;
+  const prefix = pattern.includes('{metric}') ? fillEntityTemplate(pattern.split('{metric}')[0], deviceId, '') : null;
+
+  // All HA states for this device as [shortName, state] (patterned entities + mapped metrics)
+  const deviceStates = (allStates) => {
+    const byId = new Map(allStates.map(s => [s.entity_id, s]));
+    const entries = new Map();
+    if (prefix) {
+      allStates.filter(s => s.entity_id.startsWith(prefix)).forEach(s => entries.set(s.entity_id.slice(prefix.length), s));
+    }
+    for (const metric of Object.keys(HA_METRICS)) {
+      const state = byId.get(resolve(metric));
+      if (state && !entries.has(metric)) entries.set(metric, state);
+    }
+    return [...entries.entries()];
+  };
+
+  return { resolve, deviceStates };
+}
+
+// Resolver for history helpers; only pays for the states snapshot when discovery is enabled
+async function getEntityResolver(haUrl, haToken, entityMap, deviceId) {
+  const states = entityMap.discover ? await getHAStatesSnapshot(haUrl, haToken) : null;
+  return createEntityResolver(entityMap, deviceId, states);
+}
+
+// ============ REALTIME SCHEMA (v2) ============
+// One realtime shape for every source (HA entities, the Railway backend; lesvr is not one, it
+// has no confirmed realtime endpoint). Units are fixed per field and documented in the JSON
+// Schema below (served at /api/v2/schema/realtime).
+// Sign conventions: battery power/current + = charging, - = discharging; grid power + = import
+// from grid, - = export. Unknown readings are null, never 0.
+
+const REALTIME_SCHEMA_VERSION = 2;
+
+const nullableNumber = (unit, description) => ({ type: ['number', 'null'], 'x-unit': unit, description });
+
+const REALTIME_SCHEMA_V2 = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'https://lightearth.applike098.workers.dev/api/v2/schema/realtime',
+  title: 'Lightearth realtime snapshot',
+  type: 'object',
+  required: ['version', 'deviceId', 'source', 'timestamp', 'pv', 'battery', 'grid', 'load', 'essential', 'system', 'cells'],
+  properties: {
+    version: { const: REALTIME_SCHEMA_VERSION },
+    deviceId: { type: 'string' },
+    source: { enum: ['homeassistant', 'railway'] },
+    timestamp: { type: ['string', 'null'], format: 'date-time', description: 'Time of the newest reading' },
+    pv: {
+      type: 'object',
+      properties: {
+        power: nullableNumber('W', 'Total PV power, >= 0'),
+        strings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { power: nullableNumber('W', 'String power, >= 0'), voltage: nullableNumber('V', 'String voltage') },
+          },
+        },
+      },
+    },
+    battery: {
+      type: 'object',
+      properties: {
+        soc: nullableNumber('%', 'State of charge, 0-100'),
+        power: nullableNumber('W', '+ charging, - discharging'),
+        voltage: nullableNumber('V', 'Battery voltage'),
+        current: nullableNumber('A', '+ charging, - discharging'),
+        status: { enum: ['charging', 'discharging', 'idle', null] },
+      },
+    },
+    grid: {
+      type: 'object',
+      properties: {
+        power: nullableNumber('W', '+ import from grid, - export to grid'),
+        voltage: nullableNumber('V', 'Grid (AC input) voltage'),
+        frequency: nullableNumber('Hz', 'Grid (AC input) frequency'),
+      },
+    },
+    load: {
+      type: 'object',
+      properties: { power: nullableNumber('W', 'Home load (grid-tied side), >= 0') },
+    },
+    essential: {
+      type: 'object',
+      properties: {
+        power: nullableNumber('W', 'Essential/backup load on the inverter AC output, >= 0'),
+        voltage: nullableNumber('V', 'AC output voltage'),
+        frequency: nullableNumber('Hz', 'AC output frequency'),
+      },
+    },
+    system: {
+      type: 'object',
+      properties: { temperature: nullableNumber('°C', 'Inverter temperature') },
+    },
+    cells: {
+      type: ['object', 'null'],
+      properties: {
+        count: { type: 'integer' },
+        voltages: { type: 'array', items: { type: 'number', 'x-unit': 'V' }, description: 'Cell voltages in cell order' },
+        min: nullableNumber('V'),
+        max: nullableNumber('V'),
+        avg: nullableNumber('V'),
+        diff: nullableNumber('V', 'max - min'),
+      },
+    },
+  },
+};
+
+function toNumberOrNull(value) {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Sources disagree on the sign of raw battery power/current; an explicit status wins
+function signByBatteryStatus(value, status) {
+  if (value === null) return null;
+  if (/discharg/i.test(status || '')) return -Math.abs(value);
+  if (/charg/i.test(status || '')) return Math.abs(value);
+  return value;
+}
+
+function batteryStatusOf(power) {
+  if (power === null) return null;
+  return power > 0 ? 'charging' : power < 0 ? 'discharging' : 'idle';
+}
+
+// Cell voltages in cell order from { "Cell 01": 3.3 } / { c_01: 3.3 } / [3.3, ...]
+function normalizeCells(voltages, stats = {}) {
+  if (!voltages) return null;
+  const list = Array.isArray(voltages)
+    ? voltages
+    : Object.keys(voltages)
+      .sort((a, b) => parseInt(a.replace(/\D/g, ''), 10) - parseInt(b.replace(/\D/g, ''), 10))
+      .map(name => voltages[name]);
+  const values = list.map(toNumberOrNull).filter(v => v !== null && v > 0);
+  if (values.length === 0) return null;
+
+  const min = toNumberOrNull(stats.min) ?? Math.min(...values);
+  const max = toNumberOrNull(stats.max) ?? Math.max(...values);
+  return {
+    count: values.length,
+    voltages: values,
+    min,
+    max,
+    avg: toNumberOrNull(stats.avg) ?? Math.round(values.reduce((a, b) => a + b, 0) / values.length * 1000) / 1000,
+    diff: Math.round((max - min) * 1000) / 1000,
+  };
+}
+
+function buildRealtime(deviceId, source, timestamp, r) {
+  const batteryPower = signByBatteryStatus(r.batteryPower, r.batteryStatus);
+  const strings = [[r.pv1Power, r.pv1Voltage], [r.pv2Power, r.pv2Voltage]]
+    .filter(([power, voltage]) => power !== null || voltage !== null)
+    .map(([power, voltage]) => ({ power, voltage }));
+
+  return {
+    version: REALTIME_SCHEMA_VERSION,
+    deviceId: deviceId.toUpperCase(),
+    source,
+    timestamp,
+    pv: { power: r.pvPower, strings },
+    battery: {
+      soc: r.batterySoc,
+      power: batteryPower,
+      voltage: r.batteryVoltage,
+      current: signByBatteryStatus(r.batteryCurrent, r.batteryStatus),
+      status: batteryStatusOf(batteryPower),
+    },
+    grid: { power: r.gridPower, voltage: r.gridVoltage, frequency: r.gridFrequency },
+    load: { power: r.loadPower },
+    essential: { power: r.essentialPower, voltage: r.essentialVoltage, frequency: r.essentialFrequency },
+    system: { temperature: r.temperature },
+    cells: r.cells,
+  };
+}
+
+// HA: one entity per metric (see HA ENTITY MAP), cells in battery_cell_info attributes
+function normalizeHARealtime(deviceId, lookup) {
+  const used = [];
+  const state = (metric) => {
+    const entity = lookup(metric);
+    if (entity) used.push(entity);
+    return entity;
+  };
+  const num = (metric) => toNumberOrNull(state(metric)?.state);
+  const cellAttrs = state('battery_cell_info')?.attributes || {};
+  const readings = {
+    pvPower: num('pv_power'),
+    pv1Power: num('pv1_power'),
+    pv1Voltage: num('pv1_voltage'),
+    pv2Power: num('pv2_power'),
+    pv2Voltage: num('pv2_voltage'),
+    batterySoc: num('battery_soc'),
+    batteryPower: num('battery_power'),
+    batteryVoltage: num('battery_voltage'),
+    batteryCurrent: num('battery_current'),
+    batteryStatus: state('battery_status')?.state,
+    gridPower: num('grid_power'),
+    gridVoltage: num('grid_voltage'),
+    gridFrequency: num('ac_input_frequency'),
+    loadPower: num('load_power') ?? num('total_load_power'),
+    essentialPower: num('ac_output_power'),
+    essentialVoltage: num('ac_output_voltage'),
+    essentialFrequency: num('ac_output_frequency'),
+    temperature: num('device_temperature'),
+    cells: normalizeCells(cellAttrs.cells, cellAttrs),
+  };
+  const newest = Math.max(0, ...used.map(s => Date.parse(s.last_updated || s.last_changed) || 0));
+
+  return buildRealtime(deviceId, 'homeassistant', newest ? new Date(newest).toISOString() : null, readings);
+}
+
+// Railway backend (LumenTreeInfo.API /api/realtime/device/{id}, its own HA client):
+// { deviceData: { pv: { totalPower, ... }, battery, grid, acOutput, load, system }, batteryCells }
+function normalizeRailwayRealtime(deviceId, data) {
+  const d = data.deviceData || {};
+  const pv = d.pv || {}, battery = d.battery || {}, grid = d.grid || {}, acOutput = d.acOutput || {};
+  const cells = data.batteryCells || {};
+  return buildRealtime(deviceId, 'railway', d.timestamp || data.timestamp || null, {
+    pvPower: toNumberOrNull(pv.totalPower),
+    pv1Power: toNumberOrNull(pv.pv1Power),
+    pv1Voltage: toNumberOrNull(pv.pv1Voltage),
+    pv2Power: toNumberOrNull(pv.pv2Power),
+    pv2Voltage: toNumberOrNull(pv.pv2Voltage),
+    batterySoc: toNumberOrNull(battery.soc),
+    batteryPower: toNumberOrNull(battery.power),
+    batteryVoltage: toNumberOrNull(battery.voltage),
+    batteryCurrent: toNumberOrNull(battery.current),
+    batteryStatus: battery.status,
+    gridPower: toNumberOrNull(grid.power),
+    gridVoltage: toNumberOrNull(grid.inputVoltage),
+    gridFrequency: toNumberOrNull(grid.inputFrequency),
+    loadPower: toNumberOrNull(d.load?.power),
+    essentialPower: toNumberOrNull(acOutput.power),
+    essentialVoltage: toNumberOrNull(acOutput.voltage),
+    essentialFrequency: toNumberOrNull(acOutput.frequency),
+    temperature: toNumberOrNull(d.system?.temperature),
+    cells: normalizeCells(cells.cellVoltages, { avg: cells.averageVoltage, min: cells.minimumVoltage, max: cells.maximumVoltage }),
+  });
+}
+
+async function fetchHARealtimeV2(haUrl, haToken, deviceId, entityMap = DEFAULT_ENTITY_MAP) {
+  const states = await getHAStatesSnapshot(haUrl, haToken);
+  const entities = createEntityResolver(entityMap, deviceId, states);
+  const byId = new Map(states.map(s => [s.entity_id, s]));
+  if (entities.deviceStates(states).length === 0) {
+    throw Object.assign(new Error('Device not found in HA'), { status: 404 });
+  }
+  return normalizeHARealtime(deviceId, (metric) => byId.get(entities.resolve(metric)));
+}
+
+const DEFAULT_RAILWAY_URL = 'https://lumentreeinfo-api-production.up.railway.app';
+
+// The Railway API answers an unknown device with 200 + { success: false, message: "... not found ..." }
+async function fetchRailwayRealtimeV2(env, deviceId) {
+  const base = (env.RAILWAY_URL || DEFAULT_RAILWAY_URL).replace(/\/+$/, '');
+  const data = await upstreamFetch('railway', `${base}/api/realtime/device/${encodeURIComponent(deviceId)}`, { method: 'GET' });
+  if (!data.success) {
+    if (/not found/i.test(data.message || '')) throw Object.assign(new Error('Device not found in Railway'), { status: 404 });
+    throw upstreamError('UPSTREAM_ERROR', `Railway realtime failed: ${data.message || 'unknown error'}`);
   }
-  
-  return false;
+  return normalizeRailwayRealtime(deviceId, data);
 }
 
-function cleanupRateLimitMap() {
-  const now = Date.now();
-  const maxAge = SECURITY_CONFIG.rateLimit.windowMs * 10;
-  
-  for (const [ip, record] of rateLimitMap.entries()) {
-    if (now - record.windowStart > maxAge) {
-      rateLimitMap.delete(ip);
+// ============ INVERTER SETTINGS ============
+// Writable HA entities of a device (charge/discharge current limits, battery priority mode,
+// grid-charge window, SOC cut-off, ...): number.* and select.* entities named like the
+// device's sensors (`sensor.device_{id}_x` -> `number.device_{id}_x`), plus explicit
+// `settings` in the HA entity map. GET lists them with their limits; POST
+// { "setting": "<name or entity_id>", "value": ... } validates against min/max/step (number) or
+// options (select), calls the HA service and returns the new state. Every change attempt is
+// audit logged (console and, when bound, env.AUDIT_KV).
+
+const SETTING_DOMAINS = {
+  number: { service: 'number/set_value', field: 'value' },
+  select: { service: 'select/select_option', field: 'option' },
+};
+const AUDIT_TTL_SECONDS = 180 * 24 * 60 * 60;
+const AUDIT_VALUE_MAX_LENGTH = 64;
+
+// [name, state] for every writable entity of the device
+function getDeviceSettings(entityMap, deviceId, states) {
+  const deviceConfig = getDeviceEntityConfig(entityMap, deviceId);
+  const settings = new Map();
+
+  const pattern = deviceConfig.entityPattern || entityMap.entityPattern;
+  const sensorPrefixes = [
+    pattern.includes('{metric}') ? fillEntityTemplate(pattern.split('{metric}')[0], deviceId, '') : null,
+    deviceConfig.entityPrefix || null,
+  ].filter(Boolean);
+  for (const sensorPrefix of sensorPrefixes) {
+    for (const domain of Object.keys(SETTING_DOMAINS)) {
+      const prefix = sensorPrefix.replace(/^[a-z_]+\./, `${domain}.`);
+      states.filter(s => s.entity_id.startsWith(prefix)).forEach(s => settings.set(s.entity_id.slice(prefix.length), s));
     }
   }
-}
 
-// ============ SECURITY HELPERS ============
+  const byId = new Map(states.map(s => [s.entity_id, s]));
+  const explicit = { ...(entityMap.settings || {}), ...(deviceConfig.settings || {}) };
+  for (const [name, template] of Object.entries(explicit)) {
+    const state = byId.get(fillEntityTemplate(template, deviceId, name));
+    if (state) settings.set(name, state);
+  }
 
-function getClientIP(request) {
-  return request.headers.get('CF-Connecting-IP') || 
-         request.headers.get('X-Real-IP') || 
-         request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() ||
-         'unknown';
+  return [...settings.entries()].filter(([, state]) => SETTING_DOMAINS[state.entity_id.split('.')[0]]);
 }
 
-// Get country code from Cloudflare header
-function getClientCountry(request) {
-  return request.headers.get('CF-IPCountry') || 'XX';
+function describeSetting(name, state) {
+  const attrs = state.attributes || {};
+  const type = state.entity_id.split('.')[0];
+  const setting = {
+    name,
+    entityId: state.entity_id,
+    type,
+    value: type === 'number' ? toNumberOrNull(state.state) : state.state,
+    available: !['unavailable', 'unknown'].includes(state.state),
+    friendlyName: attrs.friendly_name || null,
+    lastChanged: state.last_changed || null,
+  };
+  if (type === 'number') {
+    Object.assign(setting, {
+      min: toNumberOrNull(attrs.min),
+      max: toNumberOrNull(attrs.max),
+      step: toNumberOrNull(attrs.step),
+      unit: attrs.unit_of_measurement || null,
+    });
+  } else {
+    setting.options = attrs.options || [];
+  }
+  return setting;
 }
 
-// Check if country is allowed
-function isCountryAllowed(country) {
-  // Allow unknown country (XX) for localhost/development
-  if (country === 'XX' || country === 'T1') return true; // T1 = Tor exit node, XX = unknown
-  return SECURITY_CONFIG.allowedCountries.includes(country);
-}
+// The value to send to HA, or an error with status 400
+function validateSettingValue(setting, value) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400, code: 'INVALID_SETTING_VALUE' });
 
-function isOriginAllowed(origin) {
-  if (!origin) return true; // Allow requests without origin (direct API calls)
-  return SECURITY_CONFIG.allowedOrigins.some(allowed => 
-    origin === allowed || origin.endsWith('.workers.dev') || origin.endsWith('.railway.app')
-  );
+  if (setting.type === 'select') {
+    if (typeof value !== 'string' || !setting.options.includes(value)) {
+      throw invalid(`${setting.name} must be one of: ${setting.options.join(', ')}`);
+    }
+    return value;
+  }
+
+  const number = typeof value === 'number' ? value : typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  if (!Number.isFinite(number)) throw invalid(`${setting.name} must be a number`);
+  if ((setting.min !== null && number < setting.min) || (setting.max !== null && number > setting.max)) {
+    throw invalid(`${setting.name} must be between ${setting.min ?? '-∞'} and ${setting.max ?? '∞'}`);
+  }
+  // Steps count from min, like HA's number slider; the tolerance absorbs float noise (0.1 steps)
+  if (setting.step) {
+    const steps = (number - (setting.min ?? 0)) / setting.step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-6) {
+      throw invalid(`${setting.name} must be in steps of ${setting.step}${setting.min ? ` from ${setting.min}` : ''}`);
+    }
+  }
+  return number;
 }
 
-function isUserAgentBlocked(userAgent) {
-  if (!userAgent) return false; // Allow requests without User-Agent for now
-  const ua = userAgent.toLowerCase();
-  return SECURITY_CONFIG.blockedUserAgents.some(blocked => ua.includes(blocked));
+// Rejected request values are audited as sent, so cap what an arbitrary body can put in the log
+function toAuditValue(value) {
+  if (typeof value === 'number' || typeof value === 'boolean' || value === null) return value;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > AUDIT_VALUE_MAX_LENGTH ? `${text.slice(0, AUDIT_VALUE_MAX_LENGTH)}…` : text;
 }
 
-function createSecurityHeaders(origin) {
-  const allowedOrigin = isOriginAllowed(origin) ? (origin || '*') : SECURITY_CONFIG.allowedOrigins[0];
-  
-  return {
-    'Access-Control-Allow-Origin': allowedOrigin,
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Max-Age': '86400',
-    'Content-Type': 'application/json',
-    'X-Content-Type-Options': 'nosniff',
-    'X-Frame-Options': 'DENY',
+async function writeAudit(ctx, entry) {
+  const record = {
+    ts: new Date().toISOString(),
+    subject: ctx.auth.subject,
+    authMethod: ctx.auth.method,
+    ip: ctx.clientIP,
+    country: ctx.clientCountry,
+    ...entry,
   };
+  console.log(JSON.stringify({ level: 'info', msg: 'audit', ...record }));
+  if (!ctx.env.AUDIT_KV) return;
+
+  const put = ctx.env.AUDIT_KV.put(`audit:${record.deviceId}:${record.ts}`, JSON.stringify(record), { expirationTtl: AUDIT_TTL_SECONDS })
+    .catch(error => console.log(`[AUDIT] KV write failed: ${error.message}`));
+  if (ctx.waitUntil) ctx.waitUntil(put); else await put;
 }
 
-function isValidDeviceId(deviceId) {
-  return /^[A-Za-z0-9_-]+$/.test(deviceId);
+async function fetchHASettings(haUrl, haToken, deviceId, entityMap = DEFAULT_ENTITY_MAP) {
+  const states = await getHAStatesSnapshot(haUrl, haToken);
+  const settings = getDeviceSettings(entityMap, deviceId, states).map(([name, state]) => describeSetting(name, state));
+  return { settings, count: settings.length };
 }
 
-// ============ MAIN HANDLER ============
+// POST /api/ha/settings/:deviceId
+async function handleSettingChange(ctx) {
+  const { deviceId } = ctx.params;
+  let body = null;
+  try { body = await ctx.request.json(); } catch (e) { /* invalid JSON */ }
+  if (!body || typeof body.setting !== 'string' || body.value === undefined) {
+    return jsonResponse({ success: false, error: 'Body must be { "setting": "<name>", "value": ... }', code: 'INVALID_SETTING_VALUE' }, ctx.headers, 400);
+  }
 
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    const origin = request.headers.get('Origin');
-    const userAgent = request.headers.get('User-Agent');
-    const clientIP = getClientIP(request);
-    const clientCountry = getClientCountry(request);
-    
-    const headers = createSecurityHeaders(origin);
-
-    // Handle preflight
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers });
-    }
-
-    // ========== GEO BLOCKING - FIRST CHECK ==========
-    // Block requests from outside Vietnam
-    if (!isCountryAllowed(clientCountry)) {
-      console.log(`[GEO BLOCKED] IP ${clientIP} from country ${clientCountry} - Access denied`);
-      return new Response(JSON.stringify({ 
-        error: 'Access denied. This service is only available in Vietnam.',
-        code: 'GEO_BLOCKED',
-        country: clientCountry,
-        allowedCountries: SECURITY_CONFIG.allowedCountries
-      }), { status: 403, headers });
-    }
-
-    // Security: Block suspicious User-Agents
-    if (isUserAgentBlocked(userAgent)) {
-      console.log(`[BLOCKED] Suspicious User-Agent from ${clientIP} (${clientCountry}): ${userAgent}`);
-      return new Response(JSON.stringify({ 
-        error: 'Access denied',
-        code: 'BLOCKED_USER_AGENT'
-      }), { status: 403, headers });
-    }
-
-    // Security: Rate limiting
-    if (isRateLimited(clientIP)) {
-      return new Response(JSON.stringify({ 
-        error: 'Too many requests. Please try again later.',
-        code: 'RATE_LIMITED',
-        retryAfter: Math.ceil(SECURITY_CONFIG.rateLimit.blockDurationMs / 1000)
-      }), { 
-        status: 429, 
-        headers: {
-          ...headers,
-          'Retry-After': String(Math.ceil(SECURITY_CONFIG.rateLimit.blockDurationMs / 1000))
-        }
-      });
-    }
+  const states = await getHAStatesSnapshot(ctx.haUrl, ctx.haToken);
+  const entry = getDeviceSettings(ctx.entityMap, deviceId, states)
+    .find(([name, state]) => name === body.setting || state.entity_id === body.setting);
+  if (!entry) {
+    return jsonResponse({ success: false, error: `Unknown setting: ${body.setting}`, code: 'UNKNOWN_SETTING' }, ctx.headers, 404);
+  }
 
-    // Cleanup old rate limit entries periodically
-    if (Math.random() < 0.01) {
-      cleanupRateLimitMap();
-    }
+  const setting = describeSetting(...entry);
+  const audit = { deviceId: deviceId.toUpperCase(), setting: setting.name, entityId: setting.entityId, from: setting.value, to: toAuditValue(body.value) };
+  if (!setting.available) {
+    await writeAudit(ctx, { ...audit, result: 'rejected', error: 'unavailable' });
+    return jsonResponse({ success: false, error: `${setting.name} is unavailable`, code: 'SETTING_UNAVAILABLE' }, ctx.headers, 409);
+  }
 
-    const apiHeaders = {
-      'Accept-Language': 'vi-VN,vi;q=0.8',
-      'User-Agent': 'okhttp-okgo/jeasonlzy',
-      'Authorization': '4A0867E6A8D90DC9E5735DBDEDD99A3A',
-      'source': '2',
-      'versionCode': '20241025',
-      'platform': '2',
-      'wifiStatus': '1'
-    };
+  let value;
+  try {
+    value = validateSettingValue(setting, body.value);
+  } catch (error) {
+    await writeAudit(ctx, { ...audit, result: 'rejected', error: error.message });
+    throw error;
+  }
 
-    const HA_URL = env.HA_URL || '';
-    const HA_TOKEN = env.HA_TOKEN || '';
-
-    // Health check
-    if (path === '/' || path === '/health') {
-      return new Response(JSON.stringify({
-        status: 'ok',
-        version: '3.1-geo-secured',
-        ha_configured: !!(HA_URL && HA_TOKEN),
-        timezone: 'UTC+7 (Vietnam)',
-        yourCountry: clientCountry,
-        security: {
-          geoBlocking: 'Vietnam only (VN)',
-          rateLimit: `${SECURITY_CONFIG.rateLimit.maxRequests} requests/minute`,
-          corsProtected: true
-        },
-        endpoints: [
-          '/api/ha/devices',
-          '/api/ha/power-history/{deviceId}/{date}',
-          '/api/ha/soc-history/{deviceId}/{date}',
-          '/api/ha/temperature/{deviceId}/{date}',
-          '/api/ha/device-info/{deviceId}',
-          '/api/ha/states/{deviceId}',
-          '/api/ha/monthly/{deviceId}'
-        ]
-      }), { headers });
-    }
-
-    // ============ HOME ASSISTANT ENDPOINTS ============
-
-    // GET /api/ha/devices - List all solar devices from HA
-    if (path === '/api/ha/devices') {
-      if (!HA_URL || !HA_TOKEN) {
-        return new Response(JSON.stringify({ success: false, error: 'HA not configured' }), { status: 503, headers });
-      }
-      try {
-        const data = await fetchHADevices(HA_URL, HA_TOKEN);
-        return new Response(JSON.stringify({ success: true, dataSource: 'HomeAssistant', ...data }), { headers });
-      } catch (error) {
-        return new Response(JSON.stringify({ success: false, error: error.message }), { status: 500, headers });
-      }
-    }
+  const haHeaders = { 'Authorization': `Bearer ${ctx.haToken}`, 'Content-Type': 'application/json' };
+  const domain = SETTING_DOMAINS[setting.type];
+  try {
+    await upstreamFetch('homeassistant', `${ctx.haUrl}/api/services/${domain.service}`, {
+      method: 'POST',
+      headers: haHeaders,
+      body: JSON.stringify({ entity_id: setting.entityId, [domain.field]: value }),
+    });
+  } catch (error) {
+    await writeAudit(ctx, { ...audit, to: value, result: 'failed', error: error.message });
+    throw error;
+  }
+  invalidateHAStatesSnapshot();
 
-    // GET /api/ha/monthly/{deviceId} - Get current month energy data from HA
-    if (path.match(/^\/api\/ha\/monthly\/([^\/]+)$/)) {
-      if (!HA_URL || !HA_TOKEN) {
-        return new Response(JSON.stringify({ success: false, error: 'HA not configured' }), { status: 503, headers });
-      }
-      const match = path.match(/^\/api\/ha\/monthly\/([^\/]+)$/);
-      const deviceId = match[1];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ success: false, error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      try {
-        const data = await fetchHAMonthlyEnergy(HA_URL, HA_TOKEN, deviceId);
-        return new Response(JSON.stringify({ success: true, dataSource: 'HomeAssistant', deviceId, ...data }), { headers });
-      } catch (error) {
-        return new Response(JSON.stringify({ success: false, error: error.message }), { status: 500, headers });
-      }
-    }
+  const updated = describeSetting(setting.name, await upstreamFetch('homeassistant', `${ctx.haUrl}/api/states/${setting.entityId}`, { headers: haHeaders }));
+  // The inverter confirms asynchronously; `applied` is false until HA reports the new value
+  const applied = updated.value === value;
+  await writeAudit(ctx, { ...audit, to: value, result: 'ok', applied });
 
-    // GET /api/ha/power-history/{deviceId}/{date}
-    if (path.match(/^\/api\/ha\/power-history\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/)) {
-      if (!HA_URL || !HA_TOKEN) {
-        return new Response(JSON.stringify({ success: false, error: 'HA not configured' }), { status: 503, headers });
-      }
-      const match = path.match(/^\/api\/ha\/power-history\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/);
-      const deviceId = match[1];
-      const queryDate = match[2];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ success: false, error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      try {
-        const data = await fetchHAPowerHistory(HA_URL, HA_TOKEN, deviceId, queryDate);
-        return new Response(JSON.stringify({ success: true, dataSource: 'HomeAssistant', deviceId, date: queryDate, ...data }), { headers });
-      } catch (error) {
-        return new Response(JSON.stringify({ success: false, error: error.message }), { status: 500, headers });
-      }
-    }
+  return jsonResponse({ success: true, dataSource: 'HomeAssistant', deviceId, previous: setting.value, applied, setting: updated }, ctx.headers);
+}
 
-    // GET /api/ha/soc-history/{deviceId}/{date}
-    if (path.match(/^\/api\/ha\/soc-history\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/)) {
-      if (!HA_URL || !HA_TOKEN) {
-        return new Response(JSON.stringify({ success: false, error: 'HA not configured' }), { status: 503, headers });
-      }
-      const match = path.match(/^\/api\/ha\/soc-history\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/);
-      const deviceId = match[1];
-      const queryDate = match[2];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ success: false, error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      try {
-        const data = await fetchHASOCHistory(HA_URL, HA_TOKEN, deviceId, queryDate);
-        return new Response(JSON.stringify({ success: true, dataSource: 'HomeAssistant', deviceId, date: queryDate, ...data }), { headers });
-      } catch (error) {
-        return new Response(JSON.stringify({ success: false, error: error.message }), { status: 500, headers });
-      }
-    }
+// ============ REALTIME STREAM (SSE) ============
+// GET /api/ha/stream/:deviceId relays HA websocket updates of the device's entities as
+// Server-Sent Events in the v2 realtime schema. Each connection subscribes to just those
+// entity_ids (subscribe_entities), so HA does the filtering instead of sending every
+// state_changed of the installation.
+// - `snapshot`: the full v2 snapshot (plus `resumed`), first event of every connection
+// - `state`: only the top-level sections that changed (pv, battery, grid, ...) and `timestamp`;
+//   the browser replaces those sections in its copy
+// Event ids are "<newest reading ms>-<seq>". A reconnect with Last-Event-ID gets a fresh full
+// snapshot: sections are small and replaced whole, so there is nothing to replay.
+
+const STREAM_CONFIG = {
+  heartbeatMs: 15 * 1000,
+  maxDurationMs: 10 * 60 * 1000, // then close; EventSource reconnects with Last-Event-ID
+  retryMs: 3000,
+};
 
-    // GET /api/ha/states/{deviceId}
-    if (path.match(/^\/api\/ha\/states\/([^\/]+)$/)) {
-      if (!HA_URL || !HA_TOKEN) {
-        return new Response(JSON.stringify({ success: false, error: 'HA not configured' }), { status: 503, headers });
-      }
-      const match = path.match(/^\/api\/ha\/states\/([^\/]+)$/);
-      const deviceId = match[1];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ success: false, error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      try {
-        const data = await fetchHAStates(HA_URL, HA_TOKEN, deviceId);
-        return new Response(JSON.stringify({ success: true, dataSource: 'HomeAssistant', deviceId, ...data }), { headers });
-      } catch (error) {
-        return new Response(JSON.stringify({ success: false, error: error.message }), { status: 500, headers });
-      }
-    }
+// Top-level v2 sections sent again whenever anything in them changes
+const STREAM_SECTIONS = ['pv', 'battery', 'grid', 'load', 'essential', 'system', 'cells'];
 
-    // GET /api/ha/device-info/{deviceId} - Get device info (model, type, firmware)
-    if (path.match(/^\/api\/ha\/device-info\/([^\/]+)$/)) {
-      if (!HA_URL || !HA_TOKEN) {
-        return new Response(JSON.stringify({ success: false, error: 'HA not configured' }), { status: 503, headers });
-      }
-      const match = path.match(/^\/api\/ha\/device-info\/([^\/]+)$/);
-      const deviceId = match[1];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ success: false, error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      try {
-        const data = await fetchHADeviceInfo(HA_URL, HA_TOKEN, deviceId);
-        return new Response(JSON.stringify({ success: true, dataSource: 'HomeAssistant', deviceId, ...data }), { headers });
-      } catch (error) {
-        return new Response(JSON.stringify({ success: false, error: error.message }), { status: 500, headers });
-      }
-    }
+function formatSSE({ id, event, data, retry }) {
+  let message = retry ? `retry: ${retry}\n` : '';
+  if (id !== undefined) message += `id: ${id}\n`;
+  if (event) message += `event: ${event}\n`;
+  return `${message}data: ${JSON.stringify(data)}\n\n`;
+}
 
-    // GET /api/ha/temperature/{deviceId}/{date} - Temperature min/max for the day
-    if (path.match(/^\/api\/ha\/temperature\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/)) {
-      if (!HA_URL || !HA_TOKEN) {
-        return new Response(JSON.stringify({ success: false, error: 'HA not configured' }), { status: 503, headers });
-      }
-      const match = path.match(/^\/api\/ha\/temperature\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/);
-      const deviceId = match[1];
-      const queryDate = match[2];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ success: false, error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      try {
-        const data = await fetchHATemperatureHistory(HA_URL, HA_TOKEN, deviceId, queryDate);
-        return new Response(JSON.stringify({ success: true, dataSource: 'HomeAssistant', deviceId, date: queryDate, ...data }), { headers });
-      } catch (error) {
-        return new Response(JSON.stringify({ success: false, error: error.message }), { status: 500, headers });
-      }
-    }
+// A malformed frame is logged and skipped; it must not throw inside the relay
+function parseWebSocketMessage(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    console.log(JSON.stringify({ level: 'warn', msg: 'HA websocket frame is not JSON', bytes: String(data).length }));
+    return null;
+  }
+}
 
-    // ============ LIGHTEARTH API ENDPOINTS ============
+// subscribe_entities sends compressed states: `a` adds full ones ({ s, a, lc, lu? }), `c`
+// changes them ({ '+': { s?, a?, lc?, lu? }, '-': { a: [removed attribute keys] } }); lc/lu are
+// epoch seconds. Applies them to `current` (entity_id -> HA state object, as /api/states has
+// them) and returns whether anything was touched.
+function applyEntityUpdates(current, event) {
+  const iso = (seconds) => new Date(seconds * 1000).toISOString();
+  let touched = false;
+  for (const [entityId, full] of Object.entries(event.a || {})) {
+    current.set(entityId, {
+      entity_id: entityId,
+      state: full.s,
+      attributes: full.a || {},
+      last_changed: iso(full.lc),
+      last_updated: iso(full.lu ?? full.lc),
+    });
+    touched = true;
+  }
+  for (const [entityId, diff] of Object.entries(event.c || {})) {
+    const entity = current.get(entityId);
+    if (!entity) continue;
+    const added = diff['+'] || {};
+    const attributes = { ...entity.attributes, ...(added.a || {}) };
+    for (const key of diff['-']?.a || []) delete attributes[key];
+    current.set(entityId, {
+      ...entity,
+      state: added.s ?? entity.state,
+      attributes,
+      last_changed: added.lc ? iso(added.lc) : entity.last_changed,
+      last_updated: added.lu ? iso(added.lu) : added.lc ? iso(added.lc) : entity.last_updated,
+    });
+    touched = true;
+  }
+  return touched;
+}
 
-    // GET /api/bat/{deviceId}/{date}
-    if (path.match(/^\/api\/bat\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/)) {
-      const match = path.match(/^\/api\/bat\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/);
-      const deviceId = match[1];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      const apiUrl = `https://lesvr.suntcn.com/lesvr/getBatDayData?queryDate=${match[2]}&deviceId=${deviceId}`;
-      const res = await fetch(apiUrl, { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
-
-    // GET /api/pv/{deviceId}/{date}
-    if (path.match(/^\/api\/pv\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/)) {
-      const match = path.match(/^\/api\/pv\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/);
-      const deviceId = match[1];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      const apiUrl = `https://lesvr.suntcn.com/lesvr/getPVDayData?queryDate=${match[2]}&deviceId=${deviceId}`;
-      const res = await fetch(apiUrl, { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
-
-    // GET /api/other/{deviceId}/{date}
-    if (path.match(/^\/api\/other\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/)) {
-      const match = path.match(/^\/api\/other\/([^\/]+)\/(\d{4}-\d{2}-\d{2})$/);
-      const deviceId = match[1];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      const apiUrl = `https://lesvr.suntcn.com/lesvr/getOtherDayData?queryDate=${match[2]}&deviceId=${deviceId}`;
-      const res = await fetch(apiUrl, { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
-
-    // GET /api/month/{deviceId}
-    if (path.match(/^\/api\/month\/([^\/]+)$/)) {
-      const match = path.match(/^\/api\/month\/([^\/]+)$/);
-      const deviceId = match[1];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      const apiUrl = `https://lesvr.suntcn.com/lesvr/getMonthData?deviceId=${deviceId}`;
-      const res = await fetch(apiUrl, { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
-
-    // GET /api/year/{deviceId}
-    if (path.match(/^\/api\/year\/([^\/]+)$/)) {
-      const match = path.match(/^\/api\/year\/([^\/]+)$/);
-      const deviceId = match[1];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ error: 'Invalid deviceId format' }), { status: 400, headers });
+// Open HA's websocket API, authenticate and subscribe to the given entities
+async function connectHAWebSocket(haUrl, haToken, entityIds) {
+  const { timeoutMs } = getUpstreamProfile('homeassistant');
+  const response = await fetchWithTimeout(`${haUrl}/api/websocket`, { headers: { Upgrade: 'websocket' } }, timeoutMs);
+  const ws = response.webSocket;
+  if (!ws) throw upstreamError('UPSTREAM_ERROR', `HA websocket upgrade failed: ${response.status}`, { upstreamStatus: response.status });
+  ws.accept();
+
+  let handshakeTimer;
+  const handshake = new Promise((resolve, reject) => {
+    handshakeTimer = setTimeout(() => reject(upstreamError('UPSTREAM_TIMEOUT', `HA websocket handshake timed out after ${timeoutMs}ms`)), timeoutMs);
+    const onMessage = (event) => {
+      const msg = parseWebSocketMessage(event.data);
+      if (!msg) return;
+      if (msg.type === 'auth_required') {
+        ws.send(JSON.stringify({ type: 'auth', access_token: haToken }));
+      } else if (msg.type === 'auth_ok') {
+        ws.send(JSON.stringify({ id: 1, type: 'subscribe_entities', entity_ids: entityIds }));
+      } else if (msg.type === 'auth_invalid') {
+        reject(upstreamError('UPSTREAM_AUTH', 'HA websocket auth rejected'));
+      } else if (msg.type === 'result' && msg.id === 1) {
+        ws.removeEventListener('message', onMessage);
+        msg.success ? resolve() : reject(upstreamError('UPSTREAM_ERROR', 'HA websocket subscribe failed'));
       }
-      
-      const apiUrl = `https://lesvr.suntcn.com/lesvr/getYearData?deviceId=${deviceId}`;
-      const res = await fetch(apiUrl, { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
-
-    // GET /api/history-year/{deviceId}
-    if (path.match(/^\/api\/history-year\/([^\/]+)$/)) {
-      const match = path.match(/^\/api\/history-year\/([^\/]+)$/);
-      const deviceId = match[1];
-      
-      if (!isValidDeviceId(deviceId)) {
-        return new Response(JSON.stringify({ error: 'Invalid deviceId format' }), { status: 400, headers });
-      }
-      
-      const apiUrl = `https://lesvr.suntcn.com/lesvr/getHistoryYearData?deviceId=${deviceId}`;
-      const res = await fetch(apiUrl, { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
+    };
+    ws.addEventListener('message', onMessage);
+    ws.addEventListener('close', () => reject(upstreamError('UPSTREAM_ERROR', 'HA websocket closed')));
+  });
 
-    // GET /api/device
-    if (path === '/api/device') {
-      const res = await fetch('https://lesvr.suntcn.com/lesvr/getDevice', { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
+  try {
+    await handshake;
+  } catch (error) {
+    try { ws.close(); } catch (e) { /* already closed */ }
+    throw error;
+  } finally {
+    clearTimeout(handshakeTimer);
+  }
+  return ws;
+}
 
-    // GET /api/share-devices
-    if (path === '/api/share-devices') {
-      const res = await fetch('https://lesvr.suntcn.com/lesvr/shareDevices', { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
+async function handleHAStream(ctx) {
+  const { deviceId } = ctx.params;
+  const lastEventId = parseInt(ctx.request.headers.get('Last-Event-ID') || ctx.url.searchParams.get('lastEventId'), 10) || 0;
 
-    // GET /api/app-param
-    if (path === '/api/app-param') {
-      const res = await fetch('https://lesvr.suntcn.com/app/getAppParam', { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
+  const states = await getHAStatesSnapshot(ctx.haUrl, ctx.haToken);
+  const entities = createEntityResolver(ctx.entityMap, deviceId, states);
+  const deviceStates = entities.deviceStates(states);
+  if (deviceStates.length === 0) {
+    return jsonResponse({ success: false, error: 'Device not found in HA' }, ctx.headers, 404);
+  }
 
-    // GET /api/check-update
-    if (path === '/api/check-update') {
-      const res = await fetch('https://lesvr.suntcn.com/lesvr/checkUpdate', { method: 'GET', headers: apiHeaders });
-      return new Response(JSON.stringify(await res.json()), { headers });
-    }
+  const ws = await connectHAWebSocket(ctx.haUrl, ctx.haToken, deviceStates.map(([, state]) => state.entity_id));
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    try { ws.close(1000, 'stream closed'); } catch (e) { /* already closed */ }
+    writer.close().catch(() => {});
+  };
+  // A failed write means the browser went away
+  const send = (message) => {
+    if (!closed) writer.write(encoder.encode(message)).catch(close);
+  };
 
-    return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers });
-  }
-};
+  // Device entities as HA last reported them, kept current from the websocket updates
+  const current = new Map(deviceStates.map(([, state]) => [state.entity_id, state]));
+  const snapshot = () => normalizeHARealtime(deviceId, (metric) => current.get(entities.resolve(metric)));
+  const sections = (rt) => Object.fromEntries(STREAM_SECTIONS.map(key => [key, JSON.stringify(rt[key])]));
+
+  let realtime = snapshot();
+  let sent = sections(realtime);
+  let lastTs = Math.max(lastEventId, Date.parse(realtime.timestamp) || 0);
+  let seq = 0;
+  send(formatSSE({ retry: STREAM_CONFIG.retryMs, id: `${lastTs}-${seq}`, event: 'snapshot', data: { ...realtime, resumed: lastEventId > 0 } }));
+
+  // HA's first update repeats the full states; only what differs from the snapshot goes out
+  ws.addEventListener('message', (event) => {
+    const msg = parseWebSocketMessage(event.data);
+    if (!msg || msg.type !== 'event' || msg.id !== 1 || !msg.event) return;
+    if (!applyEntityUpdates(current, msg.event)) return;
+
+    realtime = snapshot();
+    const next = sections(realtime);
+    const changed = STREAM_SECTIONS.filter(key => next[key] !== sent[key]);
+    if (changed.length === 0) return;
+    sent = next;
+
+    // The timestamp part never runs ahead of a real reading; the sequence keeps ids unique
+    // when several updates carry the same millisecond
+    const ts = Date.parse(realtime.timestamp) || 0;
+    if (ts > lastTs) {
+      lastTs = ts;
+      seq = 0;
+    } else {
+      seq++;
+    }
+    const data = { timestamp: realtime.timestamp, ...Object.fromEntries(changed.map(key => [key, realtime[key]])) };
+    send(formatSSE({ id: `${lastTs}-${seq}`, event: 'state', data }));
+  });
+  ws.addEventListener('close', close);
+  ws.addEventListener('error', close);
+
+  const heartbeat = setInterval(() => send(': heartbeat\n\n'), STREAM_CONFIG.heartbeatMs);
+  const expiry = setTimeout(close, STREAM_CONFIG.maxDurationMs);
+
+  return new Response(readable, {
+    headers: {
+      ...ctx.headers,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
 
 // ============ HA HELPER FUNCTIONS ============
 
 // Get list of all solar devices from HA
-async function fetchHADevices(haUrl, haToken) {
-  const haHeaders = { 'Authorization': `Bearer ${haToken}`, 'Content-Type': 'application/json' };
-  const response = await fetch(`${haUrl}/api/states`, { headers: haHeaders });
-  if (!response.ok) throw new Error(`HA API error: ${response.status}`);
-
-  const states = await response.json();
+async function fetchHADevices(haUrl, haToken, entityMap = DEFAULT_ENTITY_MAP) {
+  const states = await getHAStatesSnapshot(haUrl, haToken);
   
-  // Find all unique device IDs from sensor names (sensor.device_XXXXX_*)
-  const deviceIds = new Set();
-  const deviceRegex = /^sensor\.device_([a-z0-9]+)_/i;
+  // Find all unique device IDs from sensor names (sensor.device_XXXXX_* by default)
+  // plus devices configured explicitly in the entity map
+  const deviceIds = new Set(Object.keys(entityMap.devices || {}).map(id => id.toUpperCase()));
+  const deviceRegex = new RegExp(entityMap.deviceDiscovery, 'i');
   
   states.forEach(state => {
     const match = state.entity_id.match(deviceRegex);
@@ -539,24 +2365,38 @@ async function fetchHADevices(haUrl, haToken) {
     }
   });
 
+  const byId = new Map(states.map(s => [s.entity_id, s]));
+
   // Build device list with basic info
   const devices = [];
   for (const deviceId of deviceIds) {
-    const devicePrefix = `sensor.device_${deviceId.toLowerCase()}`;
-    const deviceStates = states.filter(s => s.entity_id.startsWith(devicePrefix));
+    const entities = createEntityResolver(entityMap, deviceId, states);
+    const deviceStates = entities.deviceStates(states);
     
     // Get model from friendly_name
     let model = null;
-    const pvPowerEntity = deviceStates.find(s => s.entity_id.includes('_pv_power'));
-    if (pvPowerEntity && pvPowerEntity.attributes?.friendly_name) {
-      const friendlyName = pvPowerEntity.attributes.friendly_name;
+    const pvPower = byId.get(entities.resolve('pv_power'));
+    if (pvPower && pvPower.attributes?.friendly_name) {
+      const friendlyName = pvPower.attributes.friendly_name;
       const modelMatch = friendlyName.match(/^(SUNT-[\d.]+kW-[A-Z]+)/i);
       if (modelMatch) model = modelMatch[1];
     }
     
-    // Get current status
-    const socEntity = deviceStates.find(s => s.entity_id.includes('_battery_soc'));
-    const pvPower = deviceStates.find(s => s.entity_id.includes('_pv_power'));
+    // Get current status (null when the device has no such sensor or it is unavailable)
+    const socEntity = byId.get(entities.resolve('battery_soc'));
+    const getValue = (metric) => {
+      const entity = byId.get(entities.resolve(metric));
+      const value = entity ? parseFloat(entity.state) : NaN;
+      return isNaN(value) ? null : value;
+    };
+    
+    // HA keeps last_updated while a value stays the same (PV = 0 all night), so the device was
+    // last heard from at the newest last_reported / last_updated of any of its entities
+    let lastUpdate = null;
+    for (const [, state] of deviceStates) {
+      const reported = state.last_reported || state.last_updated;
+      if (reported && (!lastUpdate || Date.parse(reported) > Date.parse(lastUpdate))) lastUpdate = reported;
+    }
     
     devices.push({
       deviceId: deviceId,
@@ -564,7 +2404,18 @@ async function fetchHADevices(haUrl, haToken) {
       sensorCount: deviceStates.length,
       batterySoc: socEntity ? parseFloat(socEntity.state) || 0 : null,
       pvPower: pvPower ? parseFloat(pvPower.state) || 0 : null,
-      online: pvPower && pvPower.state !== 'unavailable'
+      online: !!pvPower && pvPower.state !== 'unavailable',
+      loadPower: getValue('load_power'),
+      gridPower: getValue('grid_power'),
+      batteryPower: getValue('battery_power'),
+      temperature: getValue('device_temperature'),
+      // kWh since local midnight (the device's own daily counters)
+      today: {
+        pv: getValue('pv_today'),
+        load: getValue('load_today'),
+        grid: getValue('grid_in_today')
+      },
+      lastUpdate
     });
   }
 
@@ -576,210 +2427,430 @@ async function fetchHADevices(haUrl, haToken) {
 }
 
 // Get current month energy data from HA
-async function fetchHAMonthlyEnergy(haUrl, haToken, deviceId) {
-  const haHeaders = { 'Authorization': `Bearer ${haToken}`, 'Content-Type': 'application/json' };
-  const response = await fetch(`${haUrl}/api/states`, { headers: haHeaders });
-  if (!response.ok) throw new Error(`HA API error: ${response.status}`);
-
-  const states = await response.json();
-  const devicePrefix = `sensor.device_${deviceId.toLowerCase()}`;
-  const deviceStates = states.filter(state => state.entity_id.startsWith(devicePrefix));
+async function fetchHAMonthlyEnergy(haUrl, haToken, deviceId, entityMap = DEFAULT_ENTITY_MAP, timeZone = DEFAULT_TIMEZONE) {
+  const states = await getHAStatesSnapshot(haUrl, haToken);
+  const entities = createEntityResolver(entityMap, deviceId, states);
+  const byId = new Map(states.map(s => [s.entity_id, s]));
 
   // Extract energy data
-  const getValue = (suffix) => {
-    const entity = deviceStates.find(s => s.entity_id.endsWith(suffix));
+  const getValue = (metric) => {
+    const entity = byId.get(entities.resolve(metric));
     return entity ? parseFloat(entity.state) || 0 : 0;
   };
 
-  const now = new Date();
-  const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  // "today"/"month" counters reset at local midnight, so the month is the device's local month
+  const currentMonth = getZonedDateString(Date.now(), timeZone).substring(0, 7);
 
   return {
     month: currentMonth,
+    timezone: timeZone,
     today: {
-      pv: getValue('_pv_today'),
-      load: getValue('_load_today'),
-      grid: getValue('_grid_in_today'),
-      charge: getValue('_charge_today'),
-      discharge: getValue('_discharge_today'),
-      essential: getValue('_essential_today')
+      pv: getValue('pv_today'),
+      load: getValue('load_today'),
+      grid: getValue('grid_in_today'),
+      charge: getValue('charge_today'),
+      discharge: getValue('discharge_today'),
+      essential: getValue('essential_today')
     },
     monthly: {
-      pv: getValue('_pv_month'),
-      load: getValue('_load_month'),
-      grid: getValue('_grid_in_month'),
-      charge: getValue('_charge_month'),
-      discharge: getValue('_discharge_month'),
-      essential: getValue('_essential_month')
+      pv: getValue('pv_month'),
+      load: getValue('load_month'),
+      grid: getValue('grid_in_month'),
+      charge: getValue('charge_month'),
+      discharge: getValue('discharge_month'),
+      essential: getValue('essential_month')
     },
     year: {
-      pv: getValue('_pv_year'),
-      load: getValue('_load_year'),
-      grid: getValue('_grid_in_year'),
-      charge: getValue('_charge_year'),
-      discharge: getValue('_discharge_year'),
-      essential: getValue('_essential_year')
+      pv: getValue('pv_year'),
+      load: getValue('load_year'),
+      grid: getValue('grid_in_year'),
+      charge: getValue('charge_year'),
+      discharge: getValue('discharge_year'),
+      essential: getValue('essential_year')
     },
     total: {
-      pv: getValue('_pv_total'),
-      load: getValue('_load_total'),
-      grid: getValue('_grid_in_total'),
-      charge: getValue('_charge_total'),
-      discharge: getValue('_discharge_total'),
-      essential: getValue('_essential_total')
+      pv: getValue('pv_total'),
+      load: getValue('load_total'),
+      grid: getValue('grid_in_total'),
+      charge: getValue('charge_total'),
+      discharge: getValue('discharge_total'),
+      essential: getValue('essential_total')
     },
     timestamp: new Date().toISOString()
   };
 }
 
-async function fetchHAPowerHistory(haUrl, haToken, deviceId, queryDate) {
-  const haHeaders = { 'Authorization': `Bearer ${haToken}`, 'Content-Type': 'application/json' };
-  
-  const sensors = {
-    pv: `sensor.device_${deviceId.toLowerCase()}_pv_power`,
-    battery: `sensor.device_${deviceId.toLowerCase()}_battery_power`,
-    grid: `sensor.device_${deviceId.toLowerCase()}_grid_power`,
-    load: `sensor.device_${deviceId.toLowerCase()}_load_power`
+// Single-day power timeline: five-minute buckets over the local day (288, or 276/300 on DST
+// changes) with time-weighted average power per bucket, plus integrated energy per bucket (Wh)
+// and for the day (kWh)
+async function fetchHAPowerHistory(haUrl, haToken, deviceId, queryDate, sensorKeys = DEFAULT_POWER_SENSOR_KEYS, entityMap = DEFAULT_ENTITY_MAP, timeZone = DEFAULT_TIMEZONE) {
+  const dayStart = new Date(getZonedMidnight(queryDate, timeZone));
+  const dayEnd = new Date(getZonedMidnight(addDays(queryDate, 1), timeZone));
+
+  const result = await computePowerBuckets(haUrl, haToken, deviceId, dayStart, dayEnd, '5m', sensorKeys, entityMap, timeZone);
+
+  return {
+    timezone: timeZone,
+    sensors: describePowerSensors(sensorKeys),
+    ...summarizePowerDay(result, sensorKeys, timeZone)
   };
+}
 
-  const vnDayStart = new Date(`${queryDate}T00:00:00+07:00`);
-  const vnDayEnd = new Date(`${queryDate}T23:59:59+07:00`);
-  const startTimeUTC = vnDayStart.toISOString();
-  const endTimeUTC = vnDayEnd.toISOString();
-  
-  const entityIds = Object.values(sensors).join(',');
-  const historyUrl = `${haUrl}/api/history/period/${startTimeUTC}?end_time=${endTimeUTC}&filter_entity_id=${entityIds}&minimal_response&significant_changes_only`;
+function summarizePowerDay(result, sensorKeys, timeZone) {
+  const timeline = result.bucketStarts.map((start, i) => {
+    const point = { time: formatZonedTime(start, timeZone), ts: toZonedISOString(start, timeZone) };
+    for (const key of sensorKeys) point[key] = roundStat(result.power[key][i].avg, key) || 0;
+    point.energy = Object.fromEntries(Object.keys(result.energy).map(ch => [ch, roundWh(result.energy[ch][i])]));
+    return point;
+  });
 
-  const response = await fetch(historyUrl, { headers: haHeaders });
-  if (!response.ok) throw new Error(`HA API error: ${response.status}`);
+  const maxOf = (key) => sensorKeys.includes(key) ? Math.max(...timeline.map(t => t[key])) : null;
 
-  const historyData = await response.json();
-  
-  const sensorTimelines = {};
-  const sensorKeys = Object.keys(sensors);
-  
+  return {
+    timeline,
+    energy: sumDailyEnergy(result.bucketStarts, result.energy, timeZone)[0]?.energy || emptyDailyEnergy(result.energy),
+    stats: {
+      maxPv: maxOf('pv'),
+      maxLoad: maxOf('load'),
+      maxEssential: maxOf('essential'),
+      count: timeline.length
+    }
+  };
+}
+
+// Everything the dashboard loads for one day, from a single HA history query: the power
+// history payload (timeline, energy, stats) plus SOC timeline, temperature stats and device info.
+// With `sinceMs` everything starts at the five-minute bucket holding that instant instead of
+// midnight: the caller already has the earlier buckets and splices these in from `since`.
+async function fetchHADay(haUrl, haToken, deviceId, queryDate, sensorKeys = DEFAULT_POWER_SENSOR_KEYS, entityMap = DEFAULT_ENTITY_MAP, timeZone = DEFAULT_TIMEZONE, sinceMs = null) {
+  const entities = await getEntityResolver(haUrl, haToken, entityMap, deviceId);
+  const socEntity = entities.resolve('battery_soc');
+  const tempEntity = entities.resolve('device_temperature');
+  const dayStart = new Date(getZonedMidnight(queryDate, timeZone));
+  const dayEnd = new Date(getZonedMidnight(addDays(queryDate, 1), timeZone));
+  const rangeStart = sinceMs === null ? dayStart : alignToBucket(sinceMs, dayStart, dayEnd, POWER_INTERVALS['5m']);
+
+  const [result, device] = await Promise.all([
+    computePowerBuckets(haUrl, haToken, deviceId, rangeStart, dayEnd, '5m', sensorKeys, entityMap, timeZone, [socEntity, tempEntity]),
+    fetchHADeviceInfo(haUrl, haToken, deviceId, entityMap),
+  ]);
+
+  return {
+    timezone: timeZone,
+    ...(sinceMs === null ? {} : { since: toZonedISOString(rangeStart.getTime(), timeZone) }),
+    sensors: describePowerSensors(sensorKeys),
+    ...summarizePowerDay(result, sensorKeys, timeZone),
+    soc: buildSOCTimeline(result.samples[socEntity] || [], timeZone),
+    temperature: buildTemperatureStats(result.samples[tempEntity] || [], timeZone),
+    device
+  };
+}
+
+// ============ POWER HISTORY RANGES ============
+
+const POWER_INTERVALS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+const MAX_RANGE_DAYS = 31;
+
+// Sensors available to power history (HA entity map metric + unit). Power (W) sensors also get
+// integrated energy; voltages only report avg/min/max. Select a subset with ?sensors=pv,load,...
+// or env.POWER_HISTORY_SENSORS; the default is all of them.
+const POWER_HISTORY_SENSORS = {
+  pv: { metric: 'pv_power', unit: 'W' },
+  battery: { metric: 'battery_power', unit: 'W' },
+  grid: { metric: 'grid_power', unit: 'W' },
+  load: { metric: 'load_power', unit: 'W' },
+  essential: { metric: 'ac_output_power', unit: 'W' },
+  pv1: { metric: 'pv1_power', unit: 'W' },
+  pv2: { metric: 'pv2_power', unit: 'W' },
+  pv1Voltage: { metric: 'pv1_voltage', unit: 'V' },
+  pv2Voltage: { metric: 'pv2_voltage', unit: 'V' },
+  batteryVoltage: { metric: 'battery_voltage', unit: 'V' },
+  gridVoltage: { metric: 'grid_voltage', unit: 'V' },
+};
+const DEFAULT_POWER_SENSOR_KEYS = Object.keys(POWER_HISTORY_SENSORS);
+
+function resolvePowerSensorKeys(ctx) {
+  const requested = ctx.url.searchParams.get('sensors') || ctx.env.POWER_HISTORY_SENSORS;
+  if (!requested) return DEFAULT_POWER_SENSOR_KEYS;
+
+  const keys = requested.split(',').map(k => k.trim()).filter(Boolean);
+  const unknown = keys.filter(k => !POWER_HISTORY_SENSORS[k]);
+  if (unknown.length > 0 || keys.length === 0) {
+    throw Object.assign(new Error(`Unknown sensors: ${unknown.join(', ')} (available: ${DEFAULT_POWER_SENSOR_KEYS.join(', ')})`), { status: 400 });
+  }
+  return keys;
+}
+
+function describePowerSensors(sensorKeys) {
+  return Object.fromEntries(sensorKeys.map(key => [key, POWER_HISTORY_SENSORS[key].unit]));
+}
+
+// Watts are reported as integers, volts with one decimal
+function roundStat(value, sensorKey) {
+  if (value === null || value === undefined) return value;
+  return POWER_HISTORY_SENSORS[sensorKey].unit === 'V' ? Math.round(value * 10) / 10 : Math.round(value);
+}
+
+// Directional energy channels derived from the signed power sensors
+// (battery: + charging / - discharging, grid: + import / - export). Keys match fetchHAMonthlyEnergy.
+const ENERGY_CHANNELS = {
+  pv: { sensor: 'pv', map: v => Math.max(v, 0) },
+  charge: { sensor: 'battery', map: v => Math.max(v, 0) },
+  discharge: { sensor: 'battery', map: v => Math.max(-v, 0) },
+  grid: { sensor: 'grid', map: v => Math.max(v, 0) },
+  gridExport: { sensor: 'grid', map: v => Math.max(-v, 0) },
+  load: { sensor: 'load', map: v => Math.max(v, 0) },
+  essential: { sensor: 'essential', map: v => Math.max(v, 0) },
+};
+
+function roundWh(wh) {
+  return Math.round(wh * 10) / 10;
+}
+
+// Fetch HA history for a set of entities, returned as { entityId: [{ time, value }] } sorted by time.
+// Non-numeric states (unavailable, unknown) are kept with value null: they end the previous
+// reading, so an outage is a gap rather than the last value held until the sensor returns.
+async function fetchHAHistory(haUrl, haToken, entityIds, startTime, endTime) {
+  const haHeaders = { 'Authorization': `Bearer ${haToken}`, 'Content-Type': 'application/json' };
+  const historyUrl = `${haUrl}/api/history/period/${startTime.toISOString()}?end_time=${endTime.toISOString()}&filter_entity_id=${entityIds.join(',')}&minimal_response&significant_changes_only`;
+
+  const historyData = await upstreamFetch('haHistory', historyUrl, { headers: haHeaders });
+  const samples = {};
   for (const sensorHistory of historyData) {
     if (!sensorHistory || sensorHistory.length === 0) continue;
-    const entityId = sensorHistory[0].entity_id;
-    const key = sensorKeys.find(k => sensors[k] === entityId);
-    if (!key) continue;
-    
-    sensorTimelines[key] = sensorHistory
+    samples[sensorHistory[0].entity_id] = sensorHistory
       .map(entry => ({
         time: new Date(entry.last_changed || entry.last_updated).getTime(),
         value: parseFloat(entry.state)
       }))
-      .filter(e => !isNaN(e.value))
+      .map(e => (isNaN(e.value) ? { ...e, value: null } : e))
       .sort((a, b) => a.time - b.time);
   }
+  return samples;
+}
 
-  const timeline = [];
-  const interval = 5 * 60 * 1000;
-  const dayStartMs = vnDayStart.getTime();
-  const dayEndMs = vnDayEnd.getTime();
-  
-  const indices = { pv: 0, battery: 0, grid: 0, load: 0 };
-  const lastValues = { pv: null, battery: null, grid: null, load: null };
-  const hasSeenData = { pv: false, battery: false, grid: false, load: false };
+// Time-weighted stats of a step-function sensor over consecutive buckets.
+// Each sample holds until the next one; time before the first sample, under a null sample
+// (sensor unavailable) and after `untilMs` (now) is not counted. Energy is the integral in Wh (unrounded, see roundWh).
+function integrateBuckets(samples, bucketStarts, rangeEndMs, untilMs) {
+  const results = [];
+  let idx = 0;
+  let current = null;
+
+  for (const [i, bucketStart] of bucketStarts.entries()) {
+    const bucketEnd = Math.min(i + 1 < bucketStarts.length ? bucketStarts[i + 1] : rangeEndMs, untilMs);
+    while (idx < samples.length && samples[idx].time <= bucketStart) {
+      current = samples[idx++].value;
+    }
 
-  for (let time = dayStartMs; time <= dayEndMs; time += interval) {
-    for (const key of sensorKeys) {
-      const sensorData = sensorTimelines[key] || [];
-      while (indices[key] < sensorData.length && sensorData[indices[key]].time <= time) {
-        lastValues[key] = sensorData[indices[key]].value;
-        hasSeenData[key] = true;
-        indices[key]++;
-      }
+    let integral = 0, covered = 0, min = null, max = null;
+    let t = bucketStart;
+    let value = current;
+    const account = (v, from, to) => {
+      if (v === null || to <= from) return;
+      integral += v * (to - from);
+      covered += to - from;
+      min = min === null ? v : Math.min(min, v);
+      max = max === null ? v : Math.max(max, v);
+    };
+
+    while (idx < samples.length && samples[idx].time < bucketEnd) {
+      account(value, t, samples[idx].time);
+      t = samples[idx].time;
+      value = samples[idx++].value;
     }
-    
-    const vnTime = new Date(time);
-    const hours = vnTime.getUTCHours() + VN_OFFSET_HOURS;
-    const adjustedHours = hours >= 24 ? hours - 24 : hours;
-    const minutes = vnTime.getUTCMinutes();
-    const localTimeStr = `${String(adjustedHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-    
-    timeline.push({ 
-      time: localTimeStr,
-      pv: hasSeenData.pv ? (lastValues.pv || 0) : 0,
-      battery: hasSeenData.battery ? (lastValues.battery || 0) : 0,
-      grid: hasSeenData.grid ? (lastValues.grid || 0) : 0,
-      load: hasSeenData.load ? (lastValues.load || 0) : 0
-    });
+    account(value, t, bucketEnd);
+    current = value;
+
+    results.push(covered > 0
+      ? { avg: integral / covered, min, max, energyWh: integral / 3600000 }
+      : { avg: null, min: null, max: null, energyWh: 0 });
   }
 
-  return {
-    timeline,
-    stats: {
-      maxPv: Math.max(...timeline.map(t => t.pv)),
-      maxLoad: Math.max(...timeline.map(t => t.load)),
-      count: timeline.length
-    }
-  };
+  return results;
 }
 
-async function fetchHASOCHistory(haUrl, haToken, deviceId, queryDate) {
-  const haHeaders = { 'Authorization': `Bearer ${haToken}`, 'Content-Type': 'application/json' };
-  const socEntity = `sensor.device_${deviceId.toLowerCase()}_battery_soc`;
-  
-  const vnDayStart = new Date(`${queryDate}T00:00:00+07:00`);
-  const vnDayEnd = new Date(`${queryDate}T23:59:59+07:00`);
-  const startTimeUTC = vnDayStart.toISOString();
-  const endTimeUTC = vnDayEnd.toISOString();
-  
-  const historyUrl = `${haUrl}/api/history/period/${startTimeUTC}?end_time=${endTimeUTC}&filter_entity_id=${socEntity}&minimal_response`;
+// YYYY-MM-DD that names a real day: the round trip rejects 2024-13-01 and 2024-02-30
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const ms = Date.parse(`${value}T00:00:00Z`);
+  return !isNaN(ms) && new Date(ms).toISOString().slice(0, 10) === value;
+}
+
+function parseRangeQuery(searchParams, timeZone = DEFAULT_TIMEZONE) {
+  const today = getZonedDateString(Date.now(), timeZone);
+  const from = searchParams.get('from') || today;
+  const to = searchParams.get('to') || from;
+  const interval = searchParams.get('interval') || (from === to ? '5m' : '1h');
+
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+  if (!isCalendarDate(from) || !isCalendarDate(to)) throw badRequest('from/to must be valid YYYY-MM-DD dates');
+  if (!POWER_INTERVALS[interval]) throw badRequest(`interval must be one of ${Object.keys(POWER_INTERVALS).join(', ')}`);
+
+  const rangeStart = new Date(getZonedMidnight(from, timeZone));
+  const rangeEnd = new Date(getZonedMidnight(addDays(to, 1), timeZone));
+  const days = Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000)) + 1;
+  if (days < 1) throw badRequest('to must not be before from');
+  if (days > MAX_RANGE_DAYS) throw badRequest(`Range is limited to ${MAX_RANGE_DAYS} days`);
+
+  return { from, to, interval, rangeStart, rangeEnd, days, timeZone };
+}
+
+// ?since= for /api/ha/day: an ISO timestamp (or epoch ms); null when absent
+function parseSinceQuery(searchParams) {
+  const since = searchParams.get('since');
+  if (since === null) return null;
+  const ms = /^\d+$/.test(since) ? Number(since) : Date.parse(since);
+  if (isNaN(ms)) throw Object.assign(new Error('since must be an ISO timestamp or epoch milliseconds'), { status: 400 });
+  return ms;
+}
 
-  const response = await fetch(historyUrl, { headers: haHeaders });
-  if (!response.ok) throw new Error(`HA API error: ${response.status}`);
+// Start of the bucket holding `ms`, clamped to [rangeStart, rangeEnd)
+function alignToBucket(ms, rangeStart, rangeEnd, intervalMs) {
+  const clamped = Math.min(Math.max(ms, rangeStart.getTime()), rangeEnd.getTime() - 1);
+  return new Date(rangeStart.getTime() + Math.floor((clamped - rangeStart.getTime()) / intervalMs) * intervalMs);
+}
 
-  const historyData = await response.json();
-  if (!historyData || historyData.length === 0 || historyData[0].length === 0) {
-    return { timeline: [], count: 0 };
+// Bucket start instants; daily buckets follow local midnights so DST days keep their real length
+function getBucketStarts(rangeStart, rangeEnd, interval, timeZone) {
+  const bucketStarts = [];
+  if (interval === '1d') {
+    for (let date = getZonedDateString(rangeStart.getTime(), timeZone), t = rangeStart.getTime();
+      t < rangeEnd.getTime();
+      date = addDays(date, 1), t = getZonedMidnight(date, timeZone)) {
+      bucketStarts.push(t);
+    }
+    return bucketStarts;
+  }
+  for (let t = rangeStart.getTime(); t < rangeEnd.getTime(); t += POWER_INTERVALS[interval]) {
+    bucketStarts.push(t);
   }
+  return bucketStarts;
+}
 
-  const timeline = historyData[0].map(entry => {
-    const utcTime = new Date(entry.last_changed || entry.last_updated);
-    const vnHours = utcTime.getUTCHours() + VN_OFFSET_HOURS;
-    const adjustedHours = vnHours >= 24 ? vnHours - 24 : vnHours;
-    const minutes = utcTime.getUTCMinutes();
-    const localTimeStr = `${String(adjustedHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-    
-    return {
-      t: localTimeStr,
-      soc: parseFloat(entry.state) || 0
+// Fetch the selected sensors once and integrate them into buckets:
+// power[sensor][i] = { avg, min, max, energyWh } (signed), energy[channel][i] = Wh (directional,
+// only for channels whose sensor is selected). `extraEntityIds` ride along in the same HA query
+// and come back untouched in `samples`.
+async function computePowerBuckets(haUrl, haToken, deviceId, rangeStart, rangeEnd, interval, sensorKeys, entityMap, timeZone, extraEntityIds = []) {
+  const entities = await getEntityResolver(haUrl, haToken, entityMap, deviceId);
+  const sensors = Object.fromEntries(sensorKeys.map(key => [key, entities.resolve(POWER_HISTORY_SENSORS[key].metric)]));
+  const untilMs = Math.min(rangeEnd.getTime(), Date.now());
+  const bucketStarts = getBucketStarts(rangeStart, rangeEnd, interval, timeZone);
+
+  // Nothing to ask HA for a range that starts in the future
+  const samples = untilMs > rangeStart.getTime()
+    ? await fetchHAHistory(haUrl, haToken, [...Object.values(sensors), ...extraEntityIds], rangeStart, new Date(untilMs))
+    : {};
+
+  const power = {};
+  for (const key of sensorKeys) {
+    power[key] = integrateBuckets(samples[sensors[key]] || [], bucketStarts, rangeEnd.getTime(), untilMs);
+  }
+
+  const energy = {};
+  for (const [channel, { sensor, map }] of Object.entries(ENERGY_CHANNELS)) {
+    if (!sensors[sensor]) continue;
+    const mapped = (samples[sensors[sensor]] || []).map(s => ({ time: s.time, value: s.value === null ? null : map(s.value) }));
+    energy[channel] = integrateBuckets(mapped, bucketStarts, rangeEnd.getTime(), untilMs).map(b => b.energyWh);
+  }
+
+  return { bucketStarts, power, energy, samples };
+}
+
+function emptyDailyEnergy(energy) {
+  return Object.fromEntries(Object.keys(energy).map(ch => [ch, 0]));
+}
+
+// Per local day energy totals in kWh from per-bucket Wh
+function sumDailyEnergy(bucketStarts, energy, timeZone) {
+  const days = new Map();
+  bucketStarts.forEach((start, i) => {
+    const date = getZonedDateString(start, timeZone);
+    if (!days.has(date)) days.set(date, emptyDailyEnergy(energy));
+    const totals = days.get(date);
+    for (const channel of Object.keys(energy)) totals[channel] += energy[channel][i];
+  });
+  return [...days.entries()].map(([date, totals]) => ({
+    date,
+    energy: Object.fromEntries(Object.entries(totals).map(([ch, wh]) => [ch, Math.round(wh / 10) / 100]))
+  }));
+}
+
+// Bucketed power timeline across a local date range (see parseRangeQuery)
+async function fetchHAPowerHistoryRange(haUrl, haToken, deviceId, range, sensorKeys = DEFAULT_POWER_SENSOR_KEYS, entityMap = DEFAULT_ENTITY_MAP) {
+  const { timeZone } = range;
+  const result = await computePowerBuckets(haUrl, haToken, deviceId, range.rangeStart, range.rangeEnd, range.interval, sensorKeys, entityMap, timeZone);
+
+  const buckets = result.bucketStarts.map((start, i) => {
+    const bucket = {
+      start: toZonedISOString(start, timeZone),
+      date: getZonedDateString(start, timeZone),
+      time: formatZonedTime(start, timeZone),
     };
-  }).filter(entry => !isNaN(entry.soc));
+    for (const key of sensorKeys) {
+      const stats = result.power[key][i];
+      bucket[key] = { avg: roundStat(stats.avg, key), min: stats.min, max: stats.max };
+      if (POWER_HISTORY_SENSORS[key].unit === 'W') bucket[key].energyWh = roundWh(stats.energyWh);
+    }
+    bucket.energy = Object.fromEntries(Object.keys(result.energy).map(ch => [ch, roundWh(result.energy[ch][i])]));
+    return bucket;
+  });
 
-  return { timeline, count: timeline.length };
+  return {
+    from: range.from,
+    to: range.to,
+    interval: range.interval,
+    days: range.days,
+    timezone: timeZone,
+    sensors: describePowerSensors(sensorKeys),
+    buckets,
+    daily: sumDailyEnergy(result.bucketStarts, result.energy, timeZone),
+    count: buckets.length
+  };
 }
 
-async function fetchHAStates(haUrl, haToken, deviceId) {
-  const haHeaders = { 'Authorization': `Bearer ${haToken}`, 'Content-Type': 'application/json' };
-  const response = await fetch(`${haUrl}/api/states`, { headers: haHeaders });
-  if (!response.ok) throw new Error(`HA API error: ${response.status}`);
+async function fetchHASOCHistory(haUrl, haToken, deviceId, queryDate, entityMap = DEFAULT_ENTITY_MAP, timeZone = DEFAULT_TIMEZONE) {
+  const socEntity = (await getEntityResolver(haUrl, haToken, entityMap, deviceId)).resolve('battery_soc');
+  const dayStart = new Date(getZonedMidnight(queryDate, timeZone));
+  const dayEnd = new Date(getZonedMidnight(addDays(queryDate, 1), timeZone) - 1000);
+
+  const samples = await fetchHAHistory(haUrl, haToken, [socEntity], dayStart, dayEnd);
+  return { timezone: timeZone, ...buildSOCTimeline(samples[socEntity] || [], timeZone) };
+}
+
+function buildSOCTimeline(samples, timeZone) {
+  const timeline = samples.filter(sample => sample.value !== null).map(sample => ({
+    t: formatZonedTime(sample.time, timeZone),
+    ts: toZonedISOString(sample.time, timeZone),
+    soc: sample.value
+  }));
+
+  return { timeline, count: timeline.length };
+}
 
-  const states = await response.json();
-  const devicePrefix = `sensor.device_${deviceId.toLowerCase()}`;
-  const deviceStates = states.filter(state => state.entity_id.startsWith(devicePrefix));
+async function fetchHAStates(haUrl, haToken, deviceId, entityMap = DEFAULT_ENTITY_MAP) {
+  const states = await getHAStatesSnapshot(haUrl, haToken);
+  const deviceStates = createEntityResolver(entityMap, deviceId, states).deviceStates(states);
 
   const result = { timestamp: new Date().toISOString(), entities: {} };
-  deviceStates.forEach(state => {
-    const shortName = state.entity_id.replace(devicePrefix + '_', '');
+  deviceStates.forEach(([shortName, state]) => {
     result.entities[shortName] = { state: state.state, unit: state.attributes?.unit_of_measurement || '' };
   });
 
   return result;
 }
 
-async function fetchHADeviceInfo(haUrl, haToken, deviceId) {
+async function fetchHADeviceInfo(haUrl, haToken, deviceId, entityMap = DEFAULT_ENTITY_MAP) {
   const haHeaders = { 'Authorization': `Bearer ${haToken}`, 'Content-Type': 'application/json' };
   
-  const response = await fetch(`${haUrl}/api/states`, { headers: haHeaders });
-  if (!response.ok) throw new Error(`HA API error: ${response.status}`);
-  
-  const states = await response.json();
-  const devicePrefix = `sensor.device_${deviceId.toLowerCase()}`;
-  
-  const deviceEntity = states.find(state => state.entity_id.startsWith(devicePrefix));
+  const states = await getHAStatesSnapshot(haUrl, haToken);
+  const deviceEntity = createEntityResolver(entityMap, deviceId, states).deviceStates(states)[0]?.[1];
   
   if (!deviceEntity) {
     return { 
@@ -792,29 +2863,26 @@ async function fetchHADeviceInfo(haUrl, haToken, deviceId) {
   }
   
   try {
-    const configResponse = await fetch(`${haUrl}/api/config/device_registry`, { headers: haHeaders });
-    if (configResponse.ok) {
-      const devices = await configResponse.json();
-      const device = devices.find(d => {
-        if (d.identifiers) {
-          return JSON.stringify(d.identifiers).toLowerCase().includes(deviceId.toLowerCase());
-        }
-        if (d.name) {
-          return d.name.toLowerCase().includes(deviceId.toLowerCase());
-        }
-        return false;
-      });
-      
-      if (device) {
-        return {
-          model: device.model || null,
-          manufacturer: device.manufacturer || null,
-          sw_version: device.sw_version || null,
-          hw_version: device.hw_version || null,
-          name: device.name || null,
-          area: device.area_id || null
-        };
+    const devices = await upstreamFetch('homeassistant', `${haUrl}/api/config/device_registry`, { headers: haHeaders });
+    const device = devices.find(d => {
+      if (d.identifiers) {
+        return JSON.stringify(d.identifiers).toLowerCase().includes(deviceId.toLowerCase());
       }
+      if (d.name) {
+        return d.name.toLowerCase().includes(deviceId.toLowerCase());
+      }
+      return false;
+    });
+    
+    if (device) {
+      return {
+        model: device.model || null,
+        manufacturer: device.manufacturer || null,
+        sw_version: device.sw_version || null,
+        hw_version: device.hw_version || null,
+        name: device.name || null,
+        area: device.area_id || null
+      };
     }
   } catch (e) {
     // Config API not available
@@ -831,50 +2899,37 @@ async function fetchHADeviceInfo(haUrl, haToken, deviceId) {
   };
 }
 
-async function fetchHATemperatureHistory(haUrl, haToken, deviceId, queryDate) {
-  const haHeaders = { 'Authorization': `Bearer ${haToken}`, 'Content-Type': 'application/json' };
-  
-  const tempEntity = `sensor.device_${deviceId.toLowerCase()}_device_temperature`;
-  
-  const vnDayStart = new Date(`${queryDate}T00:00:00+07:00`);
-  const vnDayEnd = new Date(`${queryDate}T23:59:59+07:00`);
-  const startTimeUTC = vnDayStart.toISOString();
-  const endTimeUTC = vnDayEnd.toISOString();
-  
-  const historyUrl = `${haUrl}/api/history/period/${startTimeUTC}?end_time=${endTimeUTC}&filter_entity_id=${tempEntity}&minimal_response`;
-
-  const response = await fetch(historyUrl, { headers: haHeaders });
-  if (!response.ok) throw new Error(`HA API error: ${response.status}`);
+async function fetchHATemperatureHistory(haUrl, haToken, deviceId, queryDate, entityMap = DEFAULT_ENTITY_MAP, timeZone = DEFAULT_TIMEZONE) {
+  const tempEntity = (await getEntityResolver(haUrl, haToken, entityMap, deviceId)).resolve('device_temperature');
+  const dayStart = new Date(getZonedMidnight(queryDate, timeZone));
+  const dayEnd = new Date(getZonedMidnight(addDays(queryDate, 1), timeZone) - 1000);
 
-  const historyData = await response.json();
-  if (!historyData || historyData.length === 0 || historyData[0].length === 0) {
-    return { min: null, max: null, current: null, count: 0 };
-  }
+  const samples = await fetchHAHistory(haUrl, haToken, [tempEntity], dayStart, dayEnd);
+  return { timezone: timeZone, ...buildTemperatureStats(samples[tempEntity] || [], timeZone) };
+}
 
-  const temps = historyData[0]
-    .map(entry => parseFloat(entry.state))
-    .filter(temp => !isNaN(temp) && temp > 0 && temp < 100);
+// Min/max/current of the day, ignoring implausible readings (sensor glitches report 0 or >100)
+function buildTemperatureStats(samples, timeZone) {
+  const readings = samples.filter(sample => sample.value > 0 && sample.value < 100);
 
-  if (temps.length === 0) {
+  if (readings.length === 0) {
     return { min: null, max: null, current: null, count: 0 };
   }
 
+  const temps = readings.map(sample => sample.value);
   const min = Math.min(...temps);
   const max = Math.max(...temps);
   const current = temps[temps.length - 1];
   
-  let minTime = '--:--', maxTime = '--:--';
-  historyData[0].forEach(entry => {
-    const temp = parseFloat(entry.state);
-    if (temp === min || temp === max) {
-      const utcTime = new Date(entry.last_changed || entry.last_updated);
-      const vnHours = utcTime.getUTCHours() + VN_OFFSET_HOURS;
-      const adjustedHours = vnHours >= 24 ? vnHours - 24 : vnHours;
-      const minutes = utcTime.getUTCMinutes();
-      const timeStr = `${String(adjustedHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-      
-      if (temp === min) minTime = timeStr;
-      if (temp === max) maxTime = timeStr;
+  let minTime = '--:--', maxTime = '--:--', minTs = null, maxTs = null;
+  readings.forEach(sample => {
+    if (sample.value === min) {
+      minTime = formatZonedTime(sample.time, timeZone);
+      minTs = toZonedISOString(sample.time, timeZone);
+    }
+    if (sample.value === max) {
+      maxTime = formatZonedTime(sample.time, timeZone);
+      maxTs = toZonedISOString(sample.time, timeZone);
     }
   });
 
@@ -884,6 +2939,8 @@ async function fetchHATemperatureHistory(haUrl, haToken, deviceId, queryDate) {
     current: Math.round(current * 10) / 10,
     minTime,
     maxTime,
+    minTs,
+    maxTs,
     count: temps.length 
   };
 }
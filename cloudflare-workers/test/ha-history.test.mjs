@@ -0,0 +1,137 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startUpstreams, loadWorker, createEnv, callWorker, DEVICE_ID } from './harness.mjs';
+
+// Fixture (ha-history.json): PV is 1000 W from 01:00 to 02:00 UTC on 2025-10-15 (08:00-09:00 in
+// Vietnam) and 2000 W from 12:00 to 12:30 UTC on 2026-03-08 (08:00-08:30 EDT, the day New York
+// springs forward). On 2025-10-20 PV reads 3000 W from 01:00 UTC until it goes unavailable at
+// 02:00 for two hours. Temperature has glitch readings (0, 150, unknown) around the real ones.
+
+let upstreams;
+before(async () => { upstreams = await startUpstreams(); });
+after(() => upstreams.close());
+
+async function powerHistory(path) {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), path);
+  assert.equal(res.status, 200, res.text);
+  return res.json;
+}
+
+function lastHistoryQuery() {
+  const url = upstreams.haRequests.filter(u => u.pathname.startsWith('/api/history/period/')).at(-1);
+  return {
+    start: decodeURIComponent(url.pathname.slice('/api/history/period/'.length)),
+    end: url.searchParams.get('end_time'),
+  };
+}
+
+test('power history buckets a Vietnam day from local midnight', async () => {
+  const data = await powerHistory(`/api/ha/power-history/${DEVICE_ID}/2025-10-15?sensors=pv`);
+
+  assert.deepEqual(lastHistoryQuery(), { start: '2025-10-14T17:00:00.000Z', end: '2025-10-15T17:00:00.000Z' });
+  assert.equal(data.timezone, 'Asia/Ho_Chi_Minh');
+  assert.equal(data.timeline.length, 288);
+  assert.equal(data.timeline[0].ts, '2025-10-15T00:00:00+07:00');
+
+  const at = (time) => data.timeline.find(t => t.time === time);
+  assert.equal(at('07:55').pv, 0);
+  assert.equal(at('08:00').pv, 1000);
+  assert.equal(at('08:55').pv, 1000);
+  assert.equal(at('09:00').pv, 0);
+  assert.equal(at('08:00').energy.pv, 83.3);
+  assert.equal(data.energy.pv, 1);
+  assert.equal(data.stats.maxPv, 1000);
+});
+
+test('?tz= moves the same readings into that zone\'s buckets', async () => {
+  const data = await powerHistory(`/api/ha/power-history/${DEVICE_ID}/2025-10-15?sensors=pv&tz=UTC`);
+
+  assert.deepEqual(lastHistoryQuery(), { start: '2025-10-15T00:00:00.000Z', end: '2025-10-16T00:00:00.000Z' });
+  assert.equal(data.timezone, 'UTC');
+  assert.equal(data.timeline[0].ts, '2025-10-15T00:00:00+00:00');
+  assert.equal(data.timeline.find(t => t.time === '01:00').pv, 1000);
+  assert.equal(data.timeline.find(t => t.time === '08:00').pv, 0);
+  assert.equal(data.energy.pv, 1);
+});
+
+test('an unavailable sensor ends the previous reading instead of holding it', async () => {
+  const data = await powerHistory(`/api/ha/power-history/${DEVICE_ID}?from=2025-10-20&interval=1h&sensors=pv`);
+
+  const at = (time) => data.buckets.find(b => b.time === time);
+  assert.equal(at('08:00').pv.avg, 3000);
+  assert.equal(at('08:00').energy.pv, 3000);
+  assert.equal(at('09:00').pv.avg, null);
+  assert.equal(at('09:00').energy.pv, 0);
+  assert.equal(at('10:00').energy.pv, 0);
+  assert.equal(at('11:00').pv.avg, 0);
+  assert.deepEqual(data.daily, [{ date: '2025-10-20', energy: { pv: 3 } }]);
+});
+
+test('a DST day has 23 hours of buckets and keeps local labels', async () => {
+  const data = await powerHistory(`/api/ha/power-history/${DEVICE_ID}/2026-03-08?sensors=pv&tz=America/New_York`);
+
+  assert.deepEqual(lastHistoryQuery(), { start: '2026-03-08T05:00:00.000Z', end: '2026-03-09T04:00:00.000Z' });
+  assert.equal(data.timeline.length, 276);
+  assert.equal(data.timeline[0].ts, '2026-03-08T00:00:00-05:00');
+  assert.equal(data.timeline.at(-1).ts, '2026-03-08T23:55:00-04:00');
+  assert.equal(data.timeline.some(t => t.time === '02:00'), false);
+  assert.equal(data.timeline.find(t => t.time === '08:00').pv, 2000);
+  assert.equal(data.timeline.find(t => t.time === '08:30').pv, 0);
+  assert.equal(data.energy.pv, 1);
+});
+
+test('temperature min/max ignores glitch readings and reports local times', async () => {
+  const data = await powerHistory(`/api/ha/temperature/${DEVICE_ID}/2025-10-15`);
+
+  assert.equal(data.timezone, 'Asia/Ho_Chi_Minh');
+  assert.equal(data.min, 31.2);
+  assert.equal(data.minTime, '01:00');
+  assert.equal(data.minTs, '2025-10-15T01:00:00+07:00');
+  assert.equal(data.max, 45.6);
+  assert.equal(data.maxTime, '14:00');
+  assert.equal(data.current, 33.4);
+  assert.equal(data.count, 3);
+});
+
+test('temperature for a day without readings is empty, not an error', async () => {
+  const data = await powerHistory(`/api/ha/temperature/${DEVICE_ID}/2025-06-01`);
+
+  assert.equal(data.min, null);
+  assert.equal(data.max, null);
+  assert.equal(data.count, 0);
+});
+
+test('?since= on the day endpoint only returns the buckets from that instant on', async () => {
+  const data = await powerHistory(`/api/ha/day/${DEVICE_ID}/2025-10-15?sensors=pv&since=2025-10-15T08:32:00%2B07:00`);
+
+  assert.deepEqual(lastHistoryQuery(), { start: '2025-10-15T01:30:00.000Z', end: '2025-10-15T17:00:00.000Z' });
+  assert.equal(data.since, '2025-10-15T08:30:00+07:00');
+  assert.equal(data.timeline.length, 288 - 102);
+  assert.equal(data.timeline[0].time, '08:30');
+  assert.equal(data.timeline[0].pv, 1000);
+  assert.equal(data.energy.pv, 0.5);
+  assert.equal(data.temperature.max, 45.6);
+});
+
+test('a malformed ?since= is rejected', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), `/api/ha/day/${DEVICE_ID}/2025-10-15?since=yesterday`);
+
+  assert.equal(res.status, 400);
+  assert.match(res.json.error, /since/);
+});
+
+test('range queries reject dates that are not on the calendar', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams);
+
+  for (const query of ['from=2024-13-01&to=2024-13-02', 'from=2024-02-30']) {
+    const res = await callWorker(worker, env, `/api/ha/power-history/${DEVICE_ID}?${query}`);
+    assert.equal(res.status, 400, query);
+    assert.match(res.json.error, /from\/to/);
+  }
+
+  const leapDay = await callWorker(worker, env, `/api/ha/power-history/${DEVICE_ID}?from=2024-02-29`);
+  assert.equal(leapDay.status, 200);
+});
@@ -0,0 +1,229 @@
+// Test harness for lightearth-proxy.js: runs the Worker's default export in Node against
+// local HA, lesvr and Railway servers that answer from the JSON fixtures in ./fixtures.
+//
+//   node --test cloudflare-workers/test/
+//
+// HA is reached through env.HA_URL, Railway through env.RAILWAY_URL. lesvr is hardcoded to https://lesvr.suntcn.com in the
+// Worker, so fetch() calls to that origin are rewritten to the local lesvr server.
+
+import { createServer } from 'node:http';
+import { readFileSync, existsSync } from 'node:fs';
+
+const WORKER_URL = new URL('../lightearth-proxy.js', import.meta.url);
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+const LESVR_ORIGIN = 'https://lesvr.suntcn.com';
+
+export const HA_TOKEN = 'test-ha-token';
+export const LESVR_TOKEN = 'test-lesvr-token';
+export const DEVICE_ID = 'P250801055';
+
+// While upstreams run, the Worker's structured request log lines (see OBSERVABILITY) are
+// collected here instead of cluttering the test output; other console output passes through
+export const requestLogs = [];
+
+function captureConsoleLog() {
+  const consoleLog = console.log;
+  console.log = (...args) => {
+    if (typeof args[0] === 'string' && args[0].startsWith('{"level"')) requestLogs.push(JSON.parse(args[0]));
+    else consoleLog(...args);
+  };
+  return () => { console.log = consoleLog; };
+}
+
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(name, FIXTURES_DIR), 'utf8'));
+}
+
+// API_KEYS / AUTH_KV entries are keyed by the SHA-256 hex digest of the key
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Each call returns a fresh module instance, so isolate state (rate limit windows, circuit
+// breakers, HA snapshot and entity map caches) never leaks between tests
+let workerInstance = 0;
+export async function loadWorker() {
+  const mod = await import(`${WORKER_URL.href}?instance=${++workerInstance}`);
+  return mod.default;
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+// HA REST API subset: /api/states[/<entity_id>], POST /api/services/<domain>/<service> (number
+// and select services update the in-memory states) and /api/history/period/<start>?end_time&
+// filter_entity_id. History follows HA: the state in effect at `start` is reported first
+// (at `start`), then every change up to end_time, the entity_id only on the first entry.
+async function handleHA(req, res, upstream) {
+  const url = new URL(req.url, 'http://ha.local');
+  upstream.haRequests.push(url);
+  if (req.headers.authorization !== `Bearer ${HA_TOKEN}`) return sendJSON(res, 401, { message: 'Unauthorized' });
+
+  if (url.pathname === '/api/states') return sendJSON(res, 200, upstream.haStates);
+
+  const stateMatch = url.pathname.match(/^\/api\/states\/(.+)$/);
+  if (stateMatch) {
+    const state = upstream.haStates.find(s => s.entity_id === stateMatch[1]);
+    return state ? sendJSON(res, 200, state) : sendJSON(res, 404, { message: 'Entity not found.' });
+  }
+
+  const serviceMatch = url.pathname.match(/^\/api\/services\/([a-z_]+)\/([a-z_]+)$/);
+  if (serviceMatch && req.method === 'POST') {
+    const data = JSON.parse(await readBody(req));
+    upstream.serviceCalls.push({ service: `${serviceMatch[1]}.${serviceMatch[2]}`, data });
+    const state = upstream.haStates.find(s => s.entity_id === data.entity_id);
+    if (!state) return sendJSON(res, 400, { message: 'Entity not found' });
+    state.state = String(data.value ?? data.option);
+    state.last_changed = state.last_updated = new Date().toISOString();
+    return sendJSON(res, 200, [state]);
+  }
+
+  const historyMatch = url.pathname.match(/^\/api\/history\/period\/(.+)$/);
+  if (historyMatch) {
+    const start = Date.parse(decodeURIComponent(historyMatch[1]));
+    const end = Date.parse(url.searchParams.get('end_time'));
+    const history = loadFixture('ha-history.json');
+    const entityIds = (url.searchParams.get('filter_entity_id') || '').split(',').filter(Boolean);
+
+    const result = entityIds.map(entityId => {
+      const changes = (history[entityId] || []).map(e => ({ ...e, time: Date.parse(e.last_changed) }));
+      const before = changes.filter(e => e.time <= start).pop();
+      const during = changes.filter(e => e.time > start && e.time <= end);
+      const entries = [...(before ? [{ ...before, time: start }] : []), ...during]
+        .map(e => ({ state: e.state, last_changed: new Date(e.time).toISOString() }));
+      if (entries.length > 0) entries[0].entity_id = entityId;
+      return entries;
+    }).filter(entries => entries.length > 0);
+    return sendJSON(res, 200, result);
+  }
+
+  sendJSON(res, 404, { message: 'Not found' });
+}
+
+// lesvr: /lesvr/<name> and /app/<name> answer with fixtures/lesvr/<name>.json, or with
+// fixtures/lesvr/<name>.html as a 200 text/html page (what lesvr serves during maintenance)
+function handleLesvr(req, res, upstream) {
+  const url = new URL(req.url, 'http://lesvr.local');
+  upstream.lesvrRequests.push(url);
+  if (upstream.lesvrDelayMs > 0) {
+    const timer = setTimeout(() => handleLesvrNow(req, res, url), upstream.lesvrDelayMs);
+    res.on('close', () => clearTimeout(timer));
+    return;
+  }
+  handleLesvrNow(req, res, url);
+}
+
+function handleLesvrNow(req, res, url) {
+  if (req.headers.authorization !== LESVR_TOKEN) return sendJSON(res, 401, { returnValue: 0, msg: 'token invalid' });
+
+  const name = url.pathname.split('/').pop();
+  const page = new URL(`lesvr/${name}.html`, FIXTURES_DIR);
+  if (existsSync(page)) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(readFileSync(page));
+  }
+  const fixture = new URL(`lesvr/${name}.json`, FIXTURES_DIR);
+  if (!existsSync(fixture)) {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    return res.end('<html><body>404 Not Found</body></html>');
+  }
+  sendJSON(res, 200, JSON.parse(readFileSync(fixture, 'utf8')));
+}
+
+// Railway backend: /api/realtime/device/<id> answers fixtures/railway-realtime.json for
+// DEVICE_ID and, like the real API, 200 + success: false for any other device
+function handleRailway(req, res, upstream) {
+  const url = new URL(req.url, 'http://railway.local');
+  upstream.railwayRequests.push(url);
+  const match = url.pathname.match(/^\/api\/realtime\/device\/([^/]+)$/);
+  if (!match) return sendJSON(res, 404, { message: 'Not found' });
+  if (match[1].toUpperCase() !== DEVICE_ID) {
+    return sendJSON(res, 200, { success: false, message: `Device ${match[1]} not found in Home Assistant. Known devices: ${DEVICE_ID}` });
+  }
+  sendJSON(res, 200, loadFixture('railway-realtime.json'));
+}
+
+// Start the upstreams and route lesvr fetches to the local server. Call close() when done.
+export async function startUpstreams() {
+  const upstream = {
+    haStates: loadFixture('ha-states.json'),
+    haRequests: [],
+    serviceCalls: [],
+    lesvrRequests: [],
+    lesvrDelayMs: 0,
+    railwayRequests: [],
+  };
+  const ha = createServer((req, res) => handleHA(req, res, upstream));
+  const lesvr = createServer((req, res) => handleLesvr(req, res, upstream));
+  const railway = createServer((req, res) => handleRailway(req, res, upstream));
+  const [haUrl, lesvrUrl, railwayUrl] = await Promise.all([listen(ha), listen(lesvr), listen(railway)]);
+
+  const restoreConsoleLog = captureConsoleLog();
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    return realFetch(url.startsWith(LESVR_ORIGIN) ? lesvrUrl + url.slice(LESVR_ORIGIN.length) : input, init);
+  };
+
+  return {
+    ...upstream,
+    haUrl,
+    railwayUrl,
+    // Set > 0 to make every lesvr response that much late
+    get lesvrDelayMs() { return upstream.lesvrDelayMs; },
+    set lesvrDelayMs(ms) { upstream.lesvrDelayMs = ms; },
+    async close() {
+      globalThis.fetch = realFetch;
+      restoreConsoleLog();
+      await Promise.all([ha, lesvr, railway].map(server => new Promise(resolve => server.close(resolve))));
+    },
+  };
+}
+
+// Auth is off unless a test configures credentials (the Worker refuses to run open by accident)
+export function createEnv(upstreams, overrides = {}) {
+  return {
+    HA_URL: upstreams.haUrl,
+    HA_TOKEN,
+    RAILWAY_URL: upstreams.railwayUrl,
+    LESVR_AUTH_TOKEN: LESVR_TOKEN,
+    AUTH_DISABLED: '1',
+    ...overrides,
+  };
+}
+
+const executionCtx = { waitUntil() {} };
+
+// Call the Worker like the edge would; headers default to a browser in Vietnam
+export async function callWorker(worker, env, path, { method = 'GET', headers = {}, body } = {}) {
+  const request = new Request(`https://worker.test${path}`, {
+    method,
+    body,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (test)',
+      'CF-IPCountry': 'VN',
+      'CF-Connecting-IP': '203.0.113.10',
+      ...headers,
+    },
+  });
+  const response = await worker.fetch(request, env, executionCtx);
+  const text = await response.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch (e) { /* not JSON */ }
+  return { status: response.status, headers: response.headers, text, json };
+}
@@ -0,0 +1,294 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startUpstreams, loadWorker, createEnv, callWorker, loadFixture, requestLogs, DEVICE_ID, LESVR_TOKEN } from './harness.mjs';
+
+let upstreams;
+before(async () => { upstreams = await startUpstreams(); });
+after(() => upstreams.close());
+
+test('/health lists the API routes with path params', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), '/health');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.status, 'ok');
+  assert.equal(res.json.ha_configured, true);
+  assert.ok(res.json.endpoints.includes('/api/ha/power-history/{deviceId}/{date}'));
+  assert.ok(res.json.endpoints.includes('POST /api/auth/token'));
+});
+
+test('unknown paths are 404 and known paths with the wrong method are 405', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams);
+
+  const missing = await callWorker(worker, env, '/api/nope');
+  assert.equal(missing.status, 404);
+
+  const wrongMethod = await callWorker(worker, env, `/api/ha/states/${DEVICE_ID}`, { method: 'DELETE' });
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.headers.get('Allow'), 'GET');
+});
+
+test('preflight requests are answered with CORS headers only', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), `/api/ha/states/${DEVICE_ID}`, {
+    method: 'OPTIONS',
+    headers: { Origin: 'http://localhost:5000' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('Access-Control-Allow-Origin'), 'http://localhost:5000');
+  assert.equal(upstreams.haRequests.length, 0);
+});
+
+test('malformed deviceIds and dates are rejected before reaching HA', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams);
+  const seen = upstreams.haRequests.length;
+
+  const badDevice = await callWorker(worker, env, '/api/ha/states/P25%3Bdrop');
+  assert.equal(badDevice.status, 400);
+  assert.equal(badDevice.json.error, 'Invalid deviceId format');
+
+  // :date only matches YYYY-MM-DD, so anything else is not a route at all
+  const badDate = await callWorker(worker, env, `/api/ha/temperature/${DEVICE_ID}/15-10-2025`);
+  assert.equal(badDate.status, 404);
+
+  const badZone = await callWorker(worker, env, `/api/ha/temperature/${DEVICE_ID}/2025-10-15?tz=Mars/Olympus`);
+  assert.equal(badZone.status, 400);
+  assert.equal(badZone.json.code, 'INVALID_TIMEZONE');
+
+  assert.equal(upstreams.haRequests.length, seen);
+});
+
+test('HA and lesvr routes report a missing upstream configuration as 503', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams, { HA_URL: '', LESVR_AUTH_TOKEN: '' });
+
+  const ha = await callWorker(worker, env, `/api/ha/states/${DEVICE_ID}`);
+  assert.equal(ha.status, 503);
+  assert.equal(ha.json.error, 'HA not configured');
+
+  const lesvr = await callWorker(worker, env, `/api/pv/${DEVICE_ID}/2025-10-15`);
+  assert.equal(lesvr.status, 503);
+});
+
+test('HA states are scoped to the device and wrapped in the success envelope', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), `/api/ha/states/${DEVICE_ID}`);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.success, true);
+  assert.equal(res.json.dataSource, 'HomeAssistant');
+  assert.equal(res.json.deviceId, DEVICE_ID);
+  assert.equal(res.json.entities.pv_power.state, '1520');
+  assert.equal(res.json.entities.h240909079_pv_power, undefined);
+});
+
+test('the devices list carries each device\'s live power, SOC and today\'s kWh', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), '/api/ha/devices');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.devices.map(d => d.deviceId), ['H240909079', DEVICE_ID]);
+  const device = res.json.devices.find(d => d.deviceId === DEVICE_ID);
+  assert.equal(device.online, true);
+  assert.equal(device.batterySoc, 76);
+  assert.equal(device.pvPower, 1520);
+  assert.equal(device.loadPower, 1005);
+  assert.equal(device.gridPower, -35);
+  assert.equal(device.temperature, 41.5);
+  assert.deepEqual(device.today, { pv: 8.4, load: 6.1, grid: 0.7 });
+  // PV has not changed since 05:00, but SOC was reported again at 05:09:30
+  assert.equal(device.lastUpdate, '2025-10-15T05:09:30+00:00');
+
+  // Sensors the device doesn't have are null rather than 0
+  const other = res.json.devices.find(d => d.deviceId === 'H240909079');
+  assert.equal(other.loadPower, null);
+  assert.deepEqual(other.today, { pv: null, load: null, grid: null });
+});
+
+test('lesvr day data is passed through unchanged with the app credentials', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), `/api/pv/${DEVICE_ID}/2025-10-15`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json, loadFixture('lesvr/getPVDayData.json'));
+  const upstream = upstreams.lesvrRequests.at(-1);
+  assert.equal(upstream.pathname, '/lesvr/getPVDayData');
+  assert.equal(upstream.searchParams.get('queryDate'), '2025-10-15');
+  assert.equal(upstream.searchParams.get('deviceId'), DEVICE_ID);
+});
+
+test('a given lesvr month or year is passed on to lesvr', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams);
+
+  const month = await callWorker(worker, env, `/api/month/${DEVICE_ID}/2025-09`);
+  assert.equal(month.status, 200);
+  let upstream = upstreams.lesvrRequests.at(-1);
+  assert.equal(upstream.pathname, '/lesvr/getMonthData');
+  assert.equal(upstream.searchParams.get('month'), '2025-09');
+
+  await callWorker(worker, env, `/api/year/${DEVICE_ID}/2024`);
+  upstream = upstreams.lesvrRequests.at(-1);
+  assert.equal(upstream.pathname, '/lesvr/getYearData');
+  assert.equal(upstream.searchParams.get('year'), '2024');
+
+  // :month / :year are typed params: a malformed one matches no route and never reaches the cache
+  const before = upstreams.lesvrRequests.length;
+  const badMonth = await callWorker(worker, env, `/api/month/${DEVICE_ID}/2025-13`);
+  assert.equal(badMonth.status, 404);
+  const badYear = await callWorker(worker, env, `/api/year/${DEVICE_ID}/24`);
+  assert.equal(badYear.status, 404);
+  assert.equal(upstreams.lesvrRequests.length, before);
+});
+
+test('lesvr 404 pages become an UPSTREAM_ERROR envelope', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), `/api/year/${DEVICE_ID}`);
+
+  assert.equal(res.status, 502);
+  assert.equal(res.json.success, false);
+  assert.equal(res.json.code, 'UPSTREAM_ERROR');
+});
+
+test('lesvr HTML pages served with 200 become an UPSTREAM_BAD_PAYLOAD envelope', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), `/api/other/${DEVICE_ID}/2025-10-15`);
+
+  assert.equal(res.status, 502);
+  assert.equal(res.json.success, false);
+  assert.equal(res.json.code, 'UPSTREAM_BAD_PAYLOAD');
+});
+
+test('rejected lesvr credentials surface as UPSTREAM_AUTH', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams, { LESVR_AUTH_TOKEN: 'expired' }), `/api/month/${DEVICE_ID}`);
+
+  assert.equal(res.status, 502);
+  assert.equal(res.json.code, 'UPSTREAM_AUTH');
+});
+
+test('lesvr "no data" payloads are returned as-is without rotating credentials', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams, {
+    LESVR_CREDENTIALS: JSON.stringify([
+      { name: 'primary', authorization: LESVR_TOKEN },
+      { name: 'backup', authorization: 'other-token' },
+    ]),
+  });
+  const before = upstreams.lesvrRequests.length;
+  const res = await callWorker(worker, env, `/api/bat/${DEVICE_ID}/2025-10-15`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json, loadFixture('lesvr/getBatDayData.json'));
+  assert.equal(upstreams.lesvrRequests.length - before, 1);
+
+  // /health is public: it reports the aggregate, never credential names or errors
+  const health = await callWorker(worker, env, '/health');
+  assert.deepEqual(health.json.lesvr, { configured: 2, status: 'healthy' });
+  assert.doesNotMatch(health.text, /primary|backup/);
+});
+
+test('lesvr error messages that mention a token do not rotate credentials', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams, {
+    LESVR_CREDENTIALS: JSON.stringify([
+      { name: 'primary', authorization: LESVR_TOKEN },
+      { name: 'backup', authorization: LESVR_TOKEN },
+    ]),
+  });
+  const before = upstreams.lesvrRequests.length;
+  const res = await callWorker(worker, env, `/api/history-year/${DEVICE_ID}`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json, loadFixture('lesvr/getHistoryYearData.json'));
+  assert.equal(upstreams.lesvrRequests.length - before, 1);
+});
+
+test('a 200 with an auth returnValue rotates through every credential', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams, {
+    LESVR_CREDENTIALS: JSON.stringify([
+      { name: 'primary', authorization: LESVR_TOKEN },
+      { name: 'backup', authorization: LESVR_TOKEN },
+    ]),
+  });
+  const before = upstreams.lesvrRequests.length;
+  const res = await callWorker(worker, env, '/api/check-update');
+
+  assert.equal(res.status, 502);
+  assert.equal(res.json.code, 'UPSTREAM_AUTH');
+  assert.equal(upstreams.lesvrRequests.length - before, 2);
+});
+
+test('one lesvr call stays within the lesvr time budget across retries and credentials', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams, {
+    UPSTREAM_CONFIG: JSON.stringify({ lesvr: { timeoutMs: 150, retries: 5, budgetMs: 400 } }),
+    LESVR_CREDENTIALS: JSON.stringify([
+      { name: 'primary', authorization: LESVR_TOKEN },
+      { name: 'backup', authorization: LESVR_TOKEN },
+    ]),
+  });
+  upstreams.lesvrDelayMs = 1000;
+  try {
+    const startedAt = Date.now();
+    const res = await callWorker(worker, env, `/api/pv/${DEVICE_ID}/2025-10-15`);
+
+    assert.equal(res.status, 504);
+    assert.equal(res.json.code, 'UPSTREAM_TIMEOUT');
+    assert.ok(Date.now() - startedAt < 800, `took ${Date.now() - startedAt}ms`);
+  } finally {
+    upstreams.lesvrDelayMs = 0;
+  }
+});
+
+test('v2 realtime normalizes HA into the versioned schema', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), `/api/v2/realtime/${DEVICE_ID}`);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.source, 'homeassistant');
+  assert.equal(res.json.version, 2);
+  assert.equal(res.json.pv.power, 1520);
+  assert.equal(res.json.battery.power, 480);
+  assert.equal(res.json.battery.status, 'charging');
+  assert.equal(res.json.grid.power, -35);
+});
+
+test('v2 railway realtime maps the Railway backend into the same schema', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), `/api/v2/realtime/${DEVICE_ID}/railway`);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.source, 'railway');
+  assert.equal(res.json.version, 2);
+  assert.equal(res.json.pv.power, 1520);
+  assert.deepEqual(res.json.pv.strings, [{ power: 900, voltage: 210.5 }, { power: 620, voltage: 198.2 }]);
+  // An explicit status decides the sign: discharging is negative
+  assert.equal(res.json.battery.power, -480);
+  assert.equal(res.json.battery.current, -9);
+  assert.equal(res.json.battery.status, 'discharging');
+  assert.equal(res.json.essential.power, 610);
+  assert.deepEqual(res.json.cells.voltages, [3.311, 3.301, 3.33]);
+
+  const unknown = await callWorker(worker, createEnv(upstreams), '/api/v2/realtime/H240909079/railway');
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.json.success, false);
+});
+
+test('every request is logged once as structured JSON', async () => {
+  const worker = await loadWorker();
+  await callWorker(worker, createEnv(upstreams), `/api/ha/states/${DEVICE_ID}`);
+
+  const entry = requestLogs.at(-1);
+  assert.equal(entry.msg, 'request');
+  assert.equal(entry.route, '/api/ha/states/:deviceId');
+  assert.equal(entry.deviceId, DEVICE_ID);
+  assert.equal(entry.upstream, 'homeassistant');
+  assert.equal(entry.status, 200);
+  assert.equal(entry.country, 'VN');
+  assert.equal(typeof entry.durationMs, 'number');
+});
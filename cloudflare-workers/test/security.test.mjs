@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startUpstreams, loadWorker, createEnv, callWorker, sha256Hex, DEVICE_ID } from './harness.mjs';
+
+let upstreams;
+before(async () => { upstreams = await startUpstreams(); });
+after(() => upstreams.close());
+
+test('requests from outside Vietnam are geo blocked', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), `/api/ha/states/${DEVICE_ID}`, {
+    headers: { 'CF-IPCountry': 'US' },
+  });
+
+  assert.equal(res.status, 403);
+  assert.equal(res.json.code, 'GEO_BLOCKED');
+  assert.equal(res.json.country, 'US');
+});
+
+test('unknown country (local development) is allowed', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, createEnv(upstreams), '/health', { headers: { 'CF-IPCountry': 'XX' } });
+
+  assert.equal(res.status, 200);
+});
+
+test('scripted user agents are blocked', async () => {
+  const worker = await loadWorker();
+  for (const userAgent of ['curl/8.4.0', 'python-requests/2.31', 'Go-http-client/1.1']) {
+    const res = await callWorker(worker, createEnv(upstreams), '/health', { headers: { 'User-Agent': userAgent } });
+    assert.equal(res.status, 403, userAgent);
+    assert.equal(res.json.code, 'BLOCKED_USER_AGENT');
+  }
+});
+
+test('rate limit rejects requests over the route class limit with Retry-After', async () => {
+  const worker = await loadWorker();
+  const env = createEnv(upstreams, { RATE_LIMITS: JSON.stringify({ default: { maxRequests: 2 } }) });
+
+  const first = await callWorker(worker, env, '/health');
+  assert.equal(first.headers.get('RateLimit-Limit'), '2');
+  assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+  await callWorker(worker, env, '/health');
+
+  const limited = await callWorker(worker, env, '/health');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.json.code, 'RATE_LIMITED');
+  assert.ok(parseInt(limited.headers.get('Retry-After'), 10) > 0);
+
+  // Limits are per client IP
+  const otherClient = await callWorker(worker, env, '/health', { headers: { 'CF-Connecting-IP': '203.0.113.99' } });
+  assert.equal(otherClient.status, 200);
+});
+
+test('API keys are scoped to their devices', async () => {
+  const worker = await loadWorker();
+  const digest = await sha256Hex('owner-key');
+  const env = createEnv(upstreams, { API_KEYS: JSON.stringify({ [digest]: { owner: 'owner', devices: [DEVICE_ID] } }) });
+
+  const anonymous = await callWorker(worker, env, `/api/ha/states/${DEVICE_ID}`);
+  assert.equal(anonymous.status, 401);
+
+  const own = await callWorker(worker, env, `/api/ha/states/${DEVICE_ID}`, { headers: { Authorization: 'Bearer owner-key' } });
+  assert.equal(own.status, 200);
+
+  const other = await callWorker(worker, env, '/api/ha/states/H240909079', { headers: { Authorization: 'Bearer owner-key' } });
+  assert.equal(other.status, 403);
+  assert.equal(other.json.code, 'DEVICE_FORBIDDEN');
+});
+
+test('without credential bindings the Worker fails closed unless AUTH_DISABLED is set', async () => {
+  const worker = await loadWorker();
+
+  const unconfigured = await callWorker(worker, createEnv(upstreams, { AUTH_DISABLED: undefined }), `/api/ha/states/${DEVICE_ID}`);
+  assert.equal(unconfigured.status, 503);
+  assert.equal(unconfigured.json.code, 'AUTH_NOT_CONFIGURED');
+
+  const misspelled = await callWorker(worker, createEnv(upstreams, { AUTH_DISABLED: undefined, API_KEY: '{}' }), `/api/pv/${DEVICE_ID}/2025-10-15`);
+  assert.equal(misspelled.status, 503);
+
+  const open = await callWorker(worker, createEnv(upstreams), `/api/ha/states/${DEVICE_ID}`);
+  assert.equal(open.status, 200);
+});
+
+test('?token= accepts signed tokens only, never raw API keys', async () => {
+  const worker = await loadWorker();
+  const digest = await sha256Hex('owner-key');
+  const env = createEnv(upstreams, {
+    API_KEYS: JSON.stringify({ [digest]: { owner: 'owner', devices: [DEVICE_ID] } }),
+    AUTH_SIGNING_SECRET: 'test-signing-secret',
+  });
+
+  const rawKey = await callWorker(worker, env, `/api/ha/states/${DEVICE_ID}?token=owner-key`);
+  assert.equal(rawKey.status, 401);
+
+  const issued = await callWorker(worker, env, '/api/auth/token', { method: 'POST', headers: { Authorization: 'Bearer owner-key' } });
+  const signed = await callWorker(worker, env, `/api/ha/states/${DEVICE_ID}?token=${issued.json.token}`);
+  assert.equal(signed.status, 200);
+});
+
+test('token ttl falls back to the default and is clamped from below', async () => {
+  const worker = await loadWorker();
+  const digest = await sha256Hex('owner-key');
+  const env = createEnv(upstreams, {
+    API_KEYS: JSON.stringify({ [digest]: { owner: 'owner', devices: [DEVICE_ID] } }),
+    AUTH_SIGNING_SECRET: 'test-signing-secret',
+  });
+  const issue = async (ttl) => {
+    const res = await callWorker(worker, env, '/api/auth/token', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer owner-key' },
+      body: JSON.stringify({ ttl }),
+    });
+    assert.equal(res.status, 200);
+    return (Date.parse(res.json.expiresAt) - Date.now()) / 1000;
+  };
+
+  const negative = await issue(-3600);
+  assert.ok(negative > 50 && negative <= 60, `negative ttl -> ${negative}s`);
+  const garbage = await issue('soon');
+  assert.ok(garbage > 3590 && garbage <= 3600, `non-numeric ttl -> ${garbage}s`);
+});
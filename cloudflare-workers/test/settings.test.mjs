@@ -0,0 +1,154 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startUpstreams, loadWorker, createEnv, callWorker, requestLogs, sha256Hex, DEVICE_ID } from './harness.mjs';
+
+let upstreams;
+before(async () => { upstreams = await startUpstreams(); });
+after(() => upstreams.close());
+
+// One write-enabled owner key and one read-only (shared) key for the same device
+async function authEnv(overrides = {}) {
+  const keys = {
+    [await sha256Hex('owner-key')]: { owner: 'owner', devices: [DEVICE_ID], write: true },
+    [await sha256Hex('viewer-key')]: { owner: 'viewer', devices: [DEVICE_ID] },
+  };
+  return createEnv(upstreams, { API_KEYS: JSON.stringify(keys), AUTH_SIGNING_SECRET: 'test-secret', ...overrides });
+}
+
+function changeSetting(worker, env, key, body, deviceId = DEVICE_ID) {
+  return callWorker(worker, env, `/api/ha/settings/${deviceId}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+test('settings lists the device\'s number and select entities with their limits', async () => {
+  const worker = await loadWorker();
+  const res = await callWorker(worker, await authEnv(), `/api/ha/settings/${DEVICE_ID}`, {
+    headers: { Authorization: 'Bearer viewer-key' },
+  });
+
+  assert.equal(res.status, 200);
+  const byName = Object.fromEntries(res.json.settings.map(s => [s.name, s]));
+  assert.deepEqual(Object.keys(byName).sort(), [
+    'battery_priority', 'grid_charge_end_hour', 'grid_charge_start_hour', 'max_charge_current', 'max_discharge_current', 'soc_cutoff',
+  ]);
+  assert.deepEqual(
+    { value: byName.soc_cutoff.value, min: byName.soc_cutoff.min, max: byName.soc_cutoff.max, unit: byName.soc_cutoff.unit },
+    { value: 20, min: 10, max: 50, unit: '%' },
+  );
+  assert.deepEqual(byName.battery_priority.options, ['SBU', 'SUB', 'UTI', 'SOL']);
+  assert.equal(byName.grid_charge_end_hour.available, false);
+});
+
+test('a write-enabled key changes a number setting and gets the new state back', async () => {
+  const worker = await loadWorker();
+  const res = await changeSetting(worker, await authEnv(), 'owner-key', { setting: 'max_charge_current', value: 45 });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.previous, 60);
+  assert.equal(res.json.applied, true);
+  assert.equal(res.json.setting.value, 45);
+  assert.deepEqual(upstreams.serviceCalls.at(-1), {
+    service: 'number.set_value',
+    data: { entity_id: 'number.device_p250801055_max_charge_current', value: 45 },
+  });
+
+  const audit = requestLogs.filter(l => l.msg === 'audit').at(-1);
+  assert.equal(audit.subject, 'owner');
+  assert.equal(audit.result, 'ok');
+  assert.equal(audit.from, 60);
+  assert.equal(audit.to, 45);
+});
+
+test('select settings go through select.select_option', async () => {
+  const worker = await loadWorker();
+  const res = await changeSetting(worker, await authEnv(), 'owner-key', { setting: 'battery_priority', value: 'SUB' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.setting.value, 'SUB');
+  assert.deepEqual(upstreams.serviceCalls.at(-1), {
+    service: 'select.select_option',
+    data: { entity_id: 'select.device_p250801055_battery_priority', option: 'SUB' },
+  });
+});
+
+test('values outside min/max or the select options are rejected and audited', async () => {
+  const worker = await loadWorker();
+  const env = await authEnv();
+  const calls = upstreams.serviceCalls.length;
+
+  const tooLow = await changeSetting(worker, env, 'owner-key', { setting: 'soc_cutoff', value: 5 });
+  assert.equal(tooLow.status, 400);
+  assert.equal(tooLow.json.code, 'INVALID_SETTING_VALUE');
+  assert.match(tooLow.json.error, /between 10 and 50/);
+
+  const notNumber = await changeSetting(worker, env, 'owner-key', { setting: 'soc_cutoff', value: 'high' });
+  assert.equal(notNumber.status, 400);
+
+  const offStep = await changeSetting(worker, env, 'owner-key', { setting: 'soc_cutoff', value: 20.5 });
+  assert.equal(offStep.status, 400);
+  assert.match(offStep.json.error, /steps of 1/);
+
+  const badOption = await changeSetting(worker, env, 'owner-key', { setting: 'battery_priority', value: 'GRID' });
+  assert.equal(badOption.status, 400);
+
+  // The audit keeps a bounded copy of whatever was sent
+  const huge = await changeSetting(worker, env, 'owner-key', { setting: 'battery_priority', value: 'X'.repeat(10000) });
+  assert.equal(huge.status, 400);
+  assert.ok(requestLogs.filter(l => l.msg === 'audit').at(-1).to.length <= 65);
+
+  const unavailable = await changeSetting(worker, env, 'owner-key', { setting: 'grid_charge_end_hour', value: 5 });
+  assert.equal(unavailable.status, 409);
+
+  const unknown = await changeSetting(worker, env, 'owner-key', { setting: 'sensor.device_p250801055_pv_power', value: 1 });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.json.code, 'UNKNOWN_SETTING');
+
+  assert.equal(upstreams.serviceCalls.length, calls);
+  assert.equal(requestLogs.filter(l => l.msg === 'audit').at(-1).result, 'rejected');
+});
+
+test('writes require a write-enabled credential for the device', async () => {
+  const worker = await loadWorker();
+  const env = await authEnv();
+  const body = { setting: 'max_charge_current', value: 30 };
+
+  const anonymous = await callWorker(worker, env, `/api/ha/settings/${DEVICE_ID}`, { method: 'POST', body: JSON.stringify(body) });
+  assert.equal(anonymous.status, 401);
+
+  const viewer = await changeSetting(worker, env, 'viewer-key', body);
+  assert.equal(viewer.status, 403);
+  assert.equal(viewer.json.code, 'WRITE_FORBIDDEN');
+
+  const otherDevice = await changeSetting(worker, env, 'owner-key', body, 'H240909079');
+  assert.equal(otherDevice.status, 403);
+  assert.equal(otherDevice.json.code, 'DEVICE_FORBIDDEN');
+
+  // With auth disabled there is no way to write
+  const open = await callWorker(worker, createEnv(upstreams), `/api/ha/settings/${DEVICE_ID}`, { method: 'POST', body: JSON.stringify(body) });
+  assert.equal(open.status, 401);
+});
+
+test('signed tokens only carry write access when requested from a write-enabled key', async () => {
+  const worker = await loadWorker();
+  const env = await authEnv();
+  const issue = (key, body) => callWorker(worker, env, '/api/auth/token', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${key}` },
+    body: JSON.stringify(body),
+  });
+
+  const readOnly = await issue('owner-key', {});
+  assert.equal(readOnly.json.write, false);
+  const denied = await changeSetting(worker, env, readOnly.json.token, { setting: 'max_charge_current', value: 30 });
+  assert.equal(denied.status, 403);
+
+  const writable = await issue('owner-key', { write: true });
+  const allowed = await changeSetting(worker, env, writable.json.token, { setting: 'max_charge_current', value: 30 });
+  assert.equal(allowed.status, 200);
+
+  const viewerWrite = await issue('viewer-key', { write: true });
+  assert.equal(viewerWrite.status, 403);
+});